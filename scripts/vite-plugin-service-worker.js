@@ -0,0 +1,51 @@
+/**
+ * Vite plugin emitting the service worker (src/serviceWorker.js) as /sw.js
+ * on build, with its precache list prepended: the built app shell and the
+ * curated assets of src/config/weatherAssets.js. The list changes with
+ * every build or asset edit, so browsers pick up the new worker.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { listCuratedAssetUrls } from '../src/config/weatherAssets.js';
+import { getBackgroundsCacheName, OFFLINE_CACHE_PREFIX } from '../src/services/offlineBackgrounds.js';
+
+// Public files belonging to the shell (not part of the bundle)
+const PUBLIC_SHELL_FILES = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg', '/vite.svg'];
+
+// Still images are small enough to precache on install
+const STILL_IMAGE = /\.(jpe?g|png|webp)(\?|$)|images\.unsplash\.com/;
+
+export default function serviceWorkerPlugin({ source = 'src/serviceWorker.js' } = {}) {
+  return {
+    name: 'farmsync-service-worker',
+    apply: 'build',
+
+    async generateBundle(_options, bundle) {
+      const shell = [...new Set([
+        ...PUBLIC_SHELL_FILES,
+        ...Object.keys(bundle).map((fileName) => `/${fileName}`),
+      ])];
+      const backgrounds = listCuratedAssetUrls();
+      const version = createHash('sha256')
+        .update(JSON.stringify([shell, backgrounds]))
+        .digest('hex')
+        .slice(0, 10);
+
+      const precache = {
+        shellCache: `${OFFLINE_CACHE_PREFIX}shell-${version}`,
+        shell,
+        backgroundsCache: getBackgroundsCacheName(),
+        backgrounds,
+        installBackgrounds: backgrounds.filter((url) => STILL_IMAGE.test(url)),
+      };
+
+      const code = await readFile(source, 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const PRECACHE = ${JSON.stringify(precache, null, 2)};\n\n${code}`,
+      });
+    },
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * FarmSync Production Server
+ *
+ * Serves the built app (dist/) and the API proxy (server/proxy.js) from
+ * one origin, so the browser never sees the OWM or Giphy keys.
+ *
+ *   npm run build && npm run serve
+ *
+ * Environment (read from .env as well when present):
+ *   OWM_API_KEY, GIPHY_API_KEY   Upstream keys
+ *   PORT                         Listen port (default 8080)
+ *   API_RATE_LIMIT               Requests per client per minute (default 60)
+ *   TRUST_PROXY=1                Identify clients by X-Forwarded-For
+ */
+
+import { createServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, isAbsolute, join, normalize, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createApiProxy } from './proxy.js';
+
+try {
+  process.loadEnvFile();
+} catch {
+  // No .env file; rely on the real environment
+}
+
+const DIST_DIR = resolve(fileURLToPath(new URL('../dist', import.meta.url)));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.ogg': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+};
+
+const apiProxy = createApiProxy({
+  owmApiKey: process.env.OWM_API_KEY,
+  giphyApiKey: process.env.GIPHY_API_KEY,
+  rateLimit: Number(process.env.API_RATE_LIMIT) || 60,
+  trustProxy: process.env.TRUST_PROXY === '1',
+});
+
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const filePath = normalize(join(DIST_DIR, decodeURIComponent(pathname)));
+  // A plain prefix check would let /..%2fdist-old/ reach a sibling directory
+  const inside = relative(DIST_DIR, filePath);
+  if (inside === '..' || inside.startsWith(`..${sep}`) || isAbsolute(inside)) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  let file = filePath;
+  const info = await stat(file).catch(() => null);
+  if (!info || info.isDirectory()) {
+    // Missing assets are real 404s; any other path gets the app (SPA routing)
+    if (extname(pathname)) {
+      res.writeHead(404).end();
+      return;
+    }
+    file = join(DIST_DIR, 'index.html');
+  }
+
+  const body = await readFile(file);
+  const headers = {
+    'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream',
+    'Content-Length': body.length,
+    // Hashed build output never changes; everything else is revalidated
+    'Cache-Control': file.includes(`${DIST_DIR}/assets/index-`) ? 'public, max-age=31536000, immutable' : 'no-cache',
+  };
+  res.writeHead(200, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+const server = createServer((req, res) => {
+  apiProxy(req, res, () => {
+    serveStatic(req, res).catch((error) => {
+      console.error('Static file error:', error);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+});
+
+const port = Number(process.env.PORT) || 8080;
+server.listen(port, () => {
+  console.log(`FarmSync listening on http://localhost:${port}`);
+});
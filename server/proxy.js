@@ -0,0 +1,254 @@
+/**
+ * FarmSync API Proxy
+ *
+ * Connect-style middleware holding the OpenWeatherMap and Giphy keys
+ * server-side. Mounted by the Vite dev/preview server (vite.config.js)
+ * and by the standalone server (server/index.js).
+ *
+ * Routes (GET, JSON):
+ *   /api/weather?q=Ipoh,MY | ?lat=&lon=   OWM current weather (raw OWM body)
+ *   /api/forecast?q= | ?lat=&lon=         OWM 5 day / 3 hour forecast
+ *   /api/background?key=rain&tier=gif     Giphy fallback: { url, format }
+ *   /api/geocode?q=&limit= | ?lat=&lon=   OWM place search / reverse lookup
+ *
+ * Responses are cached in memory per route and location, clients are
+ * rate-limited by IP, and every failure has the same shape:
+ *   { error: { code, message } }
+ */
+
+import { getGiphyQuery } from '../src/config/weatherAssets.js';
+import { buildGiphySearchUrl, giphyMediaFormat, pickGiphyMedia } from '../src/services/giphy.js';
+
+const OWM_BASE_URL = 'https://api.openweathermap.org';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Cache TTL per route
+ */
+const ROUTE_TTL_MS = {
+  weather: 5 * MINUTE_MS,
+  forecast: 15 * MINUTE_MS,
+  background: 24 * 60 * MINUTE_MS,
+  geocode: 24 * 60 * MINUTE_MS,
+};
+
+const MAX_CACHE_ENTRIES = 500;
+const UPSTREAM_TIMEOUT_MS = 10 * 1000;
+const QUALITY_TIERS = ['image', 'video-low', 'gif', 'video-high'];
+
+/**
+ * Proxy failure with a stable code and HTTP status
+ */
+export class ProxyError extends Error {
+  /**
+   * @param {number} status - HTTP status sent to the client
+   * @param {string} code - Machine-readable code, e.g. 'rate_limited'
+   * @param {string} message - Human-readable message
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, error, headers = {}) {
+  const proxyError = error instanceof ProxyError
+    ? error
+    : new ProxyError(500, 'internal_error', 'Unexpected proxy error');
+  if (!(error instanceof ProxyError)) console.error('API proxy error:', error);
+  sendJson(res, proxyError.status, { error: { code: proxyError.code, message: proxyError.message } }, headers);
+}
+
+/**
+ * Location parameters as an OWM query and a cache key. Coordinates are
+ * rounded to ~1 km so nearby farms share an entry.
+ */
+function readLocation(params) {
+  const q = params.get('q')?.trim();
+  if (q) return { query: { q }, key: q.toLowerCase() };
+
+  const lat = Number(params.get('lat'));
+  const lon = Number(params.get('lon'));
+  if (params.has('lat') && params.has('lon') && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+    const query = { lat: lat.toFixed(2), lon: lon.toFixed(2) };
+    return { query, key: `${query.lat},${query.lon}` };
+  }
+
+  throw new ProxyError(400, 'bad_request', 'Give a place (q) or coordinates (lat and lon)');
+}
+
+async function fetchUpstream(url, service) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new ProxyError(504, 'timeout', `${service} did not answer in time`);
+    }
+    throw new ProxyError(502, 'upstream_unreachable', `${service} is unreachable`);
+  }
+
+  const json = await response.json().catch(() => null);
+  if (response.ok) return json;
+
+  // Upstream details (like a rejected key) are the server's business, not the client's
+  if (response.status === 404) {
+    throw new ProxyError(404, 'not_found', json?.message || 'Location not found');
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new ProxyError(502, 'upstream_unauthorized', `${service} rejected the server's API key`);
+  }
+  if (response.status === 429) {
+    throw new ProxyError(503, 'upstream_rate_limited', `${service} is rate limiting the server, try again later`);
+  }
+  throw new ProxyError(502, 'upstream_error', `${service} error (${response.status})`);
+}
+
+/**
+ * Creates the proxy middleware
+ * @param {object} options
+ * @param {string} [options.owmApiKey] - OpenWeatherMap API key
+ * @param {string} [options.giphyApiKey] - Giphy API key
+ * @param {string} [options.basePath] - Path the routes live under
+ * @param {number} [options.rateLimit] - Requests per client per window
+ * @param {number} [options.rateWindowMs] - Rate limit window
+ * @param {boolean} [options.trustProxy] - Identify clients by X-Forwarded-For (behind a reverse proxy)
+ * @returns {function(import('node:http').IncomingMessage, import('node:http').ServerResponse, function): void}
+ */
+export function createApiProxy({
+  owmApiKey = null,
+  giphyApiKey = null,
+  basePath = '/api',
+  rateLimit = 60,
+  rateWindowMs = MINUTE_MS,
+  trustProxy = false,
+} = {}) {
+  // Map insertion order doubles as age order for eviction
+  const cache = new Map();
+  const clients = new Map();
+
+  function cached(key, ttlMs, load) {
+    const now = Date.now();
+    const hit = cache.get(key);
+    if (hit && hit.expiresAt > now) return hit.value;
+
+    const entry = { value: load(), expiresAt: now + ttlMs };
+    // Failures are not cached; the next request tries again
+    entry.value.catch(() => {
+      if (cache.get(key) === entry) cache.delete(key);
+    });
+
+    cache.delete(key);
+    cache.set(key, entry);
+    if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+    return entry.value;
+  }
+
+  // Fixed window counter per client
+  function checkRateLimit(req) {
+    const forwarded = trustProxy ? req.headers['x-forwarded-for']?.split(',')[0].trim() : null;
+    const client = forwarded || req.socket.remoteAddress || 'unknown';
+    const now = Date.now();
+
+    let window = clients.get(client);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + rateWindowMs };
+      clients.set(client, window);
+    }
+    window.count++;
+
+    // Forget idle clients now and then
+    if (clients.size > 1000) {
+      for (const [id, w] of clients) if (w.resetAt <= now) clients.delete(id);
+    }
+
+    if (window.count > rateLimit) {
+      const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+      const error = new ProxyError(429, 'rate_limited', `Too many requests, retry in ${retryAfter} s`);
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  function requireOwm() {
+    if (!owmApiKey) throw new ProxyError(503, 'not_configured', 'OWM_API_KEY is not set on the server');
+  }
+
+  function owmUrl(path, query) {
+    return `${OWM_BASE_URL}${path}?${new URLSearchParams({ ...query, appid: owmApiKey })}`;
+  }
+
+  const routes = {
+    weather(params) {
+      requireOwm();
+      const location = readLocation(params);
+      return cached(`weather|${location.key}`, ROUTE_TTL_MS.weather, () =>
+        fetchUpstream(owmUrl('/data/2.5/weather', { ...location.query, units: 'metric' }), 'OpenWeatherMap')
+      );
+    },
+
+    forecast(params) {
+      requireOwm();
+      const location = readLocation(params);
+      return cached(`forecast|${location.key}`, ROUTE_TTL_MS.forecast, () =>
+        fetchUpstream(owmUrl('/data/2.5/forecast', { ...location.query, units: 'metric' }), 'OpenWeatherMap')
+      );
+    },
+
+    async background(params) {
+      if (!giphyApiKey) throw new ProxyError(503, 'not_configured', 'GIPHY_API_KEY is not set on the server');
+      const weatherKey = params.get('key');
+      if (!weatherKey) throw new ProxyError(400, 'bad_request', 'Give a weather key (key)');
+      const tier = QUALITY_TIERS.includes(params.get('tier')) ? params.get('tier') : 'gif';
+
+      const url = await cached(`background|${weatherKey}|${tier}`, ROUTE_TTL_MS.background, async () =>
+        pickGiphyMedia(await fetchUpstream(buildGiphySearchUrl(getGiphyQuery(weatherKey), giphyApiKey, tier), 'Giphy'), tier)
+      );
+      if (!url) throw new ProxyError(404, 'not_found', `No background found for ${weatherKey}`);
+      return { url, format: giphyMediaFormat(url) };
+    },
+
+    geocode(params) {
+      requireOwm();
+      if (params.get('q')?.trim()) {
+        const q = params.get('q').trim();
+        const limit = String(Math.min(10, Math.max(1, Number(params.get('limit')) || 5)));
+        return cached(`geocode|${q.toLowerCase()}|${limit}`, ROUTE_TTL_MS.geocode, () =>
+          fetchUpstream(owmUrl('/geo/1.0/direct', { q, limit }), 'OpenWeatherMap')
+        );
+      }
+      const location = readLocation(params);
+      return cached(`reverse|${location.key}`, ROUTE_TTL_MS.geocode, () =>
+        fetchUpstream(owmUrl('/geo/1.0/reverse', { ...location.query, limit: '1' }), 'OpenWeatherMap')
+      );
+    },
+  };
+
+  return async function apiProxy(req, res, next) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith(`${basePath}/`)) {
+      next?.();
+      return;
+    }
+
+    const route = routes[url.pathname.slice(basePath.length + 1)];
+    try {
+      if (!route) throw new ProxyError(404, 'not_found', `Unknown API route ${url.pathname}`);
+      if (req.method !== 'GET') throw new ProxyError(405, 'method_not_allowed', 'Only GET is supported');
+      checkRateLimit(req);
+
+      const body = await route(url.searchParams);
+      sendJson(res, 200, body, { 'Cache-Control': 'no-store' });
+    } catch (error) {
+      sendError(res, error, error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {});
+    }
+  };
+}
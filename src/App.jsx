@@ -1,433 +1,366 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import WeatherBackground from "./components/WeatherBackground";
+import AlertBanner from "./components/AlertBanner";
+import AlertRulesEditor from "./components/AlertRulesEditor";
+import FieldAdvisor from "./components/FieldAdvisor";
+import CropPanel from "./components/CropPanel";
+import ErrorCard from "./components/ErrorCard";
+import EvapotranspirationCard from "./components/EvapotranspirationCard";
+import ForecastPanel from "./components/ForecastPanel";
+import HistoryPanel from "./components/HistoryPanel";
+import IrrigationPanel from "./components/IrrigationPanel";
+import LightningFlash from "./components/LightningFlash";
+import LocationManager from "./components/LocationManager";
+import OfflineBackgrounds from "./components/OfflineBackgrounds";
+import StalenessBadge from "./components/StalenessBadge";
+import ThemeBackground from "./components/ThemeBackground";
+import { buttonStyle, cardStyle, inputStyle } from "./components/styles";
+import { daylightFromSun } from "./services/agroMet";
+import { classifyAmbience, getThemeClass } from "./services/ambience";
+import { QUALITY_TIERS } from "./services/backgroundQuality";
+import { API_PROXY_URL, GIPHY_API_KEY, OWM_API_KEY } from "./services/apiProxy";
+import { adviseFieldOperations } from "./services/fieldAdvisor";
+import { getDailyForecast, getHourlyForecast } from "./services/forecast";
+import { pruneHistory, recordObservation } from "./services/observationHistory";
+import { getAlertRules, loadAlertRules, processWeatherAlerts, saveAlertRules } from "./services/weatherAlerts";
+import { getVariantContext } from "./services/weatherBackground";
+import { fetchWeather, getWeatherProvider } from "./services/weatherProvider";
+import { writeUrlPreferences } from "./services/preferences";
+import { isCacheExpired, readWeatherCache, saveWeatherCache } from "./services/weatherCache";
+import { describeRequestError, RequestError, toRequestError } from "./services/requestErrors";
+import useAmbientAudio from "./hooks/useAmbientAudio";
+import useAutoRefresh from "./hooks/useAutoRefresh";
+import useBackgroundQuality from "./hooks/useBackgroundQuality";
+import useNow from "./hooks/useNow";
+import usePreferences from "./hooks/usePreferences";
+import {
+  addSavedLocation,
+  findLocation,
+  getLocationKey,
+  loadSavedLocations,
+  removeSavedLocation,
+} from "./services/savedLocations";
+import { getFieldOperationThresholds } from "./config/fieldOperations";
+import { LOCATIONS } from "./config/locations";
+import { CHANGE_HIGHLIGHT_MS, REFRESH_INTERVAL_OPTIONS } from "./config/refresh";
+import { formatAge, formatTime, owmIconUrl } from "./utils/format";
+
+// Displayed values compared between polls to highlight what changed
+const WATCHED_METRICS = {
+  temp: (o) => Math.round(o.temp),
+  condition: (o) => o.condition.description,
+  wind: (o) => Math.round(o.windSpeed),
+  humidity: (o) => Math.round(o.humidity),
+};
 
-const LOCATIONS = [
-  { label: "Kedah, MY", q: "Kedah,MY" },
-  { label: "Alor Setar, Kedah, MY", q: "Alor Setar,MY" },
-  { label: "Penang (George Town), MY", q: "George Town,MY" },
-  { label: "Ipoh, Perak, MY", q: "Ipoh,MY" },
-  { label: "Kuala Lumpur, MY", q: "Kuala Lumpur,MY" },
-  { label: "Putrajaya, MY", q: "Putrajaya,MY" },
-  { label: "Shah Alam, Selangor, MY", q: "Shah Alam,MY" },
-  { label: "Johor Bahru, MY", q: "Johor Bahru,MY" },
-  { label: "Kuantan, Pahang, MY", q: "Kuantan,MY" },
-  { label: "Kuala Terengganu, MY", q: "Kuala Terengganu,MY" },
-  { label: "Kota Bharu, Kelantan, MY", q: "Kota Bharu,MY" },
-  { label: "Kota Kinabalu, Sabah, MY", q: "Kota Kinabalu,MY" },
-  { label: "Kuching, Sarawak, MY", q: "Kuching,MY" },
-  { label: "Singapore, SG", q: "Singapore,SG" },
-  { label: "Bangkok, TH", q: "Bangkok,TH" },
-];
-
-function formatTime(unixSeconds, tzOffsetSeconds) {
-  const d = new Date((unixSeconds + tzOffsetSeconds) * 1000);
-  return d.toUTCString().slice(17, 22);
-}
-
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
+function diffObservations(prev, next) {
+  if (!prev || !next) return new Set();
+  return new Set(Object.keys(WATCHED_METRICS).filter((k) => WATCHED_METRICS[k](prev) !== WATCHED_METRICS[k](next)));
 }
 
 export default function App() {
-  const apiKey = import.meta.env.VITE_OWM_API_KEY;
+  // OWM key is still needed for place-name search, whichever provider serves the weather
+  const apiKey = OWM_API_KEY;
+  const provider = useMemo(() => getWeatherProvider(), []);
 
   // Weather state
-  const [selectedQ, setSelectedQ] = useState(LOCATIONS[0].q);
+  const [savedLocations, setSavedLocations] = useState(loadSavedLocations);
+  // Persisted settings (see services/preferences.js); the URL overrides them on load
+  const { preferences, setPreference, sharedLocation } = usePreferences(savedLocations);
+  const {
+    location: selectedKey,
+    refreshMinutes,
+    volume,
+    lightningFlashes,
+    preferVideo,
+    dynamicBackground: enableDynamicBackground,
+    forceProcedural,
+    qualityOverride,
+    historyRetentionDays,
+    etCrop,
+    etStage,
+  } = preferences;
   const [status, setStatus] = useState("idle");
   const [data, setData] = useState(null);
-  const [error, setError] = useState("");
-
-  function triggerThunderSound() {
-  const r = audioRef.current;
-  const ctx = r.ctx;
-  if (!ctx || !r.master) return;
-
-  const t = ctx.currentTime;
-
-  const rumble = ctx.createOscillator();
-  rumble.type = "sine";
-  rumble.frequency.value = 48;
-
-  const g = ctx.createGain();
-  g.gain.value = 0;
-
-  rumble.connect(g);
-  g.connect(r.master);
-
-  g.gain.setValueAtTime(0, t);
-  g.gain.linearRampToValueAtTime(0.55, t + 0.12);
-  g.gain.exponentialRampToValueAtTime(0.001, t + 1.8);
-
-  rumble.frequency.setValueAtTime(58, t);
-  rumble.frequency.linearRampToValueAtTime(38, t + 1.4);
-
-  rumble.start(t);
-  rumble.stop(t + 1.9);
-}
-
-  // Audio UI state
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [volume, setVolume] = useState(50); // 0-100
-
-  // Background preference state
-  const [preferVideo, setPreferVideo] = useState(false);
-  const [enableDynamicBackground, setEnableDynamicBackground] = useState(true);
-
-  // Web Audio refs
-  const audioRef = useRef({
-    ctx: null,
-    master: null,
-    noiseSrc: null,
-    noiseGain: null,
-    filter: null,
-    osc: null,
-    oscGain: null,
-    thunderTimer: null,
-  });
-
-  const selectedLabel = useMemo(
-    () => LOCATIONS.find((l) => l.q === selectedQ)?.label ?? selectedQ,
-    [selectedQ]
-  );
+  const [forecast, setForecast] = useState(null);
+  // RequestError of the last failed load (see services/requestErrors.js)
+  const [error, setError] = useState(null);
+  const [retryNote, setRetryNote] = useState("");
+  // Set when the shown data came from the offline cache
+  const [cachedAt, setCachedAt] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [lastFetchedAt, setLastFetchedAt] = useState(null);
+  const [changedMetrics, setChangedMetrics] = useState(() => new Set());
+  const loadedKeyRef = useRef(null);
+  const observationRef = useRef(null);
+  const highlightTimerRef = useRef(null);
+  const now = useNow();
+
+  // Alert state
+  const [alertRulesByLocation, setAlertRulesByLocation] = useState(loadAlertRules);
+  const [alerts, setAlerts] = useState([]);
+  const [dismissedAlerts, setDismissedAlerts] = useState(() => new Set());
+  const alertRulesRef = useRef(alertRulesByLocation);
+
+  // Feedback on the "Share link" button
+  const [shareNote, setShareNote] = useState("");
+
+  const backgroundQuality = useBackgroundQuality(preferVideo, qualityOverride);
+
+  // A farm opened from a shared link is offered until it is saved
+  const linkedFarm =
+    sharedLocation && !savedLocations.some((l) => l.lat === sharedLocation.lat && l.lon === sharedLocation.lon)
+      ? sharedLocation
+      : null;
+  // A removed farm falls back to the first built-in town
+  const selectedLocation =
+    findLocation(selectedKey, linkedFarm ? [...savedLocations, linkedFarm] : savedLocations) ?? LOCATIONS[0];
+  const locationKey = getLocationKey(selectedLocation);
+  const selectedLabel = selectedLocation.label;
+
+  const alertRules = getAlertRules(alertRulesByLocation, locationKey);
+
+  // The fetch effect reads rules through a ref so editing them doesn't refetch
+  useEffect(() => {
+    alertRulesRef.current = alertRulesByLocation;
+  }, [alertRulesByLocation]);
 
-  // Fetch weather when location changes
+  // Fetch weather when location changes, or a refresh is requested
   useEffect(() => {
+    // A newer request (refresh or location change) cancels this one
+    const controller = new AbortController();
+
+    function show(result, fromCacheAt) {
+      // Highlight what changed since the last poll of the same location
+      if (loadedKeyRef.current === locationKey) {
+        const changed = diffObservations(observationRef.current, result.current.observation);
+        setChangedMetrics(changed);
+        clearTimeout(highlightTimerRef.current);
+        highlightTimerRef.current = setTimeout(() => setChangedMetrics(new Set()), CHANGE_HIGHLIGHT_MS);
+      }
+      observationRef.current = result.current.observation;
+
+      setData(result.current);
+      setForecast(result.forecast);
+      setCachedAt(fromCacheAt);
+      setLastFetchedAt(fromCacheAt ?? Date.now());
+      setStatus("ok");
+      // Alerts (and notifications) only for fresh readings, never for cached ones
+      setAlerts(
+        fromCacheAt == null
+          ? processWeatherAlerts(
+              locationKey,
+              selectedLocation.label,
+              getAlertRules(alertRulesRef.current, locationKey),
+              result.current.observation
+            )
+          : []
+      );
+      loadedKeyRef.current = locationKey;
+    }
+
     async function load() {
-      if (!apiKey) {
+      if (provider.configError) {
         setStatus("error");
-        setError("Missing VITE_OWM_API_KEY in .env");
+        setError(new RequestError("config", provider.configError));
         return;
       }
 
-      setStatus("loading");
-      setError("");
+      // Refreshing the same location keeps the current card on screen
+      if (loadedKeyRef.current !== locationKey) {
+        setStatus("loading");
+        setAlerts([]);
+      }
+      setError(null);
 
       try {
-        const url =
-          `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(selectedQ)}` +
-          `&units=metric&appid=${apiKey}`;
-
-        const res = await fetch(url);
-        const json = await res.json();
-
-        if (!res.ok) throw new Error(json?.message || "Weather API error");
-
-        setData(json);
-        setStatus("ok");
+        // No navigator.onLine pre-check: the fixture provider works offline and a
+        // LAN proxy may still answer. Failed fetches are classified as offline
+        // by fetchWithTimeout (see services/requestErrors.js).
+        const result = await fetchWeather(provider, selectedLocation, {
+          signal: controller.signal,
+          onRetry: ({ delayMs, error: retryError }) =>
+            setRetryNote(`${retryError.message}. Retrying in ${Math.round(delayMs / 1000)} s…`),
+        });
+
+        saveWeatherCache(locationKey, result);
+        recordObservation(locationKey, result.current).catch((err) => console.warn("Failed to log observation:", err));
+        show(result, null);
       } catch (e) {
+        if (controller.signal.aborted) return;
+
+        const requestError = toRequestError(e);
+        setError(requestError);
+
+        // Connection trouble falls back to the cache on its own; a bad key or
+        // unknown place shows the error card, with the cache one click away
+        const cached = readWeatherCache(locationKey);
+        if (cached && (requestError.transient || requestError.kind === "offline")) {
+          show(cached, cached.savedAt);
+          return;
+        }
         setStatus("error");
-        setError(String(e.message || e));
+      } finally {
+        if (!controller.signal.aborted) setRetryNote("");
       }
     }
 
     load();
-  }, [apiKey, selectedQ]);
-
-  const temp = data ? Math.round(data.main.temp) : null;
-  const feels = data ? Math.round(data.main.feels_like) : null;
-  const wind = data ? Math.round(data.wind.speed) : null;
-  const humidity = data ? Math.round(data.main.humidity) : null;
-  const desc = data?.weather?.[0]?.description ?? "";
-  const hi = data ? Math.round(data.main.temp_max) : null;
-  const lo = data ? Math.round(data.main.temp_min) : null;
-
-  const tz = data?.timezone ?? 0;
-  const sunrise = data?.sys?.sunrise ? formatTime(data.sys.sunrise, tz) : "--:--";
-  const sunset = data?.sys?.sunset ? formatTime(data.sys.sunset, tz) : "--:--";
-
-  // OpenWeather icon
-  const iconCode = data?.weather?.[0]?.icon;
-  const iconUrl = iconCode ? `https://openweathermap.org/img/wn/${iconCode}@2x.png` : "";
-
-  // Decide ambience mode
-  const ambience = useMemo(() => {
-    const main = (data?.weather?.[0]?.main ?? "").toLowerCase();
-    const windSpeed = Number(data?.wind?.speed ?? 0);
-
-    const rain1h = Number(data?.rain?.["1h"] ?? 0);
-    const rain3h = Number(data?.rain?.["3h"] ?? 0);
-    const rainAmount = Math.max(rain1h, rain3h);
-
-    if (main.includes("thunder")) return { key: "thunder", label: "Thunderstorm" };
-
-    if (main.includes("rain") || main.includes("drizzle")) {
-      if (rainAmount >= 6) return { key: "heavy-rain", label: "Heavy Rain" };
-      return { key: "rain", label: "Rain" };
-    }
-
-    if (windSpeed >= 8) return { key: "wind", label: "Windy" };
-    if (main.includes("clear")) return { key: "sunny", label: "Sunny" };
-    if (main.includes("cloud")) return { key: "cloud", label: "Cloudy" };
-
-    return { key: "neutral", label: "Neutral" };
-  }, [data]);
-
-  // Theme class for CSS animated bg (fallback when dynamic background is disabled)
-  const themeClass = useMemo(() => {
-    if (ambience.key === "thunder") return "ios-thunder";
-    if (ambience.key === "rain" || ambience.key === "heavy-rain") return "ios-rain";
-    if (ambience.key === "wind") return "ios-wind";
-    if (ambience.key === "sunny") return "ios-clear";
-    if (ambience.key === "cloud") return "ios-clouds";
-    return "ios-neutral";
-  }, [ambience.key]);
-
-  // Giphy API key (optional, can use public beta key if not provided)
-  const giphyApiKey = import.meta.env.VITE_GIPHY_API_KEY || null;
-
-  // Volume curve
-  function setMasterVolume(v0to100) {
-    const r = audioRef.current;
-    if (!r.master) return;
-    const t = r.ctx?.currentTime ?? 0;
-
-    const x = clamp(v0to100 / 100, 0, 1);
-    const gain = x === 0 ? 0 : Math.pow(x, 1.8);
-    r.master.gain.setTargetAtTime(gain, t, 0.03);
+    return () => controller.abort();
+  }, [provider, selectedLocation, locationKey, refreshCount]);
+
+  const requestRefresh = useCallback(() => setRefreshCount((c) => c + 1), []);
+
+  const hasCachedData = status === "error" && readWeatherCache(locationKey) !== null;
+
+  // "Show cached data" on the error card; alerts stay off for stale readings
+  function handleShowCached() {
+    const cached = readWeatherCache(locationKey);
+    if (!cached) return;
+    observationRef.current = cached.current.observation;
+    loadedKeyRef.current = locationKey;
+    setData(cached.current);
+    setForecast(cached.forecast);
+    setCachedAt(cached.savedAt);
+    setLastFetchedAt(cached.savedAt);
+    setStatus("ok");
+    setAlerts([]);
   }
 
-  // Create audio context once
-  function ensureAudio() {
-    const r = audioRef.current;
-    if (r.ctx) return;
-
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
-    const master = ctx.createGain();
-    master.gain.value = 0;
-    master.connect(ctx.destination);
+  // Poll while the tab is visible
+  useAutoRefresh(requestRefresh, refreshMinutes * 60 * 1000);
 
-    r.ctx = ctx;
-    r.master = master;
+  // Refresh in the background when the connection comes back
+  useEffect(() => {
+    window.addEventListener("online", requestRefresh);
+    return () => window.removeEventListener("online", requestRefresh);
+  }, [requestRefresh]);
 
-    setMasterVolume(volume);
+  function handleAlertRulesChange(rules) {
+    setAlertRulesByLocation(saveAlertRules(locationKey, rules));
+    if (status === "ok" && cachedAt == null) setAlerts(processWeatherAlerts(locationKey, selectedLabel, rules, data.observation));
   }
 
-  function stopAll() {
-    const r = audioRef.current;
-    if (!r.ctx) return;
-
-    if (r.thunderTimer) {
-      clearInterval(r.thunderTimer);
-      r.thunderTimer = null;
-    }
+  function handleAddLocation(farm) {
+    const next = addSavedLocation(savedLocations, farm);
+    setSavedLocations(next);
+    setPreference("location", next[next.length - 1].id);
+  }
 
-    if (r.noiseSrc) {
-      try { r.noiseSrc.stop(); } catch {}
-      r.noiseSrc.disconnect();
-      r.noiseSrc = null;
-    }
-    if (r.noiseGain) {
-      r.noiseGain.disconnect();
-      r.noiseGain = null;
-    }
-    if (r.filter) {
-      r.filter.disconnect();
-      r.filter = null;
-    }
+  // Drop history past the retention period (on start and when it changes)
+  useEffect(() => {
+    pruneHistory(historyRetentionDays).catch((err) => console.warn("Failed to prune history:", err));
+  }, [historyRetentionDays]);
 
-    if (r.osc) {
-      try { r.osc.stop(); } catch {}
-      r.osc.disconnect();
-      r.osc = null;
-    }
-    if (r.oscGain) {
-      r.oscGain.disconnect();
-      r.oscGain = null;
+  // Keep the address bar describing the current view, so it can be bookmarked or shared
+  useEffect(() => {
+    writeUrlPreferences(selectedLocation, preferences);
+  }, [selectedLocation, preferences]);
+
+  async function handleShareLink() {
+    const url = writeUrlPreferences(selectedLocation, preferences);
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: `FarmSync · ${selectedLabel}`, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setShareNote("Link copied");
+    } catch (err) {
+      // Closing the share sheet is not a failure
+      if (err?.name !== "AbortError") setShareNote("Copy the link from the address bar");
     }
+    setTimeout(() => setShareNote(""), 2500);
   }
 
-  function createNoiseSource(ctx) {
-    const bufferSize = ctx.sampleRate * 2;
-    const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-    const ch = buffer.getChannelData(0);
-    for (let i = 0; i < bufferSize; i++) ch[i] = Math.random() * 2 - 1;
-
-    const src = ctx.createBufferSource();
-    src.buffer = buffer;
-    src.loop = true;
-    return src;
+  function handleRemoveLocation(id) {
+    setSavedLocations(removeSavedLocation(savedLocations, id));
+    // Don't leave the preference pointing at a farm that no longer exists
+    if (id === selectedKey) setPreference("location", LOCATIONS[0].q);
   }
 
-  // Distinct ambience sounds
-  function startAmbience(modeKey) {
-    const r = audioRef.current;
-    const ctx = r.ctx;
-    if (!ctx || !r.master) return;
-
-    stopAll();
-    const now = ctx.currentTime;
-
-    // SUNNY (warm pad)
-    if (modeKey === "sunny") {
-      const osc = ctx.createOscillator();
-      osc.type = "sine";
-      osc.frequency.value = 196;
-
-      const gain = ctx.createGain();
-      gain.gain.value = 0;
-
-      osc.connect(gain);
-      gain.connect(r.master);
-
-      gain.gain.linearRampToValueAtTime(0.22, now + 1.2);
-
-      osc.start();
-
-      r.osc = osc;
-      r.oscGain = gain;
-      return;
-    }
-
-    // Base noise bed
-    const noiseSrc = createNoiseSource(ctx);
-    const filter = ctx.createBiquadFilter();
-    const noiseGain = ctx.createGain();
-
-    noiseGain.gain.value = 0;
-
-    noiseSrc.connect(filter);
-    filter.connect(noiseGain);
-    noiseGain.connect(r.master);
-
-    noiseSrc.start();
-
-    r.noiseSrc = noiseSrc;
-    r.filter = filter;
-    r.noiseGain = noiseGain;
-
-    // LIGHT RAIN
-    if (modeKey === "rain") {
-      filter.type = "bandpass";
-      filter.frequency.value = 1800;
-      filter.Q.value = 0.6;
-
-      noiseGain.gain.linearRampToValueAtTime(0.35, now + 0.8);
-      return;
-    }
-
-    // HEAVY RAIN (super heavy)
-    if (modeKey === "heavy-rain") {
-      filter.type = "bandpass";
-      filter.frequency.value = 2200;
-      filter.Q.value = 0.85;
-
-      noiseGain.gain.linearRampToValueAtTime(0.75, now + 0.5);
-
-      const rumble = ctx.createOscillator();
-      rumble.type = "triangle";
-      rumble.frequency.value = 55;
-
-      const rumbleGain = ctx.createGain();
-      rumbleGain.gain.value = 0;
-
-      rumble.connect(rumbleGain);
-      rumbleGain.connect(r.master);
-
-      rumbleGain.gain.linearRampToValueAtTime(0.32, now + 0.9);
-
-      rumble.start();
-
-      r.osc = rumble;
-      r.oscGain = rumbleGain;
-      return;
-    }
-
-    // WIND
-    if (modeKey === "wind") {
-      filter.type = "lowpass";
-      filter.frequency.value = 500;
-
-      noiseGain.gain.linearRampToValueAtTime(0.45, now + 0.8);
-      return;
-    }
-
-    // THUNDER (NO buzz: deep rumble only)
-    if (modeKey === "thunder") {
-      filter.type = "bandpass";
-      filter.frequency.value = 1700;
-      filter.Q.value = 0.7;
-
-      noiseGain.gain.linearRampToValueAtTime(0.45, now + 0.6);
-
-      r.thunderTimer = setInterval(() => {
-        const t = ctx.currentTime;
-
-        const rumble = ctx.createOscillator();
-        rumble.type = "triangle";
-        rumble.frequency.value = 48;
+  function handleDismissAlert(id) {
+    setDismissedAlerts((prev) => new Set(prev).add(id));
+  }
 
-        const g = ctx.createGain();
-        g.gain.value = 0;
+  const visibleAlerts = alerts.filter((a) => !dismissedAlerts.has(a.id));
 
-        rumble.connect(g);
-        g.connect(r.master);
+  const observation = data?.observation ?? null;
 
-        g.gain.setValueAtTime(0, t);
-        g.gain.linearRampToValueAtTime(0.55, t + 0.12);
-        g.gain.exponentialRampToValueAtTime(0.001, t + 1.8);
+  const temp = observation ? Math.round(observation.temp) : null;
+  const feels = observation ? Math.round(observation.feelsLike) : null;
+  const wind = observation ? Math.round(observation.windSpeed) : null;
+  const humidity = observation ? Math.round(observation.humidity) : null;
+  const desc = observation?.condition.description ?? "";
+  const hi = observation ? Math.round(observation.tempMax) : null;
+  const lo = observation ? Math.round(observation.tempMin) : null;
 
-        rumble.frequency.setValueAtTime(58, t);
-        rumble.frequency.linearRampToValueAtTime(38, t + 1.4);
+  const tz = data?.timezone ?? 0;
+  const sunrise = data?.sunrise ? formatTime(data.sunrise, tz) : "--:--";
+  const sunset = data?.sunset ? formatTime(data.sunset, tz) : "--:--";
+  const daylight = daylightFromSun(data?.sunrise ?? null, data?.sunset ?? null, tz);
 
-        rumble.start(t);
-        rumble.stop(t + 1.9);
-      }, 6000);
+  // Condition icon (every provider maps onto OWM icon codes)
+  const iconUrl = owmIconUrl(observation?.condition.icon);
 
-      return;
-    }
+  // Decide ambience mode
+  const ambience = useMemo(() => classifyAmbience(observation), [observation]);
 
-    // CLOUD / NEUTRAL
-    filter.type = "lowpass";
-    filter.frequency.value = modeKey === "cloud" ? 1200 : 900;
-    noiseGain.gain.linearRampToValueAtTime(0.18, now + 0.8);
-  }
+  // Forecast views, anchored to the observation time of the current conditions
+  const observationTime = observation?.time ?? 0;
+  const hourlyForecast = useMemo(() => getHourlyForecast(forecast, observationTime), [forecast, observationTime]);
+  const dailyForecast = useMemo(() => getDailyForecast(forecast), [forecast]);
 
-  async function handleTogglePlay() {
-    ensureAudio();
-    const r = audioRef.current;
-    if (!r.ctx) return;
+  // Field operation advice for now + the next 24h, looking a further day ahead for rain
+  const fieldAdvice = useMemo(() => {
+    if (!observation) return [];
+    const upcoming = getHourlyForecast(forecast, observation.time, 48);
+    return adviseFieldOperations([observation, ...upcoming], getFieldOperationThresholds(locationKey), 1 + hourlyForecast.length);
+  }, [observation, forecast, hourlyForecast.length, locationKey]);
 
-    if (r.ctx.state === "suspended") {
-      await r.ctx.resume();
-    }
+  // Theme class for CSS animated bg (fallback when dynamic background is disabled)
+  const themeClass = getThemeClass(ambience.key);
+
+  // Live readings for the procedural background scene
+  const backgroundIntensity = useMemo(
+    () => ({
+      rain: observation?.rain ?? 0,
+      windSpeed: observation?.windSpeed ?? 0,
+      windDeg: observation?.windDeg ?? 0,
+      clouds: observation?.clouds ?? 0,
+    }),
+    [observation]
+  );
 
-    if (!isPlaying) {
-      setIsPlaying(true);
-      setMasterVolume(volume);
-      startAmbience(ambience.key);
-    } else {
-      setIsPlaying(false);
-      stopAll();
-      const t = r.ctx.currentTime;
-      r.master.gain.setTargetAtTime(0, t, 0.03);
-    }
-  }
+  // Day/night, intensity and season for picking among curated background variants
+  const variantContext = useMemo(() => getVariantContext(data, now), [data, now]);
 
-  // Volume updates live
-  useEffect(() => {
-    ensureAudio();
-    setMasterVolume(volume);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [volume]);
+  // Giphy API key (optional, can use public beta key if not provided)
+  const giphyApiKey = GIPHY_API_KEY;
 
-  // Auto-switch ambience when weather changes
-  useEffect(() => {
-    if (!isPlaying) return;
-    startAmbience(ambience.key);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [ambience.key, isPlaying]);
+  // Ambient sound follows the classification and live readings while playing
+  const { isPlaying, toggle: handleTogglePlay } = useAmbientAudio(ambience.key, volume, observation);
 
   return (
-    <div className={enableDynamicBackground ? "" : `ios-bg ${themeClass}`} style={{ minHeight: "100vh", position: "relative" }}>
-      {/* Dynamic Weather Background */}
-      {enableDynamicBackground && status === "ok" && ambience.key && (
-        <WeatherBackground
-          weatherKey={ambience.key}
-          weatherDescription={desc}
-          preferVideo={preferVideo}
-          giphyApiKey={giphyApiKey}
-        />
-      )}
+    <div style={{ minHeight: "100vh", position: "relative" }}>
+      {/* Animated CSS theme (shown when dynamic background is disabled, paused underneath it otherwise) */}
+      <ThemeBackground themeClass={themeClass} paused={enableDynamicBackground} />
+
+      {/* Dynamic Weather Background (fades over the theme; keeps the last background while loading) */}
+      <WeatherBackground
+        weatherKey={observation ? ambience.key : null}
+        weatherDescription={desc}
+        preferVideo={preferVideo}
+        giphyApiKey={giphyApiKey}
+        intensity={backgroundIntensity}
+        forceProcedural={forceProcedural}
+        quality={backgroundQuality.tier}
+        variant={variantContext}
+        visible={enableDynamicBackground}
+      />
+
+      {/* Flashes over either background when the audio engine strikes lightning */}
+      <LightningFlash enabled={lightningFlashes} />
 
       <div
         style={{
@@ -453,8 +386,8 @@ export default function App() {
             <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
               <label style={{ fontSize: 12, opacity: 0.85 }}>Location</label>
               <select
-                value={selectedQ}
-                onChange={(e) => setSelectedQ(e.target.value)}
+                value={locationKey}
+                onChange={(e) => setPreference("location", e.target.value)}
                 style={{
                   background: "rgba(255,255,255,0.08)",
                   border: "1px solid rgba(255,255,255,0.16)",
@@ -463,12 +396,39 @@ export default function App() {
                   borderRadius: 12,
                 }}
               >
-                {LOCATIONS.map((l) => (
-                  <option key={l.q} value={l.q} style={{ color: "black" }}>
-                    {l.label}
-                  </option>
-                ))}
+                {savedLocations.length > 0 && (
+                  <optgroup label="My farms" style={{ color: "black" }}>
+                    {savedLocations.map((l) => (
+                      <option key={l.id} value={l.id} style={{ color: "black" }}>
+                        {l.label}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+                {linkedFarm && (
+                  <optgroup label="Shared link" style={{ color: "black" }}>
+                    <option value={linkedFarm.id} style={{ color: "black" }}>
+                      {linkedFarm.label}
+                    </option>
+                  </optgroup>
+                )}
+                <optgroup label="Towns" style={{ color: "black" }}>
+                  {LOCATIONS.map((l) => (
+                    <option key={l.q} value={l.q} style={{ color: "black" }}>
+                      {l.label}
+                    </option>
+                  ))}
+                </optgroup>
               </select>
+              {selectedLocation.shared && (
+                <button
+                  onClick={() => handleAddLocation(selectedLocation)}
+                  style={buttonStyle}
+                  title="Add this shared farm to My farms"
+                >
+                  Save farm
+                </button>
+              )}
 
               {/* Background Toggle */}
               <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
@@ -476,7 +436,7 @@ export default function App() {
                   <input
                     type="checkbox"
                     checked={enableDynamicBackground}
-                    onChange={(e) => setEnableDynamicBackground(e.target.checked)}
+                    onChange={(e) => setPreference("dynamicBackground", e.target.checked)}
                     style={{ cursor: "pointer" }}
                   />
                   Dynamic BG
@@ -485,6 +445,8 @@ export default function App() {
             </div>
           </div>
 
+          <AlertBanner alerts={visibleAlerts} onDismiss={handleDismissAlert} />
+
           {/* Card */}
           <div
             style={{
@@ -496,11 +458,32 @@ export default function App() {
             }}
           >
             <div style={{ padding: 18 }}>
-              {status === "loading" && <div>Loading weather…</div>}
-              {status === "error" && <div style={{ color: "#fca5a5" }}>{error}</div>}
+              {status === "loading" && (
+                <div>
+                  Loading weather…
+                  {retryNote && <div style={{ fontSize: 12, opacity: 0.75, marginTop: 4 }}>{retryNote}</div>}
+                </div>
+              )}
+              {status === "error" && error && (
+                <ErrorCard
+                  error={error}
+                  proxied={Boolean(API_PROXY_URL)}
+                  onRetry={requestRefresh}
+                  onShowCached={hasCachedData ? handleShowCached : null}
+                />
+              )}
 
               {status === "ok" && data && (
                 <div style={{ display: "grid", gap: 14 }}>
+                  {cachedAt && (
+                    <StalenessBadge
+                      savedAt={cachedAt}
+                      now={now}
+                      expired={isCacheExpired(cachedAt, now)}
+                      reason={error ? describeRequestError(error).title : ""}
+                    />
+                  )}
+
                   <div style={{ display: "grid", gridTemplateColumns: "1.2fr 1fr", gap: 16 }}>
                     <div style={cardStyle}>
                       <div style={{ textAlign: "center" }}>
@@ -526,10 +509,20 @@ export default function App() {
                               }}
                             />
                           )}
-                          <div style={{ fontSize: 76, fontWeight: 900, lineHeight: 1 }}>{temp}°</div>
+                          <div
+                            className={changedMetrics.has("temp") ? "metric-changed" : undefined}
+                            style={{ fontSize: 76, fontWeight: 900, lineHeight: 1, borderRadius: 18 }}
+                          >
+                            {temp}°
+                          </div>
                         </div>
 
-                        <div style={{ textTransform: "capitalize", opacity: 0.9, marginTop: 6, fontSize: 16 }}>{desc}</div>
+                        <div
+                          className={changedMetrics.has("condition") ? "metric-changed" : undefined}
+                          style={{ textTransform: "capitalize", opacity: 0.9, marginTop: 6, fontSize: 16, borderRadius: 10 }}
+                        >
+                          {desc}
+                        </div>
 
                         <div style={{ marginTop: 10, opacity: 0.85, fontSize: 14 }}>
                           H: <b>{hi}°</b> &nbsp;&nbsp; L: <b>{lo}°</b> &nbsp;&nbsp; • &nbsp;&nbsp; Feels like{" "}
@@ -539,13 +532,63 @@ export default function App() {
                     </div>
 
                     <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
-                      <Metric title="Wind" value={`${wind ?? "--"} m/s`} />
-                      <Metric title="Humidity" value={`${humidity ?? "--"}%`} />
+                      <Metric title="Wind" value={`${wind ?? "--"} m/s`} highlight={changedMetrics.has("wind")} />
+                      <Metric title="Humidity" value={`${humidity ?? "--"}%`} highlight={changedMetrics.has("humidity")} />
                       <Metric title="Sunrise" value={sunrise} />
                       <Metric title="Sunset" value={sunset} />
+                      <EvapotranspirationCard
+                        locationKey={locationKey}
+                        lat={selectedLocation.lat ?? data.location?.lat ?? null}
+                        elevation={data.location?.elevation ?? null}
+                        daylight={daylight}
+                        forecast={forecast}
+                        timezone={tz}
+                        now={now}
+                        lastRecordedAt={cachedAt ? null : lastFetchedAt}
+                        crop={etCrop}
+                        stage={etStage}
+                        onChange={setPreference}
+                      />
                     </div>
                   </div>
 
+                  <FieldAdvisor advice={fieldAdvice} timezone={tz} />
+
+                  <ForecastPanel hourly={hourlyForecast} daily={dailyForecast} timezone={tz} />
+
+                  <IrrigationPanel
+                    locationKey={locationKey}
+                    locationLabel={selectedLabel}
+                    lat={selectedLocation.lat ?? data.location?.lat ?? null}
+                    elevation={data.location?.elevation ?? null}
+                    daylight={daylight}
+                    forecast={forecast}
+                    timezone={tz}
+                    now={now}
+                    lastRecordedAt={cachedAt ? null : lastFetchedAt}
+                  />
+
+                  <CropPanel
+                    locationKey={locationKey}
+                    savedLocations={savedLocations}
+                    forecast={forecast}
+                    timezone={tz}
+                    now={now}
+                    lastRecordedAt={cachedAt ? null : lastFetchedAt}
+                  />
+
+                  <HistoryPanel
+                    locationKey={locationKey}
+                    locationLabel={selectedLabel}
+                    timezone={tz}
+                    now={now}
+                    lastRecordedAt={cachedAt ? null : lastFetchedAt}
+                    retentionDays={historyRetentionDays}
+                    onRetentionChange={(days) => setPreference("historyRetentionDays", days)}
+                  />
+
+                  <AlertRulesEditor locationLabel={selectedLabel} rules={alertRules} onChange={handleAlertRulesChange} />
+
                   {/* Sound controls */}
                   <div style={cardStyle}>
                     <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
@@ -553,6 +596,15 @@ export default function App() {
                         <div style={{ fontSize: 14, opacity: 0.85 }}>Ambient Sound</div>
                         <div style={{ fontSize: 18, fontWeight: 800 }}>{ambience.label}</div>
                         <div style={{ fontSize: 12, opacity: 0.75, marginTop: 4 }}>(Play requires a click due to browser audio rules)</div>
+                        <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6, fontSize: 12, opacity: 0.85, cursor: "pointer" }}>
+                          <input
+                            type="checkbox"
+                            checked={lightningFlashes}
+                            onChange={(e) => setPreference("lightningFlashes", e.target.checked)}
+                            style={{ cursor: "pointer" }}
+                          />
+                          Lightning flashes
+                        </label>
                       </div>
 
                       {/* Background Preferences (shown when dynamic background is enabled) */}
@@ -562,11 +614,40 @@ export default function App() {
                             <input
                               type="checkbox"
                               checked={preferVideo}
-                              onChange={(e) => setPreferVideo(e.target.checked)}
+                              onChange={(e) => setPreference("preferVideo", e.target.checked)}
                               style={{ cursor: "pointer" }}
                             />
                             Prefer Video
                           </label>
+                          <label
+                            style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}
+                            title="Draw the weather instead of loading images or video"
+                          >
+                            <input
+                              type="checkbox"
+                              checked={forceProcedural}
+                              onChange={(e) => setPreference("forceProcedural", e.target.checked)}
+                              style={{ cursor: "pointer" }}
+                            />
+                            Procedural
+                          </label>
+                          <label style={{ display: "flex", alignItems: "center", gap: 6 }} title="How heavy a background may be">
+                            Quality
+                            <select
+                              value={qualityOverride ?? ""}
+                              onChange={(e) => setPreference("qualityOverride", e.target.value || null)}
+                              style={inputStyle}
+                            >
+                              <option value="" style={{ color: "black" }}>
+                                Auto: {QUALITY_TIERS[backgroundQuality.auto.tier]} ({backgroundQuality.auto.reason})
+                              </option>
+                              {Object.entries(QUALITY_TIERS).map(([tier, label]) => (
+                                <option key={tier} value={tier} style={{ color: "black" }}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
                         </div>
                       )}
 
@@ -597,11 +678,13 @@ export default function App() {
                         min="0"
                         max="100"
                         value={volume}
-                        onChange={(e) => setVolume(Number(e.target.value))}
+                        onChange={(e) => setPreference("volume", Number(e.target.value))}
                         style={{ width: "100%", marginTop: 6 }}
                       />
                     </div>
                   </div>
+
+                  <OfflineBackgrounds />
                 </div>
               )}
             </div>
@@ -613,26 +696,59 @@ export default function App() {
                 background: "rgba(0,0,0,0.18)",
                 fontSize: 12,
                 opacity: 0.9,
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                gap: 12,
+                flexWrap: "wrap",
               }}
             >
+              <span>
+                {provider.label}
+                {lastFetchedAt && <> · Updated {formatAge(now - lastFetchedAt)}</>}
+              </span>
+
+              <span style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <label htmlFor="refresh-interval">Auto-refresh</label>
+                <select
+                  id="refresh-interval"
+                  value={refreshMinutes}
+                  onChange={(e) => setPreference("refreshMinutes", Number(e.target.value))}
+                  style={inputStyle}
+                >
+                  {REFRESH_INTERVAL_OPTIONS.map((m) => (
+                    <option key={m} value={m} style={{ color: "black" }}>
+                      {m === 0 ? "Off" : `Every ${m} min`}
+                    </option>
+                  ))}
+                </select>
+                <button onClick={requestRefresh} style={buttonStyle}>
+                  Refresh now
+                </button>
+                <button onClick={handleShareLink} style={buttonStyle} title="Share a link to this view">
+                  {shareNote || "Share link"}
+                </button>
+              </span>
             </div>
           </div>
+
+          <div style={{ marginTop: 16 }}>
+            <LocationManager
+              savedLocations={savedLocations}
+              apiKey={apiKey}
+              onAdd={handleAddLocation}
+              onRemove={handleRemoveLocation}
+            />
+          </div>
         </div>
       </div>
     </div>
   );
 }
 
-const cardStyle = {
-  borderRadius: 18,
-  padding: 16,
-  background: "rgba(0,0,0,0.20)",
-  border: "1px solid rgba(255,255,255,0.10)",
-};
-
-function Metric({ title, value }) {
+function Metric({ title, value, highlight = false }) {
   return (
-    <div style={cardStyle}>
+    <div className={highlight ? "metric-changed" : undefined} style={cardStyle}>
       <div style={{ fontSize: 12, opacity: 0.8 }}>{title}</div>
       <div style={{ fontSize: 18, fontWeight: 700 }}>{value}</div>
     </div>
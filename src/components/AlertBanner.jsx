@@ -0,0 +1,43 @@
+/**
+ * AlertBanner Component
+ * In-app banner listing the weather alerts that are currently active
+ *
+ * @param {Array<object>} alerts - Active alerts from processWeatherAlerts()
+ * @param {function} onDismiss - Called with an alert id to hide it
+ */
+export default function AlertBanner({ alerts = [], onDismiss }) {
+  if (alerts.length === 0) return null;
+
+  return (
+    <div role="alert" style={{ display: 'grid', gap: 8, marginTop: 16 }}>
+      {alerts.map((alert) => (
+        <div
+          key={alert.id}
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            gap: 12,
+            padding: '10px 14px',
+            borderRadius: 14,
+            background: 'rgba(239,68,68,0.28)',
+            border: '1px solid rgba(252,165,165,0.45)',
+            backdropFilter: 'blur(10px)',
+            fontSize: 14,
+          }}
+        >
+          <span>
+            <b>⚠ Alert:</b> {alert.message}
+          </span>
+          <button
+            onClick={() => onDismiss(alert.id)}
+            aria-label="Dismiss alert"
+            style={{ background: 'transparent', color: 'white', padding: '2px 8px' }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { buttonStyle, cardStyle, inputStyle, sectionTitleStyle } from './styles';
+import { ALERT_METRICS, ALERT_OPERATORS } from '../config/alertRules';
+import { describeRule } from '../services/weatherAlerts';
+import { getNotificationPermission, requestNotificationPermission } from '../services/notifications';
+
+/**
+ * AlertRulesEditor Component
+ * Lists the alert rules of the selected location and lets the user toggle,
+ * remove and add rules, and enable browser notifications
+ *
+ * @param {string} locationLabel - Name of the selected location
+ * @param {Array<object>} rules - Rules for the selected location
+ * @param {function} onChange - Called with the updated rules array
+ */
+export default function AlertRulesEditor({ locationLabel, rules = [], onChange }) {
+  const [open, setOpen] = useState(false);
+  const [permission, setPermission] = useState(getNotificationPermission);
+  const [draft, setDraft] = useState({ metric: 'rain', operator: '>=', value: '' });
+
+  const isBoolean = ALERT_METRICS[draft.metric].unit === null;
+
+  function updateRule(id, patch) {
+    onChange(rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  function addRule(e) {
+    e.preventDefault();
+    if (!isBoolean && draft.value === '') return;
+
+    const rule = {
+      id: `${draft.metric}-${Date.now().toString(36)}`,
+      metric: draft.metric,
+      enabled: true,
+      ...(isBoolean ? {} : { operator: draft.operator, value: Number(draft.value) }),
+    };
+    onChange([...rules, rule]);
+    setDraft({ ...draft, value: '' });
+  }
+
+  async function enableNotifications() {
+    setPermission(await requestNotificationPermission());
+  }
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
+        <div style={sectionTitleStyle}>Alert rules · {locationLabel}</div>
+        <button
+          onClick={() => setOpen(!open)}
+          style={buttonStyle}
+        >
+          {open ? 'Hide' : `Edit (${rules.filter((r) => r.enabled).length} active)`}
+        </button>
+      </div>
+
+      {open && (
+        <div style={{ display: 'grid', gap: 8, marginTop: 12, fontSize: 13 }}>
+          {rules.map((rule) => (
+            <div key={rule.id} style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 6, flex: 1, cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                />
+                {describeRule(rule)}
+              </label>
+              <button
+                onClick={() => onChange(rules.filter((r) => r.id !== rule.id))}
+                aria-label={`Remove rule ${describeRule(rule)}`}
+                style={{ background: 'transparent', color: 'white', padding: '2px 8px' }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
+          <form onSubmit={addRule} style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginTop: 6 }}>
+            <select
+              value={draft.metric}
+              onChange={(e) => setDraft({ ...draft, metric: e.target.value })}
+              style={inputStyle}
+            >
+              {Object.entries(ALERT_METRICS).map(([key, m]) => (
+                <option key={key} value={key} style={{ color: 'black' }}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            {!isBoolean && (
+              <>
+                <select
+                  value={draft.operator}
+                  onChange={(e) => setDraft({ ...draft, operator: e.target.value })}
+                  style={inputStyle}
+                >
+                  {ALERT_OPERATORS.map((op) => (
+                    <option key={op} value={op} style={{ color: 'black' }}>
+                      {op}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  step="any"
+                  value={draft.value}
+                  onChange={(e) => setDraft({ ...draft, value: e.target.value })}
+                  placeholder={ALERT_METRICS[draft.metric].unit}
+                  style={{ ...inputStyle, width: 90 }}
+                />
+              </>
+            )}
+            <button type="submit" style={buttonStyle}>
+              Add rule
+            </button>
+          </form>
+
+          <div style={{ marginTop: 6, opacity: 0.85 }}>
+            {permission === 'granted' && 'Browser notifications are on.'}
+            {permission === 'denied' && 'Browser notifications are blocked in your browser settings.'}
+            {permission === 'unsupported' && 'This browser does not support notifications.'}
+            {permission === 'default' && (
+              <button onClick={enableNotifications} style={buttonStyle}>
+                Enable browser notifications
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
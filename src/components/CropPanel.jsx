@@ -0,0 +1,393 @@
+import { useState } from 'react';
+import { buttonStyle, cardStyle, inputStyle, sectionTitleStyle } from './styles';
+import { CROP_PROFILES, GDD_RATE_DAYS } from '../config/crops';
+import { LOCATIONS } from '../config/locations';
+import {
+  createCropBlock,
+  createCropStage,
+  createCustomCrop,
+  daysBetween,
+  getCropProfiles,
+  loadCropBlocks,
+  loadCustomCrops,
+  saveCropBlocks,
+  saveCustomCrops,
+  trackCropGrowth,
+} from '../services/cropGrowth';
+import { getLocationKey } from '../services/savedLocations';
+import { readWeatherCache } from '../services/weatherCache';
+import useObservationHistory from '../hooks/useObservationHistory';
+import { formatAge, localDateKey } from '../utils/format';
+
+const DAY_SECONDS = 24 * 3600;
+
+function formatDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+const optionStyle = { color: 'black' };
+
+/**
+ * CropPanel Component
+ * Planted blocks on any farm with their growing degree days, current and
+ * predicted growth stage and expected harvest date. Blocks and
+ * user-defined crop profiles are edited here.
+ *
+ * Blocks on other farms use the timezone and forecast saved when that farm
+ * was last opened (weatherCache.js); until it has been opened once they
+ * can't be tracked.
+ *
+ * @param {string} locationKey - Selected location key
+ * @param {Array<object>} savedLocations - Saved farms blocks can be linked to
+ * @param {object|null} forecast - Normalized forecast of the selected location
+ * @param {number} timezone - Selected location's offset from UTC in seconds
+ * @param {number} now - Current time in milliseconds
+ * @param {number|null} lastRecordedAt - Time of the latest fetch (reloads the readings)
+ */
+export default function CropPanel({ locationKey, savedLocations, forecast = null, timezone = 0, now, lastRecordedAt = null }) {
+  const [blocks, setBlocks] = useState(loadCropBlocks);
+  const [customCrops, setCustomCrops] = useState(loadCustomCrops);
+  const [editing, setEditing] = useState(false);
+  const [copyFrom, setCopyFrom] = useState('');
+
+  const profiles = getCropProfiles(customCrops);
+  const locations = [...savedLocations, ...LOCATIONS].map((l) => ({ key: getLocationKey(l), label: l.label }));
+  const today = localDateKey(Math.floor(now / 1000), timezone);
+  // Blocks on the selected farm first
+  const sortedBlocks = [...blocks].sort((a, b) => (b.locationKey === locationKey) - (a.locationKey === locationKey));
+
+  function updateBlocks(next) {
+    setBlocks(saveCropBlocks(next));
+  }
+
+  function updateBlock(id, patch) {
+    updateBlocks(blocks.map((b) => (b.id === id ? { ...b, ...patch } : b)));
+  }
+
+  function updateCrops(next) {
+    setCustomCrops(saveCustomCrops(next));
+  }
+
+  function updateCrop(id, patch) {
+    updateCrops(customCrops.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+
+  function updateStage(crop, key, patch) {
+    updateCrop(crop.id, { stages: crop.stages.map((s) => (s.key === key ? { ...s, ...patch } : s)) });
+  }
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
+        <div style={sectionTitleStyle}>Crops & growth stages</div>
+        <button onClick={() => setEditing(!editing)} style={buttonStyle}>
+          {editing ? 'Done' : `Blocks (${blocks.length})`}
+        </button>
+      </div>
+
+      {blocks.length === 0 && !editing && (
+        <div style={{ fontSize: 13, opacity: 0.8, marginTop: 8 }}>
+          Nothing planted yet. Add a block to track its growing degree days, growth stage and harvest date.
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gap: 12, marginTop: 10 }}>
+        {sortedBlocks.map((block) => {
+          const profile = profiles[block.cropId];
+          const location = locations.find((l) => l.key === block.locationKey);
+          if (!profile) return null;
+          const locationLabel = location?.label ?? 'Removed farm';
+          if (block.locationKey === locationKey) {
+            return (
+              <BlockGrowth
+                key={block.id}
+                block={block}
+                profile={profile}
+                locationLabel={locationLabel}
+                forecast={forecast}
+                timezone={timezone}
+                now={now}
+                lastRecordedAt={lastRecordedAt}
+              />
+            );
+          }
+          const saved = readWeatherCache(block.locationKey);
+          if (!saved) {
+            return (
+              <div key={block.id}>
+                <BlockTitle block={block} profile={profile} locationLabel={locationLabel} />
+                <div style={{ fontSize: 12, opacity: 0.8, marginTop: 4 }}>Open {locationLabel} to update this block's growth.</div>
+              </div>
+            );
+          }
+          return (
+            <BlockGrowth
+              key={block.id}
+              block={block}
+              profile={profile}
+              locationLabel={locationLabel}
+              forecast={saved.forecast}
+              timezone={saved.current.timezone ?? 0}
+              now={now}
+              lastRecordedAt={lastRecordedAt}
+              weatherSavedAt={saved.savedAt}
+            />
+          );
+        })}
+      </div>
+
+      {editing && (
+        <div style={{ display: 'grid', gap: 8, marginTop: 12, fontSize: 13 }}>
+          {blocks.map((block) => (
+            <div key={block.id} style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+              <input
+                value={block.label}
+                onChange={(e) => updateBlock(block.id, { label: e.target.value })}
+                aria-label="Block name"
+                style={{ ...inputStyle, width: 110 }}
+              />
+              <select value={block.cropId} onChange={(e) => updateBlock(block.id, { cropId: e.target.value })} aria-label="Crop" style={inputStyle}>
+                {Object.entries(profiles).map(([id, profile]) => (
+                  <option key={id} value={id} style={optionStyle}>
+                    {profile.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={block.locationKey}
+                onChange={(e) => updateBlock(block.id, { locationKey: e.target.value })}
+                aria-label="Location"
+                style={{ ...inputStyle, maxWidth: 180 }}
+              >
+                {!locations.some((l) => l.key === block.locationKey) && (
+                  <option value={block.locationKey} style={optionStyle}>
+                    Removed farm
+                  </option>
+                )}
+                {locations.map((l) => (
+                  <option key={l.key} value={l.key} style={optionStyle}>
+                    {l.label}
+                  </option>
+                ))}
+              </select>
+              <label>
+                Planted{' '}
+                <input
+                  type="date"
+                  value={block.plantedOn}
+                  onChange={(e) => e.target.value && updateBlock(block.id, { plantedOn: e.target.value })}
+                  style={inputStyle}
+                />
+              </label>
+              <button onClick={() => updateBlocks(blocks.filter((b) => b.id !== block.id))} style={buttonStyle}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <div>
+            <button onClick={() => updateBlocks([...blocks, createCropBlock(blocks, locationKey, today)])} style={buttonStyle}>
+              Add block
+            </button>
+          </div>
+
+          <div style={{ ...sectionTitleStyle, fontSize: 14, marginTop: 8 }}>My crops</div>
+          {customCrops.map((crop) => {
+            const inUse = blocks.some((b) => b.cropId === crop.id);
+            return (
+              <div key={crop.id} style={{ display: 'grid', gap: 6, padding: 10, borderRadius: 12, background: 'rgba(255,255,255,0.06)' }}>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+                  <input
+                    value={crop.label}
+                    onChange={(e) => updateCrop(crop.id, { label: e.target.value })}
+                    aria-label="Crop name"
+                    style={{ ...inputStyle, width: 140 }}
+                  />
+                  <NumberField label="Base" unit="°C" value={crop.baseTempC} onChange={(v) => updateCrop(crop.id, { baseTempC: v })} />
+                  <NumberField label="Cap" unit="°C" value={crop.maxTempC} onChange={(v) => updateCrop(crop.id, { maxTempC: v })} />
+                  <NumberField
+                    label="Harvest at"
+                    unit="GDD"
+                    step="50"
+                    value={crop.harvestGdd}
+                    onChange={(v) => v > 0 && updateCrop(crop.id, { harvestGdd: v })}
+                  />
+                  <button
+                    onClick={() => updateCrops(customCrops.filter((c) => c.id !== crop.id))}
+                    disabled={inUse}
+                    title={inUse ? 'Planted in a block' : undefined}
+                    style={{ ...buttonStyle, opacity: inUse ? 0.5 : 1 }}
+                  >
+                    Remove
+                  </button>
+                </div>
+                {crop.stages.map((stage) => (
+                  <div key={stage.key} style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', paddingLeft: 12 }}>
+                    <input
+                      value={stage.label}
+                      onChange={(e) => updateStage(crop, stage.key, { label: e.target.value })}
+                      aria-label="Stage name"
+                      style={{ ...inputStyle, width: 130 }}
+                    />
+                    <NumberField
+                      label="from"
+                      unit="GDD"
+                      step="50"
+                      value={stage.gdd}
+                      onChange={(v) => v >= 0 && updateStage(crop, stage.key, { gdd: v })}
+                    />
+                    {crop.stages.length > 1 && (
+                      <button
+                        onClick={() => updateCrop(crop.id, { stages: crop.stages.filter((s) => s.key !== stage.key) })}
+                        style={buttonStyle}
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                ))}
+                <div style={{ paddingLeft: 12 }}>
+                  <button onClick={() => updateCrop(crop.id, { stages: [...crop.stages, createCropStage(crop)] })} style={buttonStyle}>
+                    Add stage
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+            <select value={copyFrom} onChange={(e) => setCopyFrom(e.target.value)} aria-label="Start from" style={inputStyle}>
+              <option value="" style={optionStyle}>
+                Blank crop
+              </option>
+              {Object.entries(CROP_PROFILES).map(([id, profile]) => (
+                <option key={id} value={id} style={optionStyle}>
+                  Copy of {profile.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => updateCrops([...customCrops, createCustomCrop(customCrops, CROP_PROFILES[copyFrom] ?? null)])}
+              style={buttonStyle}
+            >
+              Add crop
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function NumberField({ label, unit, value, onChange, step = '1' }) {
+  return (
+    <label>
+      {label}{' '}
+      <input
+        type="number"
+        step={step}
+        value={value}
+        onChange={(e) => e.target.value !== '' && onChange(Number(e.target.value))}
+        style={{ ...inputStyle, width: 64 }}
+      />{' '}
+      {unit}
+    </label>
+  );
+}
+
+function BlockTitle({ block, profile, locationLabel, note = null }) {
+  return (
+    <div style={{ display: 'flex', gap: 8, alignItems: 'baseline', flexWrap: 'wrap' }}>
+      <div style={{ fontWeight: 800 }}>{block.label}</div>
+      <div style={{ fontSize: 12, opacity: 0.85 }}>
+        {profile.label} · {locationLabel}
+        {note && ` · ${note}`}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Growth of one block, in its own location's timezone
+ * (weatherSavedAt is set when the forecast is the one saved on the last visit)
+ */
+function BlockGrowth({ block, profile, locationLabel, forecast, timezone, now, lastRecordedAt, weatherSavedAt = null }) {
+  const today = localDateKey(Math.floor(now / 1000), timezone);
+  // Whole days, so the read range only changes once a day; at least enough to set the daily rate
+  const days = Math.max(daysBetween(block.plantedOn, today) + 1, GDD_RATE_DAYS);
+  const { records } = useObservationHistory(block.locationKey, days * DAY_SECONDS, { reloadToken: lastRecordedAt });
+
+  const growth = trackCropGrowth({
+    records: records ?? [],
+    forecast,
+    profile,
+    plantedOn: block.plantedOn,
+    timezone,
+    nowSeconds: Math.floor(now / 1000),
+  });
+  const age = daysBetween(block.plantedOn, today);
+  const next = growth.stages.find((s) => !s.reached && s.date);
+  const progress = Math.min(1, growth.gdd / profile.harvestGdd);
+
+  return (
+    <div>
+      <BlockTitle
+        block={block}
+        profile={profile}
+        locationLabel={locationLabel}
+        note={growth.planted ? `day ${age + 1}` : `planting in ${-age} days`}
+      />
+
+      <div style={{ position: 'relative', height: 8, borderRadius: 999, background: 'rgba(255,255,255,0.12)', marginTop: 6 }}>
+        <div style={{ width: `${progress * 100}%`, height: '100%', borderRadius: 999, background: 'rgba(34,197,94,0.85)' }} />
+        {profile.stages
+          .filter((s) => s.gdd > 0 && s.gdd < profile.harvestGdd)
+          .map((s) => (
+            <div
+              key={s.key}
+              title={s.label}
+              style={{ position: 'absolute', top: -2, left: `${(s.gdd / profile.harvestGdd) * 100}%`, width: 2, height: 12, background: 'rgba(255,255,255,0.6)' }}
+            />
+          ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', fontSize: 12, opacity: 0.9, marginTop: 6 }}>
+        {growth.planted && (
+          <span>
+            Now: <b>{growth.stage.label}</b> ({Math.round(growth.gdd)} GDD)
+          </span>
+        )}
+        {growth.forecastStage && growth.forecastStage.key !== growth.stage.key && (
+          <span>
+            By {formatDate(growth.forecastStage.date)}: <b>{growth.forecastStage.label}</b>
+          </span>
+        )}
+        {next && (
+          <span>
+            {next.label} ~{formatDate(next.date)}
+          </span>
+        )}
+        {growth.ready ? (
+          <b>Ready to harvest</b>
+        ) : growth.harvestDate ? (
+          <span>
+            Harvest ~<b>{formatDate(growth.harvestDate)}</b> ({daysBetween(today, growth.harvestDate)} days)
+          </span>
+        ) : (
+          <span>No temperature readings yet to predict from</span>
+        )}
+      </div>
+
+      {growth.estimatedDays > 0 && growth.dailyRate != null && (
+        <div style={{ fontSize: 11, opacity: 0.7, marginTop: 2 }}>
+          {growth.estimatedDays} of {growth.measuredDays + growth.estimatedDays} days without full readings counted at{' '}
+          {growth.dailyRate.toFixed(1)} GDD/day
+        </div>
+      )}
+
+      {weatherSavedAt != null && (
+        <div style={{ fontSize: 11, opacity: 0.7, marginTop: 2 }}>
+          Forecast from the last visit to {locationLabel} ({formatAge(now - weatherSavedAt)}); open it to update.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { buttonStyle } from './styles';
+import { describeRequestError } from '../services/requestErrors';
+
+const OWM_API_KEYS_URL = 'https://home.openweathermap.org/api_keys';
+
+/**
+ * ErrorCard Component
+ * Explains a failed weather request in plain words and offers the actions
+ * that fit it: check the API key, retry now, or show the cached data
+ *
+ * @param {import('../services/requestErrors').RequestError} error - Failure
+ * @param {boolean} proxied - Whether requests go through the API proxy
+ * @param {function} onRetry - Retry now
+ * @param {function|null} onShowCached - Show the cached data (null when there is none)
+ */
+export default function ErrorCard({ error, proxied = false, onRetry, onShowCached = null }) {
+  const { title, message, actions } = describeRequestError(error, { proxied });
+
+  const buttons = {
+    'check-key': (
+      <a key="check-key" href={OWM_API_KEYS_URL} target="_blank" rel="noreferrer" style={{ ...buttonStyle, textDecoration: 'none' }}>
+        Check API key
+      </a>
+    ),
+    retry: (
+      <button key="retry" onClick={onRetry} style={buttonStyle}>
+        Retry now
+      </button>
+    ),
+    'show-cached': onShowCached && (
+      <button key="show-cached" onClick={onShowCached} style={buttonStyle}>
+        Show cached data
+      </button>
+    ),
+  };
+
+  return (
+    <div
+      role="alert"
+      style={{
+        display: 'grid',
+        gap: 8,
+        padding: 14,
+        borderRadius: 14,
+        background: 'rgba(239,68,68,0.16)',
+        border: '1px solid rgba(252,165,165,0.40)',
+      }}
+    >
+      <div style={{ fontSize: 16, fontWeight: 800, color: '#fecaca' }}>{title}</div>
+      <div style={{ fontSize: 13, opacity: 0.9 }}>{message}</div>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginTop: 4 }}>
+        {actions.map((action) => buttons[action]).filter(Boolean)}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { buttonStyle, cardStyle, inputStyle } from './styles';
+import { CROP_COEFFICIENTS, GROWTH_STAGES } from '../config/agroMet';
+import { ET0_METHODS, getCropCoefficient, loadKcOverrides, saveKcOverride } from '../services/agroMet';
+import { buildRainfallLedger } from '../services/rainfallLedger';
+import useObservationHistory from '../hooks/useObservationHistory';
+import { formatWeekday } from '../utils/format';
+
+const DAY_SECONDS = 24 * 3600;
+const UPCOMING_DAYS = 4;
+
+const formatMm = (value) => `${value.toFixed(1)} mm`;
+
+/**
+ * EvapotranspirationCard Component
+ * Today's reference evapotranspiration (ET0) of the selected farm and the
+ * crop evapotranspiration (ETc = Kc x ET0) for a chosen crop and growth
+ * stage, with ETc for the next forecast days. Kc can be tuned per stage.
+ *
+ * @param {string} locationKey - Selected location key
+ * @param {number|null} lat - Latitude in degrees
+ * @param {number|null} elevation - m above sea level
+ * @param {{sunrise: number, sunset: number}|null} daylight - Result of daylightFromSun()
+ * @param {object|null} forecast - Normalized forecast
+ * @param {number} timezone - Location offset from UTC in seconds
+ * @param {number} now - Current time in milliseconds
+ * @param {number|null} lastRecordedAt - Time of the latest fetch (reloads today's readings)
+ * @param {string} crop - Key of CROP_COEFFICIENTS
+ * @param {string} stage - Key of GROWTH_STAGES
+ * @param {function(string, string): void} onChange - Called with ('etCrop' | 'etStage', value)
+ */
+export default function EvapotranspirationCard({
+  locationKey,
+  lat = null,
+  elevation = null,
+  daylight = null,
+  forecast = null,
+  timezone = 0,
+  now,
+  lastRecordedAt = null,
+  crop,
+  stage,
+  onChange,
+}) {
+  const [kcOverrides, setKcOverrides] = useState(loadKcOverrides);
+  const [editingKc, setEditingKc] = useState(false);
+  const { records } = useObservationHistory(locationKey, DAY_SECONDS, { reloadToken: lastRecordedAt });
+
+  const ledger = buildRainfallLedger({
+    records: records ?? [],
+    forecast,
+    timezone,
+    lat,
+    elevation,
+    daylight,
+    nowSeconds: Math.floor(now / 1000),
+  });
+  const todayIndex = ledger.findIndex((d) => d.when === 'today');
+  const today = ledger[todayIndex];
+  // The forecast's last day is usually partial and falls back to a typical value
+  const upcoming = ledger
+    .slice(todayIndex + 1)
+    .filter((d) => d.et0Method !== 'fallback')
+    .slice(0, UPCOMING_DAYS);
+
+  const kc = getCropCoefficient(crop, stage, kcOverrides);
+  const tuned = kcOverrides[crop]?.[stage] != null;
+
+  function updateKc(value) {
+    setKcOverrides(saveKcOverride(crop, stage, value));
+  }
+
+  return (
+    <div style={{ ...cardStyle, gridColumn: '1 / -1' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+        <div>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>ET0 today</div>
+          <div style={{ fontSize: 18, fontWeight: 700 }}>{formatMm(today.et0)}</div>
+          <div style={{ fontSize: 11, opacity: 0.75 }}>{ET0_METHODS[today.et0Method]}</div>
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <div style={{ fontSize: 12, opacity: 0.8 }}>ETc today</div>
+          <div style={{ fontSize: 18, fontWeight: 700 }}>{formatMm(kc * today.et0)}</div>
+          <div style={{ fontSize: 11, opacity: 0.75 }}>
+            Kc {kc.toFixed(2)}
+            {tuned && ' (tuned)'}
+          </div>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginTop: 8 }}>
+        <select value={crop} onChange={(e) => onChange('etCrop', e.target.value)} aria-label="Crop" style={inputStyle}>
+          {Object.entries(CROP_COEFFICIENTS).map(([key, { label }]) => (
+            <option key={key} value={key} style={{ color: 'black' }}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select value={stage} onChange={(e) => onChange('etStage', e.target.value)} aria-label="Growth stage" style={inputStyle}>
+          {Object.entries(GROWTH_STAGES).map(([key, label]) => (
+            <option key={key} value={key} style={{ color: 'black' }}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => setEditingKc(!editingKc)} style={buttonStyle}>
+          {editingKc ? 'Done' : 'Kc'}
+        </button>
+      </div>
+
+      {editingKc && (
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginTop: 8, fontSize: 12 }}>
+          <input
+            type="number"
+            min="0.1"
+            max="2"
+            step="0.05"
+            value={kc}
+            onChange={(e) => Number(e.target.value) > 0 && updateKc(Number(e.target.value))}
+            aria-label="Crop coefficient"
+            style={{ ...inputStyle, width: 64 }}
+          />
+          {tuned && (
+            <button onClick={() => updateKc(null)} style={buttonStyle}>
+              Default ({CROP_COEFFICIENTS[crop].kc[stage].toFixed(2)})
+            </button>
+          )}
+        </div>
+      )}
+
+      {upcoming.length > 0 && (
+        <div style={{ fontSize: 12, opacity: 0.85, marginTop: 8 }}>
+          ETc ahead:{' '}
+          {upcoming
+            .map((d) => `${formatWeekday(Date.parse(`${d.date}T12:00:00Z`) / 1000, 0)} ${(kc * d.et0).toFixed(1)}`)
+            .join(' · ')}{' '}
+          mm
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { cardStyle, sectionTitleStyle } from './styles';
+import { RATINGS } from '../services/fieldAdvisor';
+import { formatTime } from '../utils/format';
+
+/**
+ * FieldAdvisor Component
+ * Shows the current spray/harvest/fertilizer rating with its reasons,
+ * followed by a strip of upcoming slots (hover a slot for its reasons)
+ *
+ * @param {Array<object>} advice - Result of adviseFieldOperations()
+ * @param {number} timezone - Location offset from UTC in seconds
+ */
+export default function FieldAdvisor({ advice = [], timezone = 0 }) {
+  if (advice.length === 0) return null;
+
+  return (
+    <div style={cardStyle}>
+      <div style={sectionTitleStyle}>Field operations</div>
+
+      <div style={{ display: 'grid', gap: 12, marginTop: 10 }}>
+        {advice.map(({ operation, label, hours }) => {
+          const [now, ...upcoming] = hours;
+          return (
+            <div key={operation}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap' }}>
+                <div style={{ fontWeight: 800, minWidth: 90 }}>{label}</div>
+                <RatingChip rating={now.rating} />
+                <div style={{ fontSize: 12, opacity: 0.85 }}>
+                  {now.reasons.length ? now.reasons.join(' · ') : 'Conditions within limits'}
+                </div>
+              </div>
+
+              <div style={{ display: 'flex', gap: 4, marginTop: 6, overflowX: 'auto' }}>
+                {upcoming.map((h) => (
+                  <div
+                    key={h.time}
+                    title={`${formatTime(h.time, timezone)} · ${RATINGS[h.rating].label}` +
+                      (h.reasons.length ? `\n${h.reasons.join('\n')}` : '')}
+                    style={{
+                      minWidth: 48,
+                      padding: '4px 0',
+                      textAlign: 'center',
+                      fontSize: 11,
+                      borderRadius: 8,
+                      background: RATINGS[h.rating].color,
+                    }}
+                  >
+                    {formatTime(h.time, timezone)}
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function RatingChip({ rating }) {
+  return (
+    <span
+      style={{
+        padding: '2px 10px',
+        borderRadius: 999,
+        fontSize: 12,
+        fontWeight: 700,
+        background: RATINGS[rating].color,
+      }}
+    >
+      {RATINGS[rating].label}
+    </span>
+  );
+}
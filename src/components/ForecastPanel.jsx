@@ -0,0 +1,87 @@
+import { cardStyle, sectionTitleStyle } from './styles';
+import { formatTime, formatWeekday, owmIconUrl } from '../utils/format';
+
+/**
+ * ForecastPanel Component
+ * Shows a 3-hourly strip for the next 24 hours and a 5-day summary,
+ * each slot with temperature, rain probability/amount and wind
+ *
+ * @param {Array<object>} hourly - Slots from getHourlyForecast()
+ * @param {Array<object>} daily - Days from getDailyForecast()
+ * @param {number} timezone - Location offset from UTC in seconds
+ */
+export default function ForecastPanel({ hourly = [], daily = [], timezone = 0 }) {
+  if (hourly.length === 0 && daily.length === 0) return null;
+
+  return (
+    <div style={cardStyle}>
+      <div style={sectionTitleStyle}>Next 24 hours</div>
+      <div
+        style={{
+          display: 'flex',
+          gap: 10,
+          overflowX: 'auto',
+          marginTop: 10,
+          paddingBottom: 4,
+        }}
+      >
+        {hourly.map((slot) => (
+          <div
+            key={slot.time}
+            title={slot.ambience.label}
+            style={{
+              minWidth: 84,
+              textAlign: 'center',
+              padding: '10px 8px',
+              borderRadius: 14,
+              background: 'rgba(255,255,255,0.06)',
+              border: '1px solid rgba(255,255,255,0.08)',
+              fontSize: 12,
+            }}
+          >
+            <div style={{ opacity: 0.8 }}>{formatTime(slot.time, timezone)}</div>
+            {slot.condition.icon && (
+              <img src={owmIconUrl(slot.condition.icon)} alt={slot.condition.description} style={{ width: 40, height: 40 }} />
+            )}
+            <div style={{ fontSize: 16, fontWeight: 700 }}>{Math.round(slot.temp)}°</div>
+            <div style={{ opacity: 0.85 }}>
+              {Math.round(slot.pop * 100)}% · {slot.rain.toFixed(1)} mm
+            </div>
+            <div style={{ opacity: 0.85 }}>{Math.round(slot.windSpeed)} m/s</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ ...sectionTitleStyle, marginTop: 16 }}>5-day forecast</div>
+      <div style={{ display: 'grid', gap: 6, marginTop: 8 }}>
+        {daily.map((day) => (
+          <div
+            key={day.date}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: '52px 40px 1fr 110px 90px 70px',
+              alignItems: 'center',
+              gap: 8,
+              fontSize: 13,
+            }}
+          >
+            <div style={{ fontWeight: 700 }}>{formatWeekday(day.time, timezone)}</div>
+            {day.icon ? (
+              <img src={owmIconUrl(day.icon)} alt={day.ambience.label} style={{ width: 36, height: 36 }} />
+            ) : (
+              <span />
+            )}
+            <div style={{ opacity: 0.9 }}>{day.ambience.label}</div>
+            <div>
+              <b>{Math.round(day.tempMax)}°</b> / {Math.round(day.tempMin)}°
+            </div>
+            <div style={{ opacity: 0.85 }}>
+              {Math.round(day.pop * 100)}% · {day.rain.toFixed(1)} mm
+            </div>
+            <div style={{ opacity: 0.85 }}>{Math.round(day.windSpeed)} m/s</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
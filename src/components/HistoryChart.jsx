@@ -0,0 +1,125 @@
+const WIDTH = 600;
+const HEIGHT = 180;
+const PAD = { top: 10, right: 10, bottom: 22, left: 40 };
+const X_TICKS = 4;
+const Y_TICKS = 4;
+
+function niceRange(values, fromZero) {
+  let min = fromZero ? 0 : Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    max += 1;
+    if (!fromZero) min -= 1;
+  }
+  const pad = fromZero ? 0 : (max - min) * 0.1;
+  return [min - pad, max + pad];
+}
+
+function formatValue(value, span) {
+  return span < 10 ? value.toFixed(1) : String(Math.round(value));
+}
+
+/**
+ * HistoryChart Component
+ * Plain SVG line or bar chart of time series. Lines break where readings
+ * are missing for more than three buckets.
+ *
+ * @param {'line'|'bar'} kind - Chart type
+ * @param {Array<{label: string, color: string, points: Array<{time: number, value: number}>}>} series
+ * @param {number} from - Start of the x axis, unix seconds
+ * @param {number} to - End of the x axis, unix seconds
+ * @param {number} bucketSeconds - Width of one bar / expected spacing of line points
+ * @param {string} unit - Value unit for labels
+ * @param {function(number): string} formatTick - Formats an x-axis time
+ */
+export default function HistoryChart({ kind = 'line', series, from, to, bucketSeconds, unit, formatTick }) {
+  const values = series.flatMap((s) => s.points.map((p) => p.value));
+  if (values.length === 0) return null;
+
+  const [min, max] = niceRange(values, kind === 'bar');
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const x = (time) => PAD.left + ((time - from) / (to - from)) * plotWidth;
+  const y = (value) => PAD.top + (1 - (value - min) / (max - min)) * plotHeight;
+  const gapSeconds = bucketSeconds * 3;
+
+  const yTicks = Array.from({ length: Y_TICKS + 1 }, (_, i) => min + ((max - min) * i) / Y_TICKS);
+  const xTicks = Array.from({ length: X_TICKS + 1 }, (_, i) => from + ((to - from) * i) / X_TICKS);
+  const barWidth = Math.max(1, (bucketSeconds / (to - from)) * plotWidth - 1) / series.length;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`${series.map((s) => s.label).join(', ')} (${unit})`}
+        style={{ width: '100%', height: 'auto', display: 'block' }}
+      >
+        {yTicks.map((value) => (
+          <g key={value}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(value)} y2={y(value)} stroke="rgba(255,255,255,0.10)" />
+            <text x={PAD.left - 6} y={y(value) + 4} textAnchor="end" fontSize="10" fill="rgba(255,255,255,0.7)">
+              {formatValue(value, max - min)}
+            </text>
+          </g>
+        ))}
+        {xTicks.map((time, i) => (
+          <text
+            key={time}
+            x={x(time)}
+            y={HEIGHT - 6}
+            textAnchor={i === 0 ? 'start' : i === X_TICKS ? 'end' : 'middle'}
+            fontSize="10"
+            fill="rgba(255,255,255,0.7)"
+          >
+            {formatTick(time)}
+          </text>
+        ))}
+
+        {kind === 'bar'
+          ? series.map((s, si) =>
+              s.points.map((p) => (
+                <rect
+                  key={`${s.label}-${p.time}`}
+                  x={x(p.time) + si * barWidth}
+                  y={y(p.value)}
+                  width={barWidth}
+                  height={Math.max(0, y(min) - y(p.value))}
+                  fill={s.color}
+                >
+                  <title>{`${formatTick(p.time)}: ${p.value.toFixed(1)} ${unit}`}</title>
+                </rect>
+              ))
+            )
+          : series.map((s) => (
+              <g key={s.label}>
+                <path
+                  d={s.points
+                    .map((p, i) => {
+                      const gap = i === 0 || p.time - s.points[i - 1].time > gapSeconds;
+                      return `${gap ? 'M' : 'L'}${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`;
+                    })
+                    .join(' ')}
+                  fill="none"
+                  stroke={s.color}
+                  strokeWidth="2"
+                  strokeLinejoin="round"
+                />
+                {/* A lone reading has no line to draw */}
+                {s.points.length < 3 &&
+                  s.points.map((p) => <circle key={p.time} cx={x(p.time)} cy={y(p.value)} r="3" fill={s.color} />)}
+              </g>
+            ))}
+      </svg>
+
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', fontSize: 12, opacity: 0.85, marginTop: 4 }}>
+        {series.map((s) => (
+          <span key={s.label} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <span style={{ width: 10, height: 10, borderRadius: 3, background: s.color }} />
+            {s.label} ({unit})
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
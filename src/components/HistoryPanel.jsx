@@ -0,0 +1,183 @@
+import { useState } from 'react';
+import HistoryChart from './HistoryChart';
+import { buttonStyle, cardStyle, inputStyle, sectionTitleStyle } from './styles';
+import { HISTORY_CHARTS, HISTORY_RANGES, HISTORY_RETENTION_OPTIONS } from '../config/history';
+import { averageByBucket, clearHistory, historyToCsv, historyToJson, rainByBucket } from '../services/observationHistory';
+import useObservationHistory from '../hooks/useObservationHistory';
+import { formatTime, formatWeekday, localDateKey } from '../utils/format';
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * HistoryPanel Component
+ * Charts the observations logged for the selected location over a chosen
+ * range, exports them as CSV or JSON, and sets how long history is kept
+ *
+ * @param {string} locationKey - Selected location key
+ * @param {string} locationLabel - Name of the selected location
+ * @param {number} timezone - Location offset from UTC in seconds
+ * @param {number} now - Current time in milliseconds
+ * @param {number|null} lastRecordedAt - Time of the latest fetch (reloads the charts)
+ * @param {number} retentionDays - Days history is kept (0 = forever)
+ * @param {function(number): void} onRetentionChange - Called with the new retention
+ */
+export default function HistoryPanel({
+  locationKey,
+  locationLabel,
+  timezone = 0,
+  now,
+  lastRecordedAt = null,
+  retentionDays,
+  onRetentionChange,
+}) {
+  const [open, setOpen] = useState(false);
+  const [rangeId, setRangeId] = useState('7d');
+  const [chartId, setChartId] = useState('temperature');
+  const [clearError, setClearError] = useState('');
+  const [confirmClear, setConfirmClear] = useState(false);
+  const [clearCount, setClearCount] = useState(0);
+
+  const range = HISTORY_RANGES[rangeId];
+  const chart = HISTORY_CHARTS[chartId];
+  const nowSeconds = Math.floor(now / 1000);
+  const from = nowSeconds - range.seconds;
+
+  const history = useObservationHistory(locationKey, range.seconds, {
+    enabled: open,
+    reloadToken: `${lastRecordedAt}|${retentionDays}|${clearCount}`,
+  });
+  const { records } = history;
+  const loadError = clearError || history.error;
+
+  const bucketSeconds = chart.kind === 'bar' ? range.barBucket : range.lineBucket;
+  const series = (records ?? []).length === 0
+    ? []
+    : chart.series.map((s) => ({
+        ...s,
+        points: chart.kind === 'bar' ? rainByBucket(records, bucketSeconds) : averageByBucket(records, s.field, bucketSeconds),
+      }));
+
+  const formatTick = (time) => {
+    if (range.seconds <= 24 * 3600) return formatTime(time, timezone);
+    if (range.seconds <= 7 * 24 * 3600) return `${formatWeekday(time, timezone)} ${formatTime(time, timezone)}`;
+    return localDateKey(time, timezone).slice(5);
+  };
+
+  function exportRecords(format) {
+    const filename = `farmsync-history-${slugify(locationLabel)}-${rangeId}.${format}`;
+    if (format === 'csv') downloadFile(filename, historyToCsv(records), 'text/csv');
+    else downloadFile(filename, historyToJson(records), 'application/json');
+  }
+
+  async function handleClear() {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+    setConfirmClear(false);
+    try {
+      await clearHistory(locationKey);
+      setClearError('');
+      setClearCount((c) => c + 1);
+    } catch (error) {
+      setClearError(error.message);
+    }
+  }
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
+        <div style={sectionTitleStyle}>History · {locationLabel}</div>
+        <button onClick={() => setOpen(!open)} style={buttonStyle}>
+          {open ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {open && (
+        <div style={{ display: 'grid', gap: 10, marginTop: 12, fontSize: 13 }}>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+            <select value={chartId} onChange={(e) => setChartId(e.target.value)} style={inputStyle} aria-label="Chart">
+              {Object.entries(HISTORY_CHARTS).map(([id, c]) => (
+                <option key={id} value={id} style={{ color: 'black' }}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+            <select value={rangeId} onChange={(e) => setRangeId(e.target.value)} style={inputStyle} aria-label="Range">
+              {Object.entries(HISTORY_RANGES).map(([id, r]) => (
+                <option key={id} value={id} style={{ color: 'black' }}>
+                  Last {r.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {loadError && <div style={{ color: '#fecaca' }}>{loadError}</div>}
+          {!loadError && records === null && <div style={{ opacity: 0.75 }}>Loading history…</div>}
+          {!loadError && records?.length === 0 && (
+            <div style={{ opacity: 0.75 }}>
+              No readings logged for this range yet. Every weather refresh adds one.
+            </div>
+          )}
+          {series.length > 0 && (
+            <HistoryChart
+              kind={chart.kind}
+              series={series}
+              from={from}
+              to={nowSeconds}
+              bucketSeconds={bucketSeconds}
+              unit={chart.unit}
+              formatTick={formatTick}
+            />
+          )}
+
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between' }}>
+            <span style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+              <button onClick={() => exportRecords('csv')} disabled={!records?.length} style={buttonStyle}>
+                Export CSV
+              </button>
+              <button onClick={() => exportRecords('json')} disabled={!records?.length} style={buttonStyle}>
+                Export JSON
+              </button>
+              {records?.length > 0 && <span style={{ opacity: 0.75 }}>{records.length} readings</span>}
+            </span>
+
+            <span style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+              <label htmlFor="history-retention">Keep</label>
+              <select
+                id="history-retention"
+                value={retentionDays}
+                onChange={(e) => onRetentionChange(Number(e.target.value))}
+                style={inputStyle}
+              >
+                {HISTORY_RETENTION_OPTIONS.map((days) => (
+                  <option key={days} value={days} style={{ color: 'black' }}>
+                    {days === 0 ? 'Forever' : days === 365 ? '1 year' : `${days} days`}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleClear}
+                onBlur={() => setConfirmClear(false)}
+                style={buttonStyle}
+              >
+                {confirmClear ? 'Confirm clear' : 'Clear'}
+              </button>
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
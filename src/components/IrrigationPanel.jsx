@@ -0,0 +1,241 @@
+import { useState } from 'react';
+import HistoryChart from './HistoryChart';
+import { buttonStyle, cardStyle, inputStyle, sectionTitleStyle } from './styles';
+import { LEDGER_DAYS, SOIL_PRESETS } from '../config/soilWater';
+import { buildRainfallLedger, getRainfallTotals } from '../services/rainfallLedger';
+import {
+  createPlot,
+  getPlots,
+  IRRIGATION_ACTIONS,
+  loadPlots,
+  recommendIrrigation,
+  runWaterBalance,
+  savePlots,
+} from '../services/soilWater';
+import useObservationHistory from '../hooks/useObservationHistory';
+import { localDateKey } from '../utils/format';
+
+const DAY_SECONDS = 24 * 3600;
+
+const formatMm = (value) => `${value < 10 ? value.toFixed(1) : Math.round(value)} mm`;
+
+function dayStart(date, timezone) {
+  return Date.parse(`${date}T00:00:00Z`) / 1000 - timezone;
+}
+
+/**
+ * IrrigationPanel Component
+ * Rainfall ledger of the selected farm (today, 7 and 30 days, forecast)
+ * and an irrigate / skip / drain recommendation per plot from a daily
+ * soil water balance. Plots and their soil capacity are edited here.
+ *
+ * @param {string} locationKey - Selected location key
+ * @param {string} locationLabel - Name of the selected location
+ * @param {number|null} lat - Latitude in degrees (for evapotranspiration)
+ * @param {number|null} elevation - m above sea level (for evapotranspiration)
+ * @param {{sunrise: number, sunset: number}|null} daylight - Result of daylightFromSun()
+ * @param {object|null} forecast - Normalized forecast
+ * @param {number} timezone - Location offset from UTC in seconds
+ * @param {number} now - Current time in milliseconds
+ * @param {number|null} lastRecordedAt - Time of the latest fetch (reloads the ledger)
+ */
+export default function IrrigationPanel({
+  locationKey,
+  locationLabel,
+  lat = null,
+  elevation = null,
+  daylight = null,
+  forecast = null,
+  timezone = 0,
+  now,
+  lastRecordedAt = null,
+}) {
+  const [plotsByLocation, setPlotsByLocation] = useState(loadPlots);
+  const [editing, setEditing] = useState(false);
+  const { records, error } = useObservationHistory(locationKey, LEDGER_DAYS * DAY_SECONDS, { reloadToken: lastRecordedAt });
+
+  const plots = getPlots(plotsByLocation, locationKey);
+  const ledger = buildRainfallLedger({
+    records: records ?? [],
+    forecast,
+    timezone,
+    lat,
+    elevation,
+    daylight,
+    nowSeconds: Math.floor(now / 1000),
+  });
+  const totals = getRainfallTotals(ledger);
+
+  function updatePlots(next) {
+    setPlotsByLocation(savePlots(locationKey, next));
+  }
+
+  function updatePlot(id, patch) {
+    updatePlots(plots.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  }
+
+  const chartFrom = dayStart(ledger[0].date, timezone);
+  const chartTo = dayStart(ledger[ledger.length - 1].date, timezone) + DAY_SECONDS;
+  const rainSeries = [
+    {
+      label: 'Logged',
+      color: '#60a5fa',
+      points: ledger.filter((d) => d.rainLogged > 0).map((d) => ({ time: dayStart(d.date, timezone), value: d.rainLogged })),
+    },
+    {
+      label: 'Forecast',
+      color: 'rgba(191,219,254,0.7)',
+      points: ledger.filter((d) => d.rainForecast > 0).map((d) => ({ time: dayStart(d.date, timezone), value: d.rainForecast })),
+    },
+  ];
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
+        <div style={sectionTitleStyle}>Rainfall & irrigation · {locationLabel}</div>
+        <button onClick={() => setEditing(!editing)} style={buttonStyle}>
+          {editing ? 'Done' : `Plots (${plots.length})`}
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: 8, marginTop: 10 }}>
+        <RainTile title="Today" value={formatMm(totals.today)} note={totals.todayExpected > 0 ? `+${formatMm(totals.todayExpected)} expected` : null} />
+        <RainTile title="Last 7 days" value={formatMm(totals.last7)} />
+        <RainTile title={`Last ${LEDGER_DAYS} days`} value={formatMm(totals.last30)} />
+        <RainTile title={`Next ${totals.aheadDays} days`} value={formatMm(totals.ahead)} note="forecast" />
+      </div>
+
+      <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
+        {error
+          ? `Rain history unavailable (${error}); using the forecast only.`
+          : `Rain logged on ${totals.loggedDays} of the last ${LEDGER_DAYS} days. Days without readings count as dry.`}
+      </div>
+
+      {rainSeries.some((s) => s.points.length > 0) && (
+        <div style={{ marginTop: 8 }}>
+          <HistoryChart
+            kind="bar"
+            series={rainSeries}
+            from={chartFrom}
+            to={chartTo}
+            bucketSeconds={DAY_SECONDS}
+            unit="mm"
+            formatTick={(time) => localDateKey(time, timezone).slice(5)}
+          />
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gap: 10, marginTop: 12 }}>
+        {plots.map((plot) => {
+          const advice = recommendIrrigation(runWaterBalance(ledger, plot), plot);
+          if (!advice) return null;
+          const action = IRRIGATION_ACTIONS[advice.action];
+          return (
+            <div key={plot.id} style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap' }}>
+              <div style={{ fontWeight: 800, minWidth: 90 }}>{plot.label}</div>
+              <span
+                style={{
+                  padding: '3px 10px',
+                  borderRadius: 999,
+                  fontSize: 12,
+                  fontWeight: 800,
+                  background: action.color,
+                }}
+              >
+                {action.label}
+                {advice.amountMm > 0 && ` ${advice.amountMm} mm`}
+              </span>
+              <span style={{ fontSize: 12, opacity: 0.85 }}>Soil water {advice.soilWaterPct}%</span>
+              <span style={{ fontSize: 12, opacity: 0.85 }}>{advice.reasons.join(' · ')}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {editing && (
+        <div style={{ display: 'grid', gap: 8, marginTop: 12, fontSize: 13 }}>
+          {plots.map((plot) => (
+            <div key={plot.id} style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+              <input
+                value={plot.label}
+                onChange={(e) => updatePlot(plot.id, { label: e.target.value })}
+                aria-label="Plot name"
+                style={{ ...inputStyle, width: 120 }}
+              />
+              <select
+                value={Object.keys(SOIL_PRESETS).find((k) => SOIL_PRESETS[k].capacityMm === plot.capacityMm) ?? ''}
+                onChange={(e) => e.target.value && updatePlot(plot.id, { capacityMm: SOIL_PRESETS[e.target.value].capacityMm })}
+                aria-label="Soil"
+                style={inputStyle}
+              >
+                <option value="" style={{ color: 'black' }}>Custom</option>
+                {Object.entries(SOIL_PRESETS).map(([key, preset]) => (
+                  <option key={key} value={key} style={{ color: 'black' }}>
+                    {preset.label}
+                  </option>
+                ))}
+              </select>
+              <label>
+                Capacity{' '}
+                <input
+                  type="number"
+                  min="10"
+                  step="5"
+                  value={plot.capacityMm}
+                  onChange={(e) => Number(e.target.value) > 0 && updatePlot(plot.id, { capacityMm: Number(e.target.value) })}
+                  style={{ ...inputStyle, width: 64 }}
+                />{' '}
+                mm
+              </label>
+              <label>
+                Irrigate at{' '}
+                <input
+                  type="number"
+                  min="10"
+                  max="90"
+                  step="5"
+                  value={Math.round(plot.allowableDepletion * 100)}
+                  onChange={(e) => updatePlot(plot.id, { allowableDepletion: Math.min(0.9, Math.max(0.1, Number(e.target.value) / 100)) })}
+                  style={{ ...inputStyle, width: 56 }}
+                />
+                % used
+              </label>
+              <label>
+                Crop factor{' '}
+                <input
+                  type="number"
+                  min="0.1"
+                  max="2"
+                  step="0.05"
+                  value={plot.cropFactor}
+                  onChange={(e) => Number(e.target.value) > 0 && updatePlot(plot.id, { cropFactor: Number(e.target.value) })}
+                  style={{ ...inputStyle, width: 60 }}
+                />
+              </label>
+              {plots.length > 1 && (
+                <button onClick={() => updatePlots(plots.filter((p) => p.id !== plot.id))} style={buttonStyle}>
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+          <div>
+            <button onClick={() => updatePlots([...plots, createPlot(plots)])} style={buttonStyle}>
+              Add plot
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RainTile({ title, value, note = null }) {
+  return (
+    <div style={{ padding: 10, borderRadius: 12, background: 'rgba(255,255,255,0.06)' }}>
+      <div style={{ fontSize: 12, opacity: 0.8 }}>{title}</div>
+      <div style={{ fontSize: 18, fontWeight: 700 }}>{value}</div>
+      {note && <div style={{ fontSize: 11, opacity: 0.75 }}>{note}</div>}
+    </div>
+  );
+}
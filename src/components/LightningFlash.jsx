@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { subscribeThunderStrikes } from '../services/thunderChannel';
+
+/**
+ * LightningFlash Component
+ * Flashes the screen above the background for every thunder strike the
+ * audio engine publishes. Hidden entirely under prefers-reduced-motion
+ * (see index.css) and when `enabled` is off (photosensitivity opt-out).
+ *
+ * @param {boolean} enabled - Whether flashes are shown
+ */
+export default function LightningFlash({ enabled = true }) {
+  const [strike, setStrike] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribeThunderStrikes(setStrike);
+  }, [enabled]);
+
+  if (!enabled || !strike) return null;
+
+  return (
+    <div
+      key={strike.id}
+      className="lightning-flash"
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 0,
+        pointerEvents: 'none',
+        background: 'radial-gradient(circle at 50% 20%, rgba(241,245,255,0.95), rgba(191,219,254,0.55) 70%)',
+        '--flash-peak': 0.25 + 0.35 * strike.intensity,
+      }}
+      onAnimationEnd={() => setStrike(null)}
+    />
+  );
+}
@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { buttonStyle, cardStyle, inputStyle, sectionTitleStyle } from './styles';
+import { canGeocode, getCurrentPosition, reverseGeocode, searchPlaces } from '../services/geocoding';
+import { validateCoordinates } from '../services/savedLocations';
+
+/**
+ * LocationManager Component
+ * Adds farms by name + coordinates, from the device position, or from an
+ * OWM place-name search, and lists saved farms for removal
+ *
+ * @param {Array<object>} savedLocations - Saved farms
+ * @param {string} apiKey - OpenWeatherMap API key (for geocoding; not needed with the API proxy)
+ * @param {function} onAdd - Called with { label, lat, lon }
+ * @param {function} onRemove - Called with a farm id
+ */
+export default function LocationManager({ savedLocations = [], apiKey, onAdd, onRemove }) {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({ label: '', lat: '', lon: '' });
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  function handleAdd(e) {
+    e.preventDefault();
+    const invalid = validateCoordinates(form.lat, form.lon);
+    if (!form.label.trim()) {
+      setMessage('Give the farm a name');
+      return;
+    }
+    if (invalid) {
+      setMessage(invalid);
+      return;
+    }
+
+    onAdd({ label: form.label, lat: form.lat, lon: form.lon });
+    setForm({ label: '', lat: '', lon: '' });
+    setResults([]);
+    setMessage('');
+  }
+
+  async function handleUseMyLocation() {
+    setBusy(true);
+    setMessage('Locating…');
+    try {
+      const { lat, lon } = await getCurrentPosition();
+      const name = canGeocode(apiKey) ? await reverseGeocode(lat, lon, apiKey) : null;
+      setForm({
+        label: form.label || (name ? `My location (${name})` : 'My location'),
+        lat: lat.toFixed(4),
+        lon: lon.toFixed(4),
+      });
+      setMessage('');
+    } catch (err) {
+      setMessage(String(err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleSearch(e) {
+    e.preventDefault();
+    if (!search.trim() || !canGeocode(apiKey)) return;
+
+    setBusy(true);
+    setMessage('');
+    try {
+      const places = await searchPlaces(search.trim(), apiKey);
+      setResults(places);
+      if (places.length === 0) setMessage('No places found');
+    } catch (err) {
+      setMessage(String(err.message || err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function pickResult(place) {
+    setForm({ label: form.label || place.label, lat: String(place.lat), lon: String(place.lon) });
+    setResults([]);
+  }
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
+        <div style={sectionTitleStyle}>My farms</div>
+        <button onClick={() => setOpen(!open)} style={buttonStyle}>
+          {open ? 'Hide' : `Manage (${savedLocations.length})`}
+        </button>
+      </div>
+
+      {open && (
+        <div style={{ display: 'grid', gap: 12, marginTop: 12, fontSize: 13 }}>
+          {savedLocations.map((farm) => (
+            <div key={farm.id} style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+              <div style={{ flex: 1 }}>
+                <b>{farm.label}</b>{' '}
+                <span style={{ opacity: 0.75 }}>
+                  {farm.lat}, {farm.lon}
+                </span>
+              </div>
+              <button
+                onClick={() => onRemove(farm.id)}
+                aria-label={`Remove ${farm.label}`}
+                style={{ background: 'transparent', color: 'white', padding: '2px 8px' }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
+          <form onSubmit={handleSearch} style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search place name"
+              style={{ ...inputStyle, flex: 1, minWidth: 160 }}
+            />
+            <button type="submit" disabled={busy || !canGeocode(apiKey)} style={buttonStyle}>
+              Search
+            </button>
+            <button type="button" onClick={handleUseMyLocation} disabled={busy} style={buttonStyle}>
+              Use my current location
+            </button>
+          </form>
+
+          {results.length > 0 && (
+            <div style={{ display: 'grid', gap: 4 }}>
+              {results.map((place) => (
+                <button
+                  key={`${place.lat},${place.lon}`}
+                  onClick={() => pickResult(place)}
+                  style={{ ...inputStyle, textAlign: 'left', cursor: 'pointer' }}
+                >
+                  {place.label}{' '}
+                  <span style={{ opacity: 0.7 }}>
+                    ({place.lat.toFixed(3)}, {place.lon.toFixed(3)})
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <form onSubmit={handleAdd} style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+            <input
+              value={form.label}
+              onChange={(e) => setForm({ ...form, label: e.target.value })}
+              placeholder="Farm name (e.g. Block C)"
+              style={{ ...inputStyle, flex: 1, minWidth: 160 }}
+            />
+            <input
+              type="number"
+              step="any"
+              value={form.lat}
+              onChange={(e) => setForm({ ...form, lat: e.target.value })}
+              placeholder="Latitude"
+              style={{ ...inputStyle, width: 100 }}
+            />
+            <input
+              type="number"
+              step="any"
+              value={form.lon}
+              onChange={(e) => setForm({ ...form, lon: e.target.value })}
+              placeholder="Longitude"
+              style={{ ...inputStyle, width: 100 }}
+            />
+            <button type="submit" style={buttonStyle}>
+              Add farm
+            </button>
+          </form>
+
+          {message && <div style={{ opacity: 0.85 }}>{message}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useEffect, useRef, useState } from 'react';
+import { buttonStyle, cardStyle, sectionTitleStyle } from './styles';
+import {
+  downloadOfflineBackgrounds,
+  getOfflineBackgroundStatus,
+  isOfflineSupported,
+  measureOfflineBackgrounds,
+  removeOfflineBackgrounds,
+} from '../services/offlineBackgrounds';
+import { formatBytes } from '../utils/format';
+
+/**
+ * OfflineBackgrounds Component
+ * "Download backgrounds for offline" control: sizes the curated assets
+ * first so the user knows what it costs on mobile data, then downloads
+ * them one by one with a progress bar
+ */
+export default function OfflineBackgrounds() {
+  const [saved, setSaved] = useState(null);
+  // idle -> measuring -> confirm -> downloading -> idle
+  const [phase, setPhase] = useState('idle');
+  const [plan, setPlan] = useState(null);
+  const [progress, setProgress] = useState({ doneFiles: 0, doneBytes: 0 });
+  const [failedCount, setFailedCount] = useState(0);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOfflineSupported()) return undefined;
+    let cancelled = false;
+    getOfflineBackgroundStatus().then((status) => {
+      if (!cancelled) setSaved(status);
+    });
+    return () => {
+      cancelled = true;
+      abortRef.current?.abort();
+    };
+  }, []);
+
+  if (!isOfflineSupported()) return null;
+
+  async function measure() {
+    setPhase('measuring');
+    setFailedCount(0);
+    const result = await measureOfflineBackgrounds();
+    setPlan(result);
+    setPhase(result.files.length > 0 ? 'confirm' : 'idle');
+  }
+
+  async function download() {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress({ doneFiles: 0, doneBytes: 0 });
+    setPhase('downloading');
+
+    const { failed } = await downloadOfflineBackgrounds(plan.files, setProgress, controller.signal);
+    if (controller.signal.aborted) return;
+
+    abortRef.current = null;
+    setFailedCount(failed.length);
+    setSaved(await getOfflineBackgroundStatus());
+    setPhase('idle');
+  }
+
+  function cancel() {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setPhase('idle');
+    getOfflineBackgroundStatus().then(setSaved);
+  }
+
+  async function remove() {
+    await removeOfflineBackgrounds();
+    setSaved({ count: 0, bytes: 0 });
+    setPlan(null);
+  }
+
+  const percent = plan?.totalBytes ? Math.min(100, (progress.doneBytes / plan.totalBytes) * 100) : 0;
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        <div>
+          <div style={sectionTitleStyle}>Offline backgrounds</div>
+          <div style={{ fontSize: 12, opacity: 0.75, marginTop: 4 }}>
+            {saved && saved.count > 0
+              ? `${saved.count} files saved (${formatBytes(saved.bytes)})`
+              : 'Not downloaded; backgrounds need a connection'}
+            {failedCount > 0 && ` · ${failedCount} failed, try again later`}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: 8 }}>
+          {phase === 'idle' && (
+            <button onClick={measure} style={buttonStyle}>
+              Download backgrounds for offline
+            </button>
+          )}
+          {phase === 'measuring' && <span style={{ fontSize: 12, opacity: 0.8 }}>Checking size…</span>}
+          {phase === 'confirm' && (
+            <>
+              <button onClick={download} style={buttonStyle}>
+                Download {plan.files.length} files ({formatBytes(plan.totalBytes)})
+              </button>
+              <button onClick={() => setPhase('idle')} style={buttonStyle}>
+                Cancel
+              </button>
+            </>
+          )}
+          {phase === 'downloading' && (
+            <button onClick={cancel} style={buttonStyle}>
+              Cancel
+            </button>
+          )}
+          {phase === 'idle' && saved?.count > 0 && (
+            <button onClick={remove} style={buttonStyle}>
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      {phase === 'downloading' && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, opacity: 0.85 }}>
+            <span>
+              {progress.doneFiles} of {plan.files.length} files
+            </span>
+            <span>
+              {formatBytes(progress.doneBytes)} of {formatBytes(plan.totalBytes)}
+            </span>
+          </div>
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(percent)}
+            style={{ height: 6, marginTop: 6, borderRadius: 3, background: 'rgba(255,255,255,0.12)', overflow: 'hidden' }}
+          >
+            <div style={{ width: `${percent}%`, height: '100%', background: 'rgba(34,197,94,0.8)', transition: 'width 0.2s' }} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { useEffect, useRef } from 'react';
+import { WeatherRenderer } from '../services/weatherRenderer';
+
+/**
+ * ProceduralBackground Component
+ * Canvas-drawn weather scene that needs no asset or network. Used by
+ * WeatherBackground as a tier of its fallback chain, or on its own when
+ * the user forces it.
+ *
+ * @param {string} weatherKey - Weather condition key (e.g., 'rain', 'sunny')
+ * @param {import('../services/weatherRenderer').SceneIntensity} intensity - Live readings
+ * @param {boolean} paused - Stop animating (e.g. while faded out)
+ */
+export default function ProceduralBackground({ weatherKey, intensity, paused = false }) {
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+    const renderer = new WeatherRenderer(canvas, { reducedMotion });
+    rendererRef.current = renderer;
+
+    const onResize = () => renderer.resize(window.innerWidth, window.innerHeight);
+    onResize();
+    window.addEventListener('resize', onResize);
+
+    return () => {
+      window.removeEventListener('resize', onResize);
+      renderer.stop();
+      rendererRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const renderer = rendererRef.current;
+    if (paused) renderer?.stop();
+    else renderer?.start();
+  }, [paused]);
+
+  const { rain = 0, windSpeed = 0, windDeg = 0, clouds = 0 } = intensity ?? {};
+
+  useEffect(() => {
+    rendererRef.current?.setWeather(weatherKey || 'neutral', { rain, windSpeed, windDeg, clouds });
+  }, [weatherKey, rain, windSpeed, windDeg, clouds]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      aria-hidden="true"
+      style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
+    />
+  );
+}
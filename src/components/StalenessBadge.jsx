@@ -0,0 +1,34 @@
+import { formatAge } from '../utils/format';
+
+/**
+ * StalenessBadge Component
+ * Marks weather shown from the offline cache with its age, and flags it
+ * as expired once it passes the cache max age
+ *
+ * @param {number} savedAt - When the cached data was fetched (ms)
+ * @param {number} now - Current time (ms)
+ * @param {boolean} expired - Whether the data is past the max age
+ * @param {string} reason - Why cached data is shown (offline / error text)
+ */
+export default function StalenessBadge({ savedAt, now, expired = false, reason = '' }) {
+  return (
+    <div
+      role="status"
+      style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: 8,
+        alignItems: 'center',
+        padding: '8px 12px',
+        borderRadius: 12,
+        fontSize: 13,
+        background: expired ? 'rgba(239,68,68,0.22)' : 'rgba(234,179,8,0.20)',
+        border: `1px solid ${expired ? 'rgba(252,165,165,0.45)' : 'rgba(253,224,71,0.40)'}`,
+      }}
+    >
+      <b>{expired ? 'Expired data' : 'Offline data'}</b>
+      <span>Last updated {formatAge(now - savedAt)}</span>
+      {reason && <span style={{ opacity: 0.8 }}>· {reason}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { useState } from 'react';
+
+/**
+ * ThemeBackground Component
+ * Animated CSS gradient background (the `ios-*` themes in index.css).
+ * When the theme changes, the previous theme stays underneath while the
+ * new one fades in, instead of switching abruptly.
+ *
+ * @param {string} themeClass - Theme class, e.g. 'ios-rain'
+ * @param {boolean} paused - Freeze the animation (e.g. while covered by the dynamic background)
+ */
+export default function ThemeBackground({ themeClass, paused = false }) {
+  const [current, setCurrent] = useState(themeClass);
+  const [previous, setPrevious] = useState(null);
+
+  // Adjust state while rendering when the prop changes (no effect round-trip)
+  if (themeClass !== current) {
+    setPrevious(current);
+    setCurrent(themeClass);
+  }
+
+  return (
+    <div className={paused ? 'theme-paused' : undefined} style={{ position: 'fixed', inset: 0, zIndex: 0, pointerEvents: 'none' }}>
+      {previous && <div className={`ios-bg ${previous}`} style={{ position: 'absolute', inset: 0 }} />}
+      <div
+        key={current}
+        className={`ios-bg ${current}${previous ? ' theme-fade-in' : ''}`}
+        style={{ position: 'absolute', inset: 0 }}
+        onAnimationEnd={(e) => {
+          if (e.animationName === 'themeFadeIn') setPrevious(null);
+        }}
+      />
+    </div>
+  );
+}
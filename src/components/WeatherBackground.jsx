@@ -1,152 +1,95 @@
-import { useEffect, useState, useRef } from 'react';
-import { getWeatherBackground, getCachedBackground } from '../services/weatherBackground';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getWeatherBackground } from '../services/weatherBackground';
 import { getStaticFallback } from '../config/weatherAssets';
+import ProceduralBackground from './ProceduralBackground';
+
+const layerStyle = {
+  position: 'absolute',
+  inset: 0,
+};
+
+const mediaStyle = {
+  width: '100%',
+  height: '100%',
+  objectFit: 'cover',
+};
 
 /**
  * WeatherBackground Component
  * Displays dynamic GIF/video background based on weather conditions
- * Uses tiered fallback: Curated assets -> Giphy API -> Static images
- * 
+ * Uses tiered fallback: Curated assets -> Giphy API -> Static images -> Procedural scene
+ *
+ * A new background is mounted underneath the current one and only fades
+ * in once it has loaded, so weather changes crossfade instead of flashing.
+ * With `visible` off the whole layer fades out (revealing the CSS theme
+ * underneath) and video pauses, as it also does while the tab is hidden.
+ *
  * @param {string} weatherKey - Weather condition key (e.g., 'rain', 'sunny')
  * @param {string} weatherDescription - Full weather description for alt text
  * @param {boolean} preferVideo - Whether to prefer videos over GIFs
  * @param {string} giphyApiKey - Optional Giphy API key
+ * @param {object} intensity - Live readings for the procedural scene (rain, windSpeed, windDeg, clouds)
+ * @param {boolean} forceProcedural - Always draw the procedural scene
+ * @param {string|null} quality - Quality tier limiting the asset weight (see backgroundQuality.js)
+ * @param {object} variant - Conditions for picking a curated variant (see getVariantContext)
+ * @param {boolean} visible - Whether the dynamic background is shown
  */
-export default function WeatherBackground({ 
-  weatherKey, 
+export default function WeatherBackground({
+  weatherKey,
   weatherDescription = '',
   preferVideo = false,
-  giphyApiKey = null 
+  giphyApiKey = null,
+  intensity = null,
+  forceProcedural = false,
+  quality = null,
+  variant = null,
+  visible = true,
 }) {
-  const [backgroundData, setBackgroundData] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [useStaticFallback, setUseStaticFallback] = useState(false);
-  const imgRef = useRef(null);
-  const videoRef = useRef(null);
+  // The background on screen, and the one loading to replace it
+  const [shown, setShown] = useState(null);
+  const [incoming, setIncoming] = useState(null);
+  const nextIdRef = useRef(1);
+  const requestedRef = useRef(null);
+  // The context object is rebuilt every minute; only its values matter
+  const { time = null, intensity: variantIntensity = null, season = null, day = null } = variant ?? {};
 
   useEffect(() => {
-    if (!weatherKey) {
-      setIsLoading(false);
-      return;
-    }
-
-    // Check cache first for instant display (legacy support)
-    const cached = getCachedBackground(weatherKey);
-    if (cached) {
-      // If we have a cached URL, determine format
-      const format = cached.includes('.mp4') || cached.includes('/mp4') ? 'video' : 
-                     cached.includes('.gif') ? 'gif' : 'image';
-      setBackgroundData({
-        url: cached,
-        type: 'cached',
-        format,
-      });
-      setIsLoading(false);
-      return;
-    }
-
-    // Fetch new background
-    setIsLoading(true);
-    setError(null);
-    setUseStaticFallback(false);
-
-    getWeatherBackground(weatherKey, giphyApiKey, preferVideo)
-      .then((data) => {
-        setBackgroundData(data);
-        setIsLoading(false);
-      })
+    // Nothing is fetched while the dynamic background is off
+    if (!weatherKey || !visible) return undefined;
+    let cancelled = false;
+
+    const show = (data) => {
+      if (cancelled) return;
+      // Re-enabling or a refresh that resolves to the same asset keeps it
+      const signature = `${weatherKey}|${data.format}|${data.url}`;
+      if (signature === requestedRef.current) return;
+      requestedRef.current = signature;
+      setIncoming({ id: nextIdRef.current++, weatherKey, data, ready: false });
+    };
+
+    getWeatherBackground(weatherKey, giphyApiKey, preferVideo, {
+      forceProcedural,
+      quality,
+      variant: { time, intensity: variantIntensity, season, day },
+    })
+      .then(show)
       .catch((err) => {
         console.error('Error loading weather background:', err);
-        setError(err);
-        setIsLoading(false);
         // On error, try static fallback
-        setUseStaticFallback(true);
+        show({ url: getStaticFallback(weatherKey), type: 'static', format: 'image' });
       });
-  }, [weatherKey, giphyApiKey, preferVideo]);
 
-  // Preload next image when URL changes for smooth transitions
-  useEffect(() => {
-    if (backgroundData?.url && backgroundData.format === 'image' && imgRef.current) {
-      const img = new Image();
-      img.src = backgroundData.url;
-    }
-  }, [backgroundData]);
-
-  // Determine what to render based on format
-  const renderMedia = () => {
-    if (!backgroundData?.url) return null;
-
-    const { url, format } = backgroundData;
-
-    // Video format
-    if (format === 'video' || (preferVideo && (url.includes('.mp4') || url.includes('/mp4')))) {
-      return (
-        <video
-          ref={videoRef}
-          autoPlay
-          loop
-          muted
-          playsInline
-          style={{
-            width: '100%',
-            height: '100%',
-            objectFit: 'cover',
-            opacity: isLoading ? 0 : 1,
-            transition: 'opacity 0.5s ease-in-out',
-          }}
-          onLoadedData={() => {
-            setIsLoading(false);
-            setUseStaticFallback(false);
-          }}
-          onError={() => {
-            console.warn('Video failed to load, falling back to static image');
-            setUseStaticFallback(true);
-            setIsLoading(false);
-          }}
-        >
-          <source src={url} type="video/mp4" />
-          <source src={url} type="video/webm" />
-        </video>
-      );
-    }
-
-    // GIF or Image format
-    return (
-      <img
-        ref={imgRef}
-        src={url}
-        alt={`Weather background: ${weatherDescription || weatherKey}`}
-        style={{
-          width: '100%',
-          height: '100%',
-          objectFit: 'cover',
-          opacity: isLoading ? 0 : 1,
-          transition: 'opacity 0.5s ease-in-out',
-        }}
-        onLoad={() => {
-          setIsLoading(false);
-          setUseStaticFallback(false);
-        }}
-        onError={() => {
-          console.warn('Image/GIF failed to load, using static fallback');
-          // If not already a static image, try to get static fallback
-          if (backgroundData.type !== 'static') {
-            setUseStaticFallback(true);
-          }
-          setIsLoading(false);
-        }}
-      />
-    );
-  };
+    return () => {
+      cancelled = true;
+    };
+  }, [weatherKey, giphyApiKey, preferVideo, forceProcedural, quality, time, variantIntensity, season, day, visible]);
+
+  const handleReady = useCallback((id) => {
+    setIncoming((current) => (current && current.id === id ? { ...current, ready: true } : current));
+  }, []);
 
-  // Get static fallback URL if needed
-  const getStaticFallbackUrl = () => {
-    if (backgroundData?.type === 'static') {
-      return backgroundData.url;
-    }
-    return getStaticFallback(weatherKey || 'neutral');
-  };
+  const layers = [shown, incoming].filter(Boolean);
+  const hasContent = Boolean(shown || incoming?.ready);
 
   return (
     <div
@@ -159,41 +102,34 @@ export default function WeatherBackground({
         zIndex: 0,
         overflow: 'hidden',
         pointerEvents: 'none',
+        opacity: visible && hasContent ? 1 : 0,
+        transition: 'opacity 1.4s ease-in-out',
       }}
     >
-      {/* Background Media */}
-      {backgroundData?.url && !useStaticFallback && renderMedia()}
-
-      {/* Static Fallback (shown when media fails to load or useStaticFallback is true) */}
-      {(useStaticFallback || error) && (
-        <img
-          src={getStaticFallbackUrl()}
-          alt={`Weather background: ${weatherDescription || weatherKey}`}
-          style={{
-            width: '100%',
-            height: '100%',
-            objectFit: 'cover',
-            opacity: isLoading ? 0 : 1,
-            transition: 'opacity 0.5s ease-in-out',
-          }}
-          onLoad={() => setIsLoading(false)}
-        />
-      )}
-
-      {/* Loading indicator */}
-      {isLoading && !backgroundData?.url && (
-        <div
-          style={{
-            position: 'absolute',
-            inset: 0,
-            background: 'linear-gradient(135deg, #020617 0%, #0b1220 100%)',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            opacity: 0.8,
-          }}
-        />
-      )}
+      {/* Background layers; keyed so the incoming one isn't remounted when it takes over */}
+      {layers.map((layer) => {
+        const isIncoming = layer === incoming;
+        return (
+          <div
+            key={layer.id}
+            className={isIncoming && layer.ready ? 'theme-fade-in' : undefined}
+            style={{ ...layerStyle, opacity: isIncoming && !layer.ready ? 0 : 1 }}
+            onAnimationEnd={(e) => {
+              if (e.animationName !== 'themeFadeIn' || !isIncoming) return;
+              setShown(layer);
+              setIncoming(null);
+            }}
+          >
+            <BackgroundLayer
+              layer={layer}
+              weatherDescription={weatherDescription}
+              intensity={intensity}
+              paused={!visible}
+              onReady={handleReady}
+            />
+          </div>
+        );
+      })}
 
       {/* Dark overlay for content readability */}
       <div
@@ -217,3 +153,95 @@ export default function WeatherBackground({
     </div>
   );
 }
+
+/**
+ * One background with its own fallback chain:
+ * media -> static fallback image -> procedural scene.
+ * Calls `onReady(layer.id)` once something is painted.
+ */
+function BackgroundLayer({ layer, weatherDescription, intensity, paused, onReady }) {
+  const { url, type, format } = layer.data;
+  const [stage, setStage] = useState(format === 'procedural' || !url ? 'procedural' : 'media');
+  const videoRef = useRef(null);
+  const alt = `Weather background: ${weatherDescription || layer.weatherKey}`;
+
+  // Pause video while the tab is hidden or the background is faded out
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+
+    const sync = () => {
+      if (paused || document.hidden) {
+        video.pause();
+      } else {
+        video.play().catch(() => {
+          // Autoplay refused; the first frame stays visible
+        });
+      }
+    };
+
+    sync();
+    document.addEventListener('visibilitychange', sync);
+    return () => document.removeEventListener('visibilitychange', sync);
+  }, [paused, stage]);
+
+  const { id } = layer;
+  useEffect(() => {
+    if (stage === 'procedural') onReady(id);
+  }, [stage, id, onReady]);
+
+  // A failed static image has nothing left but the procedural scene
+  const fail = () => setStage(stage === 'media' && type !== 'static' ? 'static' : 'procedural');
+
+  if (stage === 'procedural') {
+    return <ProceduralBackground weatherKey={layer.weatherKey} intensity={intensity} paused={paused} />;
+  }
+
+  if (stage === 'static') {
+    return (
+      <img
+        src={getStaticFallback(layer.weatherKey || 'neutral')}
+        alt={alt}
+        style={mediaStyle}
+        onLoad={() => onReady(id)}
+        onError={() => {
+          console.warn('Static fallback failed to load, drawing procedural background');
+          fail();
+        }}
+      />
+    );
+  }
+
+  if (format === 'video') {
+    return (
+      <video
+        ref={videoRef}
+        src={url}
+        autoPlay
+        loop
+        muted
+        playsInline
+        style={mediaStyle}
+        onLoadedData={() => onReady(id)}
+        onError={() => {
+          console.warn('Video failed to load, falling back to static image');
+          fail();
+        }}
+      />
+    );
+  }
+
+  // GIF or Image format
+  return (
+    <img
+      src={url}
+      alt={alt}
+      style={mediaStyle}
+      onLoad={() => onReady(id)}
+      onError={() => {
+        console.warn('Image/GIF failed to load, using static fallback');
+        fail();
+      }}
+    />
+  );
+}
@@ -0,0 +1,29 @@
+/**
+ * Shared inline styles for the glass cards used across the weather UI
+ */
+
+export const cardStyle = {
+  borderRadius: 18,
+  padding: 16,
+  background: 'rgba(0,0,0,0.20)',
+  border: '1px solid rgba(255,255,255,0.10)',
+};
+
+export const sectionTitleStyle = {
+  fontSize: 14,
+  opacity: 0.85,
+};
+
+export const inputStyle = {
+  background: 'rgba(255,255,255,0.08)',
+  border: '1px solid rgba(255,255,255,0.16)',
+  color: 'white',
+  padding: '6px 8px',
+  borderRadius: 10,
+};
+
+export const buttonStyle = {
+  ...inputStyle,
+  padding: '6px 12px',
+  fontWeight: 700,
+};
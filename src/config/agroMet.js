@@ -0,0 +1,44 @@
+/**
+ * Agro-meteorology Configuration
+ *
+ * Inputs and limits for the daily reference evapotranspiration (ET0) in
+ * services/agroMet.js, and FAO-56 crop coefficients (Kc) that turn it
+ * into crop evapotranspiration (ETc = Kc x ET0).
+ */
+
+// A day's readings must span this many hours to describe the whole day
+export const MIN_SAMPLE_SPAN_HOURS = 12;
+
+// Hargreaves needs a real day/night temperature range
+export const MIN_TEMPERATURE_RANGE_C = 2;
+
+// ET0 (mm/day) assumed when neither method has usable inputs
+export const FALLBACK_ET0_MM = 4;
+
+// Angstrom coefficients for solar radiation from sunshine (FAO-56 eq. 35)
+export const ANGSTROM_A = 0.25;
+export const ANGSTROM_B = 0.5;
+
+export const GROWTH_STAGES = {
+  initial: 'Initial',
+  development: 'Development',
+  mid: 'Mid-season',
+  late: 'Late season',
+};
+
+/**
+ * Kc per growth stage, from FAO-56 Table 12 for a sub-humid climate.
+ * Development is halfway between initial and mid-season; late season is
+ * the end-of-season value. Values can be tuned per stage in the
+ * Evapotranspiration card.
+ */
+export const CROP_COEFFICIENTS = {
+  rice: { label: 'Rice (paddy)', kc: { initial: 1.05, development: 1.13, mid: 1.2, late: 0.9 } },
+  vegetables: { label: 'Vegetables', kc: { initial: 0.7, development: 0.88, mid: 1.05, late: 0.95 } },
+  chili: { label: 'Chili', kc: { initial: 0.6, development: 0.83, mid: 1.05, late: 0.9 } },
+  corn: { label: 'Corn', kc: { initial: 0.3, development: 0.75, mid: 1.2, late: 0.6 } },
+  'oil-palm': { label: 'Oil palm', kc: { initial: 0.95, development: 0.98, mid: 1.0, late: 1.0 } },
+};
+
+export const DEFAULT_CROP = 'rice';
+export const DEFAULT_GROWTH_STAGE = 'mid';
@@ -0,0 +1,34 @@
+/**
+ * Weather Alert Rules Configuration
+ *
+ * Metrics that alert rules can watch, and the rules every location starts
+ * with until the user edits them. Rules are stored per location, so a farm
+ * on the coast can use a higher wind limit than one inland.
+ *
+ * Rule shape:
+ * - id: unique within the location
+ * - metric: key of ALERT_METRICS
+ * - operator: one of ALERT_OPERATORS (ignored for boolean metrics)
+ * - value: threshold in the metric's unit (ignored for boolean metrics)
+ * - enabled: whether the rule is evaluated
+ */
+
+import { HEAVY_RAIN_MM, WINDY_MS } from '../services/ambience';
+
+export const ALERT_METRICS = {
+  rain: { label: 'Rain', unit: 'mm/h' },
+  wind: { label: 'Wind', unit: 'm/s' },
+  gust: { label: 'Gusts', unit: 'm/s' },
+  temp: { label: 'Temperature', unit: '°C' },
+  humidity: { label: 'Humidity', unit: '%' },
+  thunderstorm: { label: 'Thunderstorm', unit: null }, // boolean
+};
+
+export const ALERT_OPERATORS = ['>=', '>', '<=', '<'];
+
+export const DEFAULT_ALERT_RULES = [
+  { id: 'heavy-rain', metric: 'rain', operator: '>=', value: HEAVY_RAIN_MM, enabled: true },
+  { id: 'strong-wind', metric: 'wind', operator: '>=', value: WINDY_MS, enabled: true },
+  { id: 'thunderstorm', metric: 'thunderstorm', enabled: true },
+  { id: 'heat', metric: 'temp', operator: '>', value: 35, enabled: true },
+];
@@ -0,0 +1,69 @@
+/**
+ * Curated Ambient Audio Configuration
+ *
+ * Maps weather types to sampled ambience, mirroring CURATED_ASSETS in
+ * weatherAssets.js. Files live in /public/assets/audio/ (see the README
+ * there). A weather type whose files are missing keeps the synthesized
+ * sound from the audio engine, so packs can be added one at a time.
+ *
+ * Each entry can be:
+ * - A string path to a seamless loop
+ * - An object with { loop, oneShots } where `oneShots` are layered on top
+ *   of the loop at random intervals (e.g. thunder claps over a rain bed)
+ * - null to always use the synthesized sound
+ */
+
+// Base path for local audio (relative to public folder)
+const AUDIO_BASE_PATH = '/assets/audio/';
+
+export const CURATED_AUDIO = {
+  // Rain bed with thunder claps layered on top
+  thunder: {
+    loop: `${AUDIO_BASE_PATH}thunder-rain.ogg`,
+    oneShots: [
+      `${AUDIO_BASE_PATH}thunder-1.ogg`,
+      `${AUDIO_BASE_PATH}thunder-2.ogg`,
+      `${AUDIO_BASE_PATH}thunder-3.ogg`,
+    ],
+  },
+
+  'heavy-rain': `${AUDIO_BASE_PATH}heavy-rain.ogg`,
+  rain: `${AUDIO_BASE_PATH}rain.ogg`,
+  wind: `${AUDIO_BASE_PATH}wind.ogg`,
+
+  // Birdsong / insects by day, crickets at night
+  sunny: `${AUDIO_BASE_PATH}sunny.ogg`,
+  'clear-night': `${AUDIO_BASE_PATH}clear-night.ogg`,
+
+  cloud: `${AUDIO_BASE_PATH}cloudy.ogg`,
+  snow: `${AUDIO_BASE_PATH}snow.ogg`,
+  fog: `${AUDIO_BASE_PATH}fog.ogg`,
+
+  // Haze and smoke share the muffled bed
+  haze: `${AUDIO_BASE_PATH}haze.ogg`,
+  smoke: `${AUDIO_BASE_PATH}haze.ogg`,
+  dust: `${AUDIO_BASE_PATH}dust.ogg`,
+
+  // Neutral keeps the synthesized bed
+  neutral: null,
+};
+
+/**
+ * Get the curated audio for a weather type
+ * @param {string} weatherKey - Weather condition key
+ * @returns {{loop: string, oneShots: string[]}|null} Audio paths or null if not configured
+ */
+export function getCuratedAudio(weatherKey) {
+  const audio = CURATED_AUDIO[weatherKey];
+  if (!audio) return null;
+
+  if (typeof audio === 'string') {
+    return { loop: audio, oneShots: [] };
+  }
+
+  if (typeof audio === 'object' && audio.loop) {
+    return { loop: audio.loop, oneShots: audio.oneShots || [] };
+  }
+
+  return null;
+}
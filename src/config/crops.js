@@ -0,0 +1,96 @@
+/**
+ * Crop Profiles
+ *
+ * Growth is tracked in growing degree days (GDD, °C·day): each day adds
+ * its mean temperature above the crop's base temperature, with the daily
+ * maximum capped at `maxTempC` and the minimum raised to the base (the
+ * "modified" method). A stage starts once the GDD summed since planting
+ * reaches its `gdd` threshold, and the crop is ready at `harvestGdd`.
+ *
+ * Tree crops are tracked per fruiting cycle: their planting date is the
+ * day of flowering (durian) or anthesis (oil palm bunches).
+ *
+ * Thresholds are typical values for lowland Malaysia; farms add their
+ * own crops, or copies with tuned thresholds, in the Crops card.
+ */
+
+export const CROP_PROFILES = {
+  rice: {
+    label: 'Rice (paddy)',
+    baseTempC: 10,
+    maxTempC: 35,
+    stages: [
+      { key: 'seedling', label: 'Seedling', gdd: 0 },
+      { key: 'tillering', label: 'Tillering', gdd: 350 },
+      { key: 'panicle', label: 'Panicle initiation', gdd: 850 },
+      { key: 'flowering', label: 'Flowering', gdd: 1250 },
+      { key: 'grain-fill', label: 'Grain filling', gdd: 1450 },
+    ],
+    harvestGdd: 1950,
+  },
+  'oil-palm': {
+    label: 'Oil palm (bunch)',
+    baseTempC: 18,
+    maxTempC: 38,
+    stages: [
+      { key: 'anthesis', label: 'Anthesis', gdd: 0 },
+      { key: 'fruit-set', label: 'Fruit set', gdd: 300 },
+      { key: 'oil-synthesis', label: 'Oil synthesis', gdd: 900 },
+      { key: 'ripening', label: 'Ripening', gdd: 1200 },
+    ],
+    harvestGdd: 1350,
+  },
+  durian: {
+    label: 'Durian (fruit)',
+    baseTempC: 15,
+    maxTempC: 36,
+    stages: [
+      { key: 'flowering', label: 'Flowering', gdd: 0 },
+      { key: 'fruit-set', label: 'Fruit set', gdd: 250 },
+      { key: 'fruit-growth', label: 'Fruit growth', gdd: 550 },
+      { key: 'ripening', label: 'Ripening', gdd: 1100 },
+    ],
+    harvestGdd: 1350,
+  },
+  chili: {
+    label: 'Chili',
+    baseTempC: 10,
+    maxTempC: 32,
+    stages: [
+      { key: 'transplant', label: 'Establishment', gdd: 0 },
+      { key: 'vegetative', label: 'Vegetative', gdd: 200 },
+      { key: 'flowering', label: 'Flowering', gdd: 600 },
+      { key: 'fruiting', label: 'Fruit development', gdd: 800 },
+    ],
+    harvestGdd: 1100,
+  },
+  corn: {
+    label: 'Corn',
+    baseTempC: 10,
+    maxTempC: 30,
+    stages: [
+      { key: 'emergence', label: 'Emergence', gdd: 0 },
+      { key: 'vegetative', label: 'Vegetative', gdd: 100 },
+      { key: 'tasseling', label: 'Tasseling / silking', gdd: 700 },
+      { key: 'grain-fill', label: 'Grain filling', gdd: 850 },
+    ],
+    harvestGdd: 1400,
+  },
+};
+
+// Starting point for a user-defined crop
+export const DEFAULT_CUSTOM_CROP = {
+  baseTempC: 10,
+  maxTempC: 35,
+  stages: [
+    { key: 'vegetative', label: 'Vegetative', gdd: 0 },
+    { key: 'flowering', label: 'Flowering', gdd: 600 },
+  ],
+  harvestGdd: 1200,
+};
+
+// Recent days whose GDD sets the rate for days without full readings and beyond the forecast
+export const GDD_RATE_DAYS = 14;
+
+// Predictions stop this many days after today
+export const MAX_PREDICTION_DAYS = 730;
@@ -0,0 +1,85 @@
+/**
+ * Field Operation Thresholds
+ *
+ * Limits used by the field advisor to score upcoming hours as
+ * Good / Marginal / Unsafe for each farm operation.
+ *
+ * Each limit has a `marginal` and an `unsafe` value:
+ * - wind / gust: m/s, checked as "value > limit"
+ * - temperature: °C, checked as "value > limit"
+ * - humidity: %, `marginalBelow` / `marginalAbove` flag dry or saturated air
+ * - rainFreeHours: hours after the slot that must stay dry
+ * - heavyRainMm: rain (mm per forecast slot) that washes product off or floods,
+ *   looked for within the next `heavyRainWindowHours`
+ *
+ * To tune a farm, add an entry to FIELD_OPERATION_OVERRIDES keyed by the
+ * location key (the city query for built-in towns, the farm id for saved
+ * farms); only the values that differ need to be listed.
+ */
+
+// Rain (mm per slot) below this is treated as dry
+export const RAIN_TRACE_MM = 0.2;
+
+// Probability of precipitation (0-1) at or above which rain is "expected"
+export const RAIN_EXPECTED_POP = 0.5;
+
+export const FIELD_OPERATIONS = {
+  // Pesticide / herbicide spraying: drift and wash-off are the main risks
+  spraying: {
+    label: 'Spraying',
+    wind: { marginal: 3.5, unsafe: 5 },
+    gust: { marginal: 6, unsafe: 8 },
+    temperature: { marginal: 30, unsafe: 35 },
+    humidity: { marginalBelow: 40 },
+    rainFreeHours: { unsafe: 2, marginal: 6 },
+  },
+
+  // Harvesting: wet crop and machinery on soft ground
+  harvesting: {
+    label: 'Harvesting',
+    wind: { marginal: 10, unsafe: 14 },
+    gust: { marginal: 14, unsafe: 18 },
+    temperature: { marginal: 35, unsafe: 38 },
+    humidity: { marginalAbove: 90 },
+    rainFreeHours: { unsafe: 0, marginal: 3 },
+  },
+
+  // Fertilizer application: heavy rain washes it away, strong wind scatters granules
+  fertilizer: {
+    label: 'Fertilizer',
+    wind: { marginal: 6, unsafe: 9 },
+    gust: { marginal: 10, unsafe: 13 },
+    temperature: { marginal: 33, unsafe: 37 },
+    humidity: {},
+    rainFreeHours: { unsafe: 0, marginal: 3 },
+    heavyRainMm: { marginal: 4, unsafe: 10 },
+    heavyRainWindowHours: 24,
+  },
+};
+
+/**
+ * Per-farm overrides, keyed by location key
+ * @example
+ * 'Ipoh,MY': { spraying: { wind: { marginal: 4, unsafe: 6 } } }
+ */
+export const FIELD_OPERATION_OVERRIDES = {};
+
+/**
+ * Get the thresholds for a location, with any farm overrides applied
+ * @param {string} locationKey - Location key (see getLocationKey())
+ * @returns {object} Operation thresholds keyed by operation
+ */
+export function getFieldOperationThresholds(locationKey) {
+  const overrides = FIELD_OPERATION_OVERRIDES[locationKey] || {};
+  const result = {};
+
+  for (const [op, limits] of Object.entries(FIELD_OPERATIONS)) {
+    const opOverrides = overrides[op] || {};
+    result[op] = { ...limits };
+    for (const [name, value] of Object.entries(opOverrides)) {
+      result[op][name] = typeof value === 'object' ? { ...limits[name], ...value } : value;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,69 @@
+/**
+ * Observation History Configuration
+ *
+ * Ranges, charts and retention choices for the observation log kept in
+ * IndexedDB (services/observationHistory.js). Long ranges are averaged
+ * into wider buckets so charts stay readable.
+ */
+
+// How long observations are kept, in days (0 = forever)
+export const HISTORY_RETENTION_OPTIONS = [7, 30, 90, 365, 0];
+
+export const DEFAULT_HISTORY_RETENTION_DAYS = 90;
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+/**
+ * Chart ranges. `lineBucket` averages line charts, `barBucket` totals rain.
+ */
+export const HISTORY_RANGES = {
+  '24h': { label: '24 hours', seconds: DAY, lineBucket: 10 * 60, barBucket: HOUR },
+  '7d': { label: '7 days', seconds: 7 * DAY, lineBucket: HOUR, barBucket: DAY },
+  '30d': { label: '30 days', seconds: 30 * DAY, lineBucket: 3 * HOUR, barBucket: DAY },
+  '90d': { label: '90 days', seconds: 90 * DAY, lineBucket: 12 * HOUR, barBucket: DAY },
+  '1y': { label: '1 year', seconds: 365 * DAY, lineBucket: DAY, barBucket: 7 * DAY },
+};
+
+/**
+ * Charts offered in the history view. Line charts plot one or more
+ * recorded fields; the rain chart shows totals per bucket as bars.
+ */
+export const HISTORY_CHARTS = {
+  temperature: {
+    label: 'Temperature',
+    unit: '°C',
+    kind: 'line',
+    series: [
+      { field: 'temp', label: 'Temperature', color: '#fca5a5' },
+      { field: 'feelsLike', label: 'Feels like', color: '#fdba74' },
+    ],
+  },
+  humidity: {
+    label: 'Humidity',
+    unit: '%',
+    kind: 'line',
+    series: [{ field: 'humidity', label: 'Humidity', color: '#7dd3fc' }],
+  },
+  wind: {
+    label: 'Wind',
+    unit: 'm/s',
+    kind: 'line',
+    series: [
+      { field: 'windSpeed', label: 'Wind', color: '#a7f3d0' },
+      { field: 'windGust', label: 'Gusts', color: '#6ee7b7' },
+    ],
+  },
+  pressure: {
+    label: 'Pressure',
+    unit: 'hPa',
+    kind: 'line',
+    series: [{ field: 'pressure', label: 'Pressure', color: '#c4b5fd' }],
+  },
+  rain: {
+    label: 'Rain',
+    unit: 'mm',
+    kind: 'bar',
+    series: [{ field: 'rain', label: 'Rain', color: '#60a5fa' }],
+  },
+};
@@ -0,0 +1,26 @@
+/**
+ * Built-in Locations
+ *
+ * Towns offered in the location picker out of the box. OWM fetches them by
+ * city query (`q`), which also serves as their location key; providers that
+ * only take coordinates use `lat`/`lon`. Farms the user adds by coordinates
+ * live in services/savedLocations.js.
+ */
+
+export const LOCATIONS = [
+  { label: 'Kedah, MY', q: 'Kedah,MY', lat: 6.1184, lon: 100.3685 },
+  { label: 'Alor Setar, Kedah, MY', q: 'Alor Setar,MY', lat: 6.1248, lon: 100.3678 },
+  { label: 'Penang (George Town), MY', q: 'George Town,MY', lat: 5.4141, lon: 100.3288 },
+  { label: 'Ipoh, Perak, MY', q: 'Ipoh,MY', lat: 4.5975, lon: 101.0901 },
+  { label: 'Kuala Lumpur, MY', q: 'Kuala Lumpur,MY', lat: 3.139, lon: 101.6869 },
+  { label: 'Putrajaya, MY', q: 'Putrajaya,MY', lat: 2.9264, lon: 101.6964 },
+  { label: 'Shah Alam, Selangor, MY', q: 'Shah Alam,MY', lat: 3.0733, lon: 101.5185 },
+  { label: 'Johor Bahru, MY', q: 'Johor Bahru,MY', lat: 1.4927, lon: 103.7414 },
+  { label: 'Kuantan, Pahang, MY', q: 'Kuantan,MY', lat: 3.8077, lon: 103.326 },
+  { label: 'Kuala Terengganu, MY', q: 'Kuala Terengganu,MY', lat: 5.3302, lon: 103.1408 },
+  { label: 'Kota Bharu, Kelantan, MY', q: 'Kota Bharu,MY', lat: 6.1254, lon: 102.2381 },
+  { label: 'Kota Kinabalu, Sabah, MY', q: 'Kota Kinabalu,MY', lat: 5.9804, lon: 116.0735 },
+  { label: 'Kuching, Sarawak, MY', q: 'Kuching,MY', lat: 1.5533, lon: 110.3592 },
+  { label: 'Singapore, SG', q: 'Singapore,SG', lat: 1.3521, lon: 103.8198 },
+  { label: 'Bangkok, TH', q: 'Bangkok,TH', lat: 13.7563, lon: 100.5018 },
+];
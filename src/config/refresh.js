@@ -0,0 +1,19 @@
+/**
+ * Auto-refresh Configuration
+ *
+ * How often the weather is re-fetched while the page is visible.
+ * The default comes from VITE_REFRESH_INTERVAL_MIN (10 if unset or blank, 0 = off)
+ * and can be changed from the card footer.
+ */
+
+// Blank counts as unset: Number('') would be 0 and turn refreshing off
+const rawMinutes = import.meta.env.VITE_REFRESH_INTERVAL_MIN;
+const envMinutes = rawMinutes?.trim() ? Number(rawMinutes) : NaN;
+
+export const DEFAULT_REFRESH_MINUTES = Number.isFinite(envMinutes) && envMinutes >= 0 ? envMinutes : 10;
+
+// Choices offered in the UI, in minutes (0 = off), including a configured default that isn't one of them
+export const REFRESH_INTERVAL_OPTIONS = [...new Set([0, 5, 10, 15, 30, 60, DEFAULT_REFRESH_MINUTES])].sort((a, b) => a - b);
+
+// How long a changed metric stays highlighted after a refresh
+export const CHANGE_HIGHLIGHT_MS = 2400;
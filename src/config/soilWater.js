@@ -0,0 +1,36 @@
+/**
+ * Rainfall Ledger & Soil Water Configuration
+ *
+ * Plots hold water up to their capacity (mm of plant-available water in
+ * the root zone). Evapotranspiration draws it down; once the deficit
+ * passes `allowableDepletion` of the capacity the crop starts to stress
+ * and the plot should be irrigated. Rain beyond capacity runs off or
+ * drains, and a large surplus means the plot should be drained.
+ *
+ * Plots are set per location in the Rainfall & irrigation card.
+ */
+
+// Typical plant-available water for a ~0.6 m root zone
+export const SOIL_PRESETS = {
+  sandy: { label: 'Sandy', capacityMm: 60 },
+  loam: { label: 'Loam', capacityMm: 100 },
+  clay: { label: 'Clay', capacityMm: 140 },
+};
+
+export const DEFAULT_PLOT = {
+  label: 'Main plot',
+  capacityMm: SOIL_PRESETS.loam.capacityMm,
+  // Share of the capacity that can be used before irrigating (FAO-56 "p")
+  allowableDepletion: 0.5,
+  // Crop water use relative to the reference crop (Kc)
+  cropFactor: 1,
+};
+
+// Days of logged rainfall the ledger and water balance look back over
+export const LEDGER_DAYS = 30;
+
+// Surplus (mm over two days) above which a plot should be drained
+export const DRAIN_SURPLUS_MM = 20;
+
+// Forecast days weighed when deciding whether rain will do the watering
+export const RAIN_LOOKAHEAD_DAYS = 2;
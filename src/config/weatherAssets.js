@@ -12,45 +12,103 @@
  * Asset naming convention:
  * - GIFs: {weatherType}.gif (e.g., "rain.gif")
  * - Videos: {weatherType}.mp4 (e.g., "sunny.mp4")
+ * - Low-res videos: {weatherType}-low.mp4 (e.g., "sunny-low.mp4")
  * - Static images: {weatherType}.jpg or {weatherType}.png
  */
 
 // Base path for local assets (relative to public folder)
 const ASSETS_BASE_PATH = '/assets/weather/';
 
+/**
+ * Seasons by month (1-12), used by the `season` variant tag.
+ * Peninsular Malaysia's monsoon calendar.
+ */
+export const SEASONS = {
+  'northeast-monsoon': [11, 12, 1, 2, 3],
+  'inter-monsoon': [4, 10],
+  'southwest-monsoon': [5, 6, 7, 8, 9],
+};
+
 /**
  * Curated asset mapping
  * Each entry can be:
  * - A string URL/path to a GIF, video, or image
- * - An object with { gif, video, image } for format options
+ * - An object with { gif, video, videoLow, image } for format options;
+ *   the quality tier (see services/backgroundQuality.js) picks among them
+ * - An array of such objects (variants), optionally tagged with
+ *   `time` ('day' | 'night'), `intensity` ('light' | 'moderate' | 'heavy')
+ *   and `season` (a SEASONS key). Untagged variants match any conditions.
+ *   Matching variants rotate once per day; if the chosen one's files are
+ *   missing, the remaining variants are tried next.
  * - null to use API fallback
  */
 export const CURATED_ASSETS = {
   // Thunderstorm
-  thunder: {
-    gif: `${ASSETS_BASE_PATH}thunder.gif`,
-    video: `${ASSETS_BASE_PATH}thunder.mp4`,
-    image: `${ASSETS_BASE_PATH}thunder.jpg`, // Static fallback
-  },
+  thunder: [
+    {
+      time: 'day',
+      gif: `${ASSETS_BASE_PATH}thunder.gif`,
+      video: `${ASSETS_BASE_PATH}thunder.mp4`,
+      videoLow: `${ASSETS_BASE_PATH}thunder-low.mp4`,
+      image: `${ASSETS_BASE_PATH}thunder.jpg`, // Static fallback
+    },
+    {
+      time: 'night',
+      gif: `${ASSETS_BASE_PATH}thunder-night.gif`,
+      video: `${ASSETS_BASE_PATH}thunder-night.mp4`,
+      videoLow: `${ASSETS_BASE_PATH}thunder-night-low.mp4`,
+      image: `${ASSETS_BASE_PATH}thunder-night.jpg`,
+    },
+  ],
   
   // Heavy Rain
-  'heavy-rain': {
-    gif: `${ASSETS_BASE_PATH}heavy-rain.gif`,
-    video: `${ASSETS_BASE_PATH}heavy-rain.mp4`,
-    image: `${ASSETS_BASE_PATH}heavy-rain.jpg`,
-  },
+  'heavy-rain': [
+    {
+      time: 'day',
+      gif: `${ASSETS_BASE_PATH}heavy-rain.gif`,
+      video: `${ASSETS_BASE_PATH}heavy-rain.mp4`,
+      videoLow: `${ASSETS_BASE_PATH}heavy-rain-low.mp4`,
+      image: `${ASSETS_BASE_PATH}heavy-rain.jpg`,
+    },
+    {
+      time: 'night',
+      gif: `${ASSETS_BASE_PATH}heavy-rain-night.gif`,
+      video: `${ASSETS_BASE_PATH}heavy-rain-night.mp4`,
+      videoLow: `${ASSETS_BASE_PATH}heavy-rain-night-low.mp4`,
+      image: `${ASSETS_BASE_PATH}heavy-rain-night.jpg`,
+    },
+  ],
   
-  // Light Rain
-  rain: {
-    gif: `${ASSETS_BASE_PATH}rain.gif`,
-    video: `${ASSETS_BASE_PATH}rain.mp4`,
-    image: `${ASSETS_BASE_PATH}rain.jpg`,
-  },
+  // Light Rain (two daytime scenes rotate day by day)
+  rain: [
+    {
+      time: 'day',
+      gif: `${ASSETS_BASE_PATH}rain.gif`,
+      video: `${ASSETS_BASE_PATH}rain.mp4`,
+      videoLow: `${ASSETS_BASE_PATH}rain-low.mp4`,
+      image: `${ASSETS_BASE_PATH}rain.jpg`,
+    },
+    {
+      time: 'day',
+      gif: `${ASSETS_BASE_PATH}rain-2.gif`,
+      video: `${ASSETS_BASE_PATH}rain-2.mp4`,
+      videoLow: `${ASSETS_BASE_PATH}rain-2-low.mp4`,
+      image: `${ASSETS_BASE_PATH}rain-2.jpg`,
+    },
+    {
+      time: 'night',
+      gif: `${ASSETS_BASE_PATH}rain-night.gif`,
+      video: `${ASSETS_BASE_PATH}rain-night.mp4`,
+      videoLow: `${ASSETS_BASE_PATH}rain-night-low.mp4`,
+      image: `${ASSETS_BASE_PATH}rain-night.jpg`,
+    },
+  ],
   
   // Windy
   wind: {
     gif: `${ASSETS_BASE_PATH}wind.gif`,
     video: `${ASSETS_BASE_PATH}wind.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}wind-low.mp4`,
     image: `${ASSETS_BASE_PATH}wind.jpg`,
   },
   
@@ -58,6 +116,7 @@ export const CURATED_ASSETS = {
   sunny: {
     gif: `${ASSETS_BASE_PATH}sunny.gif`,
     video: `${ASSETS_BASE_PATH}sunny.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}sunny-low.mp4`,
     image: `${ASSETS_BASE_PATH}sunny.jpg`,
   },
   
@@ -65,6 +124,7 @@ export const CURATED_ASSETS = {
   cloud: {
     gif: `${ASSETS_BASE_PATH}cloudy.gif`,
     video: `${ASSETS_BASE_PATH}cloudy.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}cloudy-low.mp4`,
     image: `${ASSETS_BASE_PATH}cloudy.jpg`,
   },
   
@@ -72,6 +132,7 @@ export const CURATED_ASSETS = {
   neutral: {
     gif: `${ASSETS_BASE_PATH}neutral.gif`,
     video: `${ASSETS_BASE_PATH}neutral.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}neutral-low.mp4`,
     image: `${ASSETS_BASE_PATH}neutral.jpg`,
   },
   
@@ -79,6 +140,7 @@ export const CURATED_ASSETS = {
   snow: {
     gif: `${ASSETS_BASE_PATH}snow.gif`,
     video: `${ASSETS_BASE_PATH}snow.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}snow-low.mp4`,
     image: `${ASSETS_BASE_PATH}snow.jpg`,
   },
   
@@ -86,8 +148,41 @@ export const CURATED_ASSETS = {
   fog: {
     gif: `${ASSETS_BASE_PATH}fog.gif`,
     video: `${ASSETS_BASE_PATH}fog.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}fog-low.mp4`,
     image: `${ASSETS_BASE_PATH}fog.jpg`,
   },
+
+  // Haze (common during the regional haze season)
+  haze: {
+    gif: `${ASSETS_BASE_PATH}haze.gif`,
+    video: `${ASSETS_BASE_PATH}haze.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}haze-low.mp4`,
+    image: `${ASSETS_BASE_PATH}haze.jpg`,
+  },
+
+  // Smoke/Volcanic ash
+  smoke: {
+    gif: `${ASSETS_BASE_PATH}smoke.gif`,
+    video: `${ASSETS_BASE_PATH}smoke.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}smoke-low.mp4`,
+    image: `${ASSETS_BASE_PATH}smoke.jpg`,
+  },
+
+  // Dust/Sand
+  dust: {
+    gif: `${ASSETS_BASE_PATH}dust.gif`,
+    video: `${ASSETS_BASE_PATH}dust.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}dust-low.mp4`,
+    image: `${ASSETS_BASE_PATH}dust.jpg`,
+  },
+
+  // Clear night sky
+  'clear-night': {
+    gif: `${ASSETS_BASE_PATH}clear-night.gif`,
+    video: `${ASSETS_BASE_PATH}clear-night.mp4`,
+    videoLow: `${ASSETS_BASE_PATH}clear-night-low.mp4`,
+    image: `${ASSETS_BASE_PATH}clear-night.jpg`,
+  },
 };
 
 /**
@@ -104,6 +199,11 @@ export const STATIC_FALLBACK_IMAGES = {
   neutral: 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=1920&q=80&auto=format',
   snow: 'https://images.unsplash.com/photo-1482517967863-00e15c9b44be?w=1920&q=80&auto=format',
   fog: 'https://images.unsplash.com/photo-1501594907352-04cda38ebc29?w=1920&q=80&auto=format',
+  // Reuse the closest existing scenes until dedicated images are curated
+  haze: 'https://images.unsplash.com/photo-1501594907352-04cda38ebc29?w=1920&q=80&auto=format',
+  smoke: 'https://images.unsplash.com/photo-1501594907352-04cda38ebc29?w=1920&q=80&auto=format',
+  dust: 'https://images.unsplash.com/photo-1504608524841-42fe6f032b4b?w=1920&q=80&auto=format',
+  'clear-night': 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=1920&q=80&auto=format',
 };
 
 /**
@@ -120,8 +220,63 @@ export const GIPHY_FALLBACK_QUERIES = {
   neutral: 'weather nature seamless loop animation',
   snow: 'snow falling seamless loop animation',
   fog: 'fog mist seamless loop animation',
+  haze: 'hazy sky sun seamless loop animation',
+  smoke: 'smoke drifting seamless loop animation',
+  dust: 'dust storm seamless loop animation',
+  'clear-night': 'starry night sky seamless loop animation',
 };
 
+/**
+ * @typedef {object} VariantContext
+ * @property {'day'|'night'} [time] - Time of day at the location
+ * @property {'light'|'moderate'|'heavy'} [intensity] - Weather intensity
+ * @property {string} [season] - SEASONS key
+ * @property {string} [day] - Local date (YYYY-MM-DD), drives the rotation
+ */
+
+const VARIANT_TAGS = ['time', 'intensity', 'season'];
+
+// Small deterministic string hash (djb2), for rotation offsets and the asset list version
+function hashString(str) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  return Math.abs(hash);
+}
+
+/**
+ * Season for a month
+ * @param {number} month - Month, 1-12
+ * @returns {string|null} SEASONS key
+ */
+export function getSeason(month) {
+  return Object.keys(SEASONS).find((season) => SEASONS[season].includes(month)) ?? null;
+}
+
+/**
+ * Orders the variants of a weather type for the given conditions: the
+ * variant of the day first, then the other matching ones, then the rest
+ * @param {string} weatherKey - Weather condition key
+ * @param {VariantContext} context - Current conditions
+ * @returns {Array<string|object>} Variants (strings or { gif, video, videoLow, image } objects)
+ */
+export function getAssetVariants(weatherKey, context = {}) {
+  const asset = CURATED_ASSETS[weatherKey];
+  if (!asset) return [];
+  if (!Array.isArray(asset)) return [asset];
+
+  const matches = (variant) =>
+    VARIANT_TAGS.every((tag) => !variant[tag] || !context[tag] || variant[tag] === context[tag]);
+  const matching = asset.filter(matches);
+  const others = asset.filter((variant) => !matches(variant));
+  if (matching.length === 0) return others;
+
+  // Same variant all day, the next one the day after; types are offset
+  // from each other so they don't all change scene together
+  const dayNumber = context.day ? Math.floor(Date.parse(context.day) / 86400000) : 0;
+  const start = context.day ? (dayNumber + hashString(weatherKey)) % matching.length : 0;
+  return [...matching.slice(start), ...matching.slice(0, start), ...others];
+}
+
 /**
  * Get curated asset URL for a weather type
  * @param {string} weatherKey - Weather condition key
@@ -129,7 +284,7 @@ export const GIPHY_FALLBACK_QUERIES = {
  * @returns {string|null} Asset URL or null if not available
  */
 export function getCuratedAsset(weatherKey, preferVideo = false) {
-  const asset = CURATED_ASSETS[weatherKey];
+  const [asset] = getAssetVariants(weatherKey);
   if (!asset) return null;
   
   // If asset is a string, return it directly
@@ -148,6 +303,21 @@ export function getCuratedAsset(weatherKey, preferVideo = false) {
   return null;
 }
 
+/**
+ * Get the curated asset URLs for a weather type that fit a quality tier, best first
+ * @param {string} weatherKey - Weather condition key
+ * @param {string[]} fields - Asset fields to try in order (see TIER_ASSET_FIELDS)
+ * @param {VariantContext} context - Current conditions, for picking among variants
+ * @returns {string[]} Asset URLs (empty if none are configured)
+ */
+export function getCuratedAssetCandidates(weatherKey, fields, context = {}) {
+  const urls = getAssetVariants(weatherKey, context).flatMap((asset) =>
+    // A plain string has no formats to choose from
+    typeof asset === 'string' ? [asset] : fields.map((field) => asset[field]).filter(Boolean)
+  );
+  return [...new Set(urls)];
+}
+
 /**
  * Get static fallback image for a weather type
  * @param {string} weatherKey - Weather condition key
@@ -165,3 +335,29 @@ export function getStaticFallback(weatherKey) {
 export function getGiphyQuery(weatherKey) {
   return GIPHY_FALLBACK_QUERIES[weatherKey] || GIPHY_FALLBACK_QUERIES.neutral;
 }
+
+const ASSET_FIELDS = ['gif', 'video', 'videoLow', 'image'];
+
+/**
+ * Every curated asset URL, variants and static fallbacks included
+ * (what the service worker and the offline download cache)
+ * @returns {string[]} Unique URLs
+ */
+export function listCuratedAssetUrls() {
+  const urls = Object.values(CURATED_ASSETS).flatMap((asset) =>
+    [asset].flat().flatMap((variant) => {
+      if (!variant) return [];
+      return typeof variant === 'string' ? [variant] : ASSET_FIELDS.map((field) => variant[field]);
+    })
+  );
+  return [...new Set([...urls, ...Object.values(STATIC_FALLBACK_IMAGES)].filter(Boolean))];
+}
+
+/**
+ * Version of the curated asset list; changes whenever CURATED_ASSETS or
+ * the static fallbacks do, so offline copies of old assets get dropped
+ * @returns {string} Short hash
+ */
+export function getCuratedAssetsVersion() {
+  return hashString(JSON.stringify([CURATED_ASSETS, STATIC_FALLBACK_IMAGES])).toString(36);
+}
@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { AmbientAudioEngine } from '../services/ambientAudioEngine';
+
+/**
+ * Ambient sound for a weather key. While playing, a change of `mode`
+ * crossfades to the new sound and new readings reshape it; the engine is
+ * disposed on unmount.
+ *
+ * @param {string} mode - Weather key to play
+ * @param {number} volume - Volume, 0-100
+ * @param {import('../services/weatherProvider').Observation|null} observation - Readings that shape the sound
+ * @returns {{isPlaying: boolean, toggle: function}}
+ */
+export default function useAmbientAudio(mode, volume, observation) {
+  const engineRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  useEffect(() => {
+    const engine = new AmbientAudioEngine();
+    engineRef.current = engine;
+    return () => {
+      engine.dispose();
+      engineRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    engineRef.current?.setVolume(volume);
+  }, [volume]);
+
+  useEffect(() => {
+    engineRef.current?.setConditions(observation);
+  }, [observation]);
+
+  useEffect(() => {
+    if (isPlaying) engineRef.current?.play(mode);
+  }, [mode, isPlaying]);
+
+  // Starts from the click itself, so the browser lets the audio context run
+  const toggle = useCallback(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+
+    if (isPlaying) {
+      engine.stop();
+    } else {
+      engine.play(mode);
+    }
+    setIsPlaying(!isPlaying);
+  }, [isPlaying, mode]);
+
+  return { isPlaying, toggle };
+}
@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Calls `onRefresh` every `intervalMs` while the page is visible.
+ * Polling pauses while the tab is hidden and fires immediately when it
+ * becomes visible again, so a wall-mounted tablet never shows stale data
+ * and a backgrounded tab does not burn API quota.
+ *
+ * @param {function} onRefresh - Refresh callback
+ * @param {number} intervalMs - Poll interval; 0 disables polling
+ */
+export default function useAutoRefresh(onRefresh, intervalMs) {
+  const callbackRef = useRef(onRefresh);
+
+  useEffect(() => {
+    callbackRef.current = onRefresh;
+  }, [onRefresh]);
+
+  useEffect(() => {
+    if (!intervalMs) return undefined;
+
+    let timer = null;
+
+    const stop = () => {
+      if (timer) clearInterval(timer);
+      timer = null;
+    };
+    const start = () => {
+      stop();
+      timer = setInterval(() => callbackRef.current(), intervalMs);
+    };
+    const onVisibilityChange = () => {
+      if (document.hidden) {
+        stop();
+      } else {
+        callbackRef.current();
+        start();
+      }
+    };
+
+    if (!document.hidden) start();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return () => {
+      stop();
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }, [intervalMs]);
+}
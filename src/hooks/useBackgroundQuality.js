@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { chooseQualityTier, readQualityEnvironment } from '../services/backgroundQuality';
+
+/**
+ * Background quality tier, following network and reduced-motion changes
+ * unless the user picked a tier by hand.
+ *
+ * @param {boolean} preferVideo - Whether the user prefers video on fast connections
+ * @param {string|null} override - Tier chosen by the user, or null for automatic
+ * @returns {{tier: string, auto: {tier: string, reason: string}}}
+ */
+export default function useBackgroundQuality(preferVideo, override = null) {
+  const [env, setEnv] = useState(readQualityEnvironment);
+
+  useEffect(() => {
+    const update = () => setEnv(readQualityEnvironment());
+    const connection = navigator.connection;
+    const motion = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+
+    connection?.addEventListener?.('change', update);
+    motion?.addEventListener?.('change', update);
+    return () => {
+      connection?.removeEventListener?.('change', update);
+      motion?.removeEventListener?.('change', update);
+    };
+  }, []);
+
+  const auto = chooseQualityTier(env, preferVideo);
+  return { tier: override || auto.tier, auto };
+}
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Current time in milliseconds, updated every `intervalMs`
+ * (render code must not call Date.now() directly)
+ *
+ * @param {number} intervalMs - Update interval
+ * @returns {number} Current time
+ */
+export default function useNow(intervalMs = 30000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  return now;
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { readHistory } from '../services/observationHistory';
+
+/**
+ * Logged observations of a location over the last `seconds`
+ *
+ * @param {string} locationKey - Location key
+ * @param {number} seconds - How far back to read
+ * @param {{enabled?: boolean, reloadToken?: *}} options - Skip reading while
+ *   disabled; a new reloadToken reads again (e.g. after a fetch)
+ * @returns {{records: Array<object>|null, error: string}} Records are null until read
+ */
+export default function useObservationHistory(locationKey, seconds, { enabled = true, reloadToken = null } = {}) {
+  // Tagged with what was read, so a location change never shows another farm's rows
+  const [loaded, setLoaded] = useState(null);
+  const key = `${locationKey}|${seconds}`;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+    const readKey = `${locationKey}|${seconds}`;
+
+    readHistory(locationKey, Math.floor(Date.now() / 1000) - seconds)
+      .then((records) => {
+        if (!cancelled) setLoaded({ key: readKey, records, error: '' });
+      })
+      .catch((error) => {
+        if (!cancelled) setLoaded({ key: readKey, records: [], error: error.message || 'History is unavailable in this browser' });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, locationKey, seconds, reloadToken]);
+
+  const current = loaded?.key === key ? loaded : null;
+  return { records: current?.records ?? null, error: current?.error ?? '' };
+}
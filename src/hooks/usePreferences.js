@@ -0,0 +1,32 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadPreferences, readUrlPreferences, savePreferences } from '../services/preferences';
+
+function loadInitial(savedLocations) {
+  const fromUrl = readUrlPreferences(window.location.search, savedLocations);
+  return {
+    preferences: { ...loadPreferences(), ...fromUrl.preferences },
+    sharedLocation: fromUrl.sharedLocation,
+  };
+}
+
+/**
+ * Stored user preferences, overridden by the page URL on first load and
+ * persisted on every change
+ *
+ * @param {Array<object>} savedLocations - Saved farms (to resolve `loc` links)
+ * @returns {{preferences: object, setPreference: function(string, *): void, sharedLocation: object|null}}
+ */
+export default function usePreferences(savedLocations) {
+  const [initial] = useState(() => loadInitial(savedLocations));
+  const [preferences, setPreferences] = useState(initial.preferences);
+
+  useEffect(() => {
+    savePreferences(preferences);
+  }, [preferences]);
+
+  const setPreference = useCallback((name, value) => {
+    setPreferences((prev) => (prev[name] === value ? prev : { ...prev, [name]: value }));
+  }, []);
+
+  return { preferences, setPreference, sharedLocation: initial.sharedLocation };
+}
@@ -2,6 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './services/offlineBackgrounds'
+
+// Dev serves modules unbundled; the worker and its precache list only exist in builds
+if (import.meta.env.PROD) {
+  registerServiceWorker()
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,223 @@
+/**
+ * FarmSync Service Worker
+ *
+ * Served as /sw.js in production builds. The build (see
+ * scripts/vite-plugin-service-worker.js) prepends a `PRECACHE` constant:
+ *   - shellCache / shell: cache name and URLs of the app shell
+ *   - backgroundsCache / backgrounds: cache name and every curated asset URL;
+ *     the name carries the CURATED_ASSETS version
+ *   - installBackgrounds: the still images precached on install (the heavy
+ *     GIFs and videos are fetched by the "download for offline" control)
+ *
+ * Strategies:
+ *   - App shell: cache-first, navigation falls back to the cached index.html
+ *   - Backgrounds (curated assets, Giphy media): cache-first
+ *   - Weather and forecast (OWM or the API proxy, see server/proxy.js):
+ *     network-first, so refreshes always get fresh data. When the network
+ *     fails the cached copy is marked with FALLBACK_HEADER, which
+ *     fetchWithTimeout() reports as a failure: the app's own offline path
+ *     (weatherCache.js) then shows the data with its age
+ *   - Other OWM and proxy API responses (geocoding) and icons:
+ *     stale-while-revalidate
+ */
+
+/* global PRECACHE */
+
+const CACHE_PREFIX = 'farmsync-';
+const API_CACHE = `${CACHE_PREFIX}api`;
+const MEDIA_CACHE = `${CACHE_PREFIX}media`;
+
+// Must match SW_FALLBACK_HEADER in services/requestErrors.js
+const FALLBACK_HEADER = 'X-FarmSync-Fallback';
+
+// Giphy media is looked up per weather type and tier, so a few dozen at most
+const MEDIA_CACHE_MAX_ENTRIES = 40;
+
+const shellUrls = new Set(PRECACHE.shell.map((url) => new URL(url, self.location).href));
+const backgroundUrls = new Set(PRECACHE.backgrounds.map((url) => new URL(url, self.location).href));
+
+// Cache individually: one missing asset must not fail the install
+async function precache(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  await Promise.all(
+    urls.map(async (url) => {
+      try {
+        const response = await fetch(url, { cache: 'reload' });
+        if (response.ok) await cache.put(url, response);
+      } catch {
+        // Not reachable right now; cached on first use instead
+      }
+    })
+  );
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([
+      precache(PRECACHE.shellCache, PRECACHE.shell),
+      precache(PRECACHE.backgroundsCache, PRECACHE.installBackgrounds),
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+// Carry downloaded backgrounds still listed over to the new version's cache
+async function migrateBackgrounds(oldName) {
+  const [oldCache, newCache] = await Promise.all([caches.open(oldName), caches.open(PRECACHE.backgroundsCache)]);
+  const requests = await oldCache.keys();
+  await Promise.all(
+    requests
+      .filter((request) => backgroundUrls.has(request.url))
+      .map(async (request) => {
+        if (await newCache.match(request)) return;
+        const response = await oldCache.match(request);
+        if (response) await newCache.put(request, response);
+      })
+  );
+}
+
+self.addEventListener('activate', (event) => {
+  const current = new Set([PRECACHE.shellCache, PRECACHE.backgroundsCache, API_CACHE, MEDIA_CACHE]);
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      for (const name of names) {
+        if (!name.startsWith(CACHE_PREFIX) || current.has(name)) continue;
+        if (name.startsWith(`${CACHE_PREFIX}backgrounds-`)) await migrateBackgrounds(name);
+        await caches.delete(name);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+// Answers a Range request (video) from a full cached response
+async function rangeResponse(request, response) {
+  const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range') || '');
+  if (!match) return response;
+
+  const blob = await response.blob();
+  const start = match[1] ? Number(match[1]) : Math.max(0, blob.size - Number(match[2]));
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || blob.type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+    },
+  });
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const requests = await cache.keys();
+  await Promise.all(requests.slice(0, Math.max(0, requests.length - maxEntries)).map((request) => cache.delete(request)));
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  // Availability checks are HEAD requests; answer them from the cached GET
+  const cached = await cache.match(request, { ignoreMethod: true });
+  if (cached) {
+    if (request.method === 'HEAD') {
+      return new Response(null, { status: cached.status, headers: cached.headers });
+    }
+    return request.headers.has('range') ? rangeResponse(request, cached) : cached;
+  }
+
+  const response = await fetch(request);
+  // Partial (206) and opaque responses can't be replayed for other requests
+  if (request.method === 'GET' && response.status === 200 && !request.headers.has('range')) {
+    await cache.put(request, response.clone());
+    if (cacheName === MEDIA_CACHE) await trimCache(MEDIA_CACHE, MEDIA_CACHE_MAX_ENTRIES);
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    // Refresh in the background; a failure just keeps the cached copy
+    event.waitUntil(network.catch(() => undefined));
+    return cached;
+  }
+  return network;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (!cached) throw error;
+    const headers = new Headers(cached.headers);
+    headers.set(FALLBACK_HEADER, '1');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+  }
+}
+
+async function navigate(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(PRECACHE.shellCache);
+    const shell = (await cache.match('/index.html')) || (await cache.match('/'));
+    if (shell) return shell;
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' && request.method !== 'HEAD') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(navigate(request));
+    return;
+  }
+
+  if (backgroundUrls.has(url.href) || (url.origin === self.location.origin && url.pathname.startsWith('/assets/weather/'))) {
+    event.respondWith(cacheFirst(request, PRECACHE.backgroundsCache));
+    return;
+  }
+
+  if (request.method !== 'GET') return;
+
+  if (shellUrls.has(url.href)) {
+    event.respondWith(cacheFirst(request, PRECACHE.shellCache));
+    return;
+  }
+
+  if (/^media\d*\.giphy\.com$/.test(url.hostname)) {
+    event.respondWith(cacheFirst(request, MEDIA_CACHE));
+    return;
+  }
+
+  const isProxyApi = url.origin === self.location.origin && url.pathname.startsWith('/api/');
+  const isWeatherApi =
+    (isProxyApi && /^\/api\/(weather|forecast)$/.test(url.pathname)) ||
+    (url.hostname === 'api.openweathermap.org' && /^\/data\/2\.5\/(weather|forecast)$/.test(url.pathname));
+  if (isWeatherApi) {
+    event.respondWith(networkFirst(request, API_CACHE));
+    return;
+  }
+  if (isProxyApi || url.hostname === 'api.openweathermap.org' || (url.hostname === 'openweathermap.org' && url.pathname.startsWith('/img/'))) {
+    event.respondWith(staleWhileRevalidate(event, API_CACHE));
+  }
+});
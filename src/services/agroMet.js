@@ -0,0 +1,260 @@
+/**
+ * Agro-meteorology Service
+ *
+ * Daily reference evapotranspiration (ET0, mm/day) following FAO-56
+ * (Allen et al., 1998), and crop evapotranspiration (ETc) from crop
+ * coefficients:
+ * - Penman-Monteith (eq. 6) when a day has temperature, humidity, wind,
+ *   pressure and cloud cover readings. Sunshine is taken as the cloud-free
+ *   share of the daylight readings (between sunrise and sunset), since no
+ *   provider reports sunshine hours.
+ * - Hargreaves (eq. 52) when only the temperature range is usable
+ * - FALLBACK_ET0_MM otherwise
+ *
+ * Kc values tuned by the user are stored over the defaults in
+ * config/agroMet.js.
+ */
+
+import {
+  ANGSTROM_A,
+  ANGSTROM_B,
+  CROP_COEFFICIENTS,
+  FALLBACK_ET0_MM,
+  MIN_SAMPLE_SPAN_HOURS,
+  MIN_TEMPERATURE_RANGE_C,
+} from '../config/agroMet';
+import { readJSON, writeJSON } from './storage';
+
+const SOLAR_CONSTANT = 0.082; // MJ m-2 min-1
+const STEFAN_BOLTZMANN = 4.903e-9; // MJ K-4 m-2 day-1
+const KC_OVERRIDES_KEY = 'cropCoefficients';
+
+export const ET0_METHODS = {
+  'penman-monteith': 'Penman-Monteith',
+  hargreaves: 'Hargreaves',
+  fallback: 'Typical value',
+};
+
+/**
+ * Day of the year (1-366) of a YYYY-MM-DD date
+ * @param {string} dateKey - Date as from localDateKey()
+ * @returns {number}
+ */
+export function dayOfYear(dateKey) {
+  const date = Date.parse(`${dateKey}T00:00:00Z`);
+  const start = Date.UTC(Number(dateKey.slice(0, 4)), 0, 1);
+  return Math.round((date - start) / (24 * 3600 * 1000)) + 1;
+}
+
+function sunsetHourAngle(phi, declination) {
+  return Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(declination))));
+}
+
+function solarDeclination(doy) {
+  return 0.409 * Math.sin(((2 * Math.PI) / 365) * doy - 1.39);
+}
+
+/**
+ * Extraterrestrial radiation Ra (FAO-56 eq. 21)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} doy - Day of the year
+ * @returns {number} MJ m-2 day-1
+ */
+export function extraterrestrialRadiation(lat, doy) {
+  const phi = (lat * Math.PI) / 180;
+  const dr = 1 + 0.033 * Math.cos(((2 * Math.PI) / 365) * doy);
+  const declination = solarDeclination(doy);
+  const ws = sunsetHourAngle(phi, declination);
+  return (
+    ((24 * 60) / Math.PI) *
+    SOLAR_CONSTANT *
+    dr *
+    (ws * Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.sin(ws))
+  );
+}
+
+/**
+ * Saturation vapour pressure e°(T) (FAO-56 eq. 11)
+ * @param {number} temp - °C
+ * @returns {number} kPa
+ */
+export function saturationVapourPressure(temp) {
+  return 0.6108 * Math.exp((17.27 * temp) / (temp + 237.3));
+}
+
+/**
+ * Wind speed at 2 m from a 10 m reading (FAO-56 eq. 47)
+ * @param {number} speed10m - m/s at 10 m
+ * @returns {number} m/s at 2 m
+ */
+export function windAt2m(speed10m) {
+  return speed10m * (4.87 / Math.log(67.8 * 10 - 5.42));
+}
+
+/**
+ * Station pressure from sea-level pressure and elevation (FAO-56 eq. 7 ratio)
+ * @param {number} seaLevelHpa - Sea-level pressure, hPa
+ * @param {number} elevation - m above sea level
+ * @returns {number} kPa
+ */
+export function stationPressure(seaLevelHpa, elevation = 0) {
+  return (seaLevelHpa / 10) * ((293 - 0.0065 * elevation) / 293) ** 5.26;
+}
+
+/**
+ * Penman-Monteith reference evapotranspiration (FAO-56 eq. 6, daily, G = 0)
+ * @param {object} day
+ * @param {number} day.tMin - Daily minimum temperature, °C
+ * @param {number} day.tMax - Daily maximum temperature, °C
+ * @param {number} day.ea - Actual vapour pressure, kPa
+ * @param {number} day.u2 - Mean wind speed at 2 m, m/s
+ * @param {number} day.pressure - Atmospheric pressure, kPa
+ * @param {number} day.sunshineFraction - Relative sunshine duration n/N (0-1)
+ * @param {number} day.lat - Latitude in degrees
+ * @param {number} day.doy - Day of the year
+ * @param {number} [day.elevation] - m above sea level
+ * @returns {number} ET0 in mm/day
+ */
+export function penmanMonteithEt0({ tMin, tMax, ea, u2, pressure, sunshineFraction, lat, doy, elevation = 0 }) {
+  const tMean = (tMin + tMax) / 2;
+  const delta = (4098 * saturationVapourPressure(tMean)) / (tMean + 237.3) ** 2;
+  const gamma = 0.665e-3 * pressure;
+  const es = (saturationVapourPressure(tMax) + saturationVapourPressure(tMin)) / 2;
+
+  const ra = extraterrestrialRadiation(lat, doy);
+  const rs = (ANGSTROM_A + ANGSTROM_B * sunshineFraction) * ra;
+  const rso = (0.75 + 2e-5 * elevation) * ra;
+  const rns = 0.77 * rs;
+  const rnl =
+    STEFAN_BOLTZMANN *
+    (((tMax + 273.16) ** 4 + (tMin + 273.16) ** 4) / 2) *
+    (0.34 - 0.14 * Math.sqrt(ea)) *
+    (1.35 * Math.min(1, rs / rso) - 0.35);
+  const rn = rns - rnl;
+
+  const et0 = (0.408 * delta * rn + gamma * (900 / (tMean + 273)) * u2 * (es - ea)) / (delta + gamma * (1 + 0.34 * u2));
+  return Math.max(0, et0);
+}
+
+/**
+ * Hargreaves reference evapotranspiration (FAO-56 eq. 52)
+ * @param {object} day
+ * @param {number} day.tMin - Daily minimum temperature, °C
+ * @param {number} day.tMax - Daily maximum temperature, °C
+ * @param {number} day.lat - Latitude in degrees
+ * @param {number} day.doy - Day of the year
+ * @returns {number} ET0 in mm/day
+ */
+export function hargreavesEt0({ tMin, tMax, lat, doy }) {
+  const ra = extraterrestrialRadiation(lat, doy);
+  const tMean = (tMin + tMax) / 2;
+  // 0.408 converts MJ m-2 day-1 to mm/day of evaporated water
+  return Math.max(0, 0.0023 * (tMean + 17.8) * Math.sqrt(Math.max(0, tMax - tMin)) * 0.408 * ra);
+}
+
+/**
+ * Daylight hours of a location as local seconds after midnight
+ * @param {number|null} sunrise - Unix seconds
+ * @param {number|null} sunset - Unix seconds
+ * @param {number} timezone - Offset from UTC in seconds
+ * @returns {{sunrise: number, sunset: number}|null} Null when either is unknown
+ */
+export function daylightFromSun(sunrise, sunset, timezone = 0) {
+  if (sunrise == null || sunset == null) return null;
+  const secondOfDay = (time) => (((time + timezone) % 86400) + 86400) % 86400;
+  return { sunrise: secondOfDay(sunrise), sunset: secondOfDay(sunset) };
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Daily ET0 from the readings of one day, with the best method their
+ * inputs allow
+ * @param {Array<{time: number, temp: number, humidity?: number, windSpeed?: number, pressure?: number, clouds?: number}>} samples
+ *   Logged and forecast readings of the day (10 m wind, sea-level pressure)
+ * @param {object} place
+ * @param {string} place.date - Local date, YYYY-MM-DD
+ * @param {number|null} place.lat - Latitude in degrees
+ * @param {number|null} [place.elevation] - m above sea level
+ * @param {number} [place.timezone] - Offset from UTC in seconds
+ * @param {{sunrise: number, sunset: number}|null} [place.daylight] - Local seconds after
+ *   midnight (from today's sunrise and sunset; 06:00-18:00 when unknown)
+ * @returns {{et0: number, method: keyof ET0_METHODS}}
+ */
+export function estimateDailyEt0(samples, { date, lat, elevation = null, timezone = 0, daylight = null }) {
+  const usable = samples.filter((s) => Number.isFinite(s.temp));
+  if (usable.length < 3 || lat == null) return { et0: FALLBACK_ET0_MM, method: 'fallback' };
+
+  const times = usable.map((s) => s.time);
+  const temps = usable.map((s) => s.temp);
+  const tMin = Math.min(...temps);
+  const tMax = Math.max(...temps);
+  if ((Math.max(...times) - Math.min(...times)) / 3600 < MIN_SAMPLE_SPAN_HOURS) {
+    return { et0: FALLBACK_ET0_MM, method: 'fallback' };
+  }
+  const doy = dayOfYear(date);
+
+  const complete = usable.every((s) => ['humidity', 'windSpeed', 'pressure', 'clouds'].every((f) => Number.isFinite(s[f])));
+  if (complete) {
+    const z = elevation ?? 0;
+    const { sunrise, sunset } = daylight ?? { sunrise: 6 * 3600, sunset: 18 * 3600 };
+    const daytime = usable.filter((s) => {
+      const secondOfDay = (((s.time + timezone) % 86400) + 86400) % 86400;
+      return secondOfDay >= sunrise && secondOfDay <= sunset;
+    });
+    const et0 = penmanMonteithEt0({
+      tMin,
+      tMax,
+      // Mean of the readings' own vapour pressure (FAO-56 eq. 19 needs RH extremes we don't have)
+      ea: mean(usable.map((s) => (s.humidity / 100) * saturationVapourPressure(s.temp))),
+      u2: windAt2m(mean(usable.map((s) => s.windSpeed))),
+      pressure: stationPressure(mean(usable.map((s) => s.pressure)), z),
+      sunshineFraction: 1 - mean((daytime.length ? daytime : usable).map((s) => s.clouds)) / 100,
+      lat,
+      doy,
+      elevation: z,
+    });
+    return { et0, method: 'penman-monteith' };
+  }
+
+  if (tMax - tMin >= MIN_TEMPERATURE_RANGE_C) {
+    return { et0: hargreavesEt0({ tMin, tMax, lat, doy }), method: 'hargreaves' };
+  }
+  return { et0: FALLBACK_ET0_MM, method: 'fallback' };
+}
+
+/**
+ * Loads the Kc values tuned by the user
+ * @returns {Object<string, Object<string, number>>} Kc by crop and stage
+ */
+export function loadKcOverrides() {
+  return readJSON(KC_OVERRIDES_KEY, {});
+}
+
+/**
+ * Saves a tuned Kc for one crop and stage (null restores the default)
+ * @param {string} crop - Key of CROP_COEFFICIENTS
+ * @param {string} stage - Key of GROWTH_STAGES
+ * @param {number|null} kc - Crop coefficient
+ * @returns {Object<string, Object<string, number>>} Updated overrides
+ */
+export function saveKcOverride(crop, stage, kc) {
+  const all = loadKcOverrides();
+  const forCrop = { ...all[crop] };
+  if (kc == null) delete forCrop[stage];
+  else forCrop[stage] = kc;
+  const next = { ...all, [crop]: forCrop };
+  writeJSON(KC_OVERRIDES_KEY, next);
+  return next;
+}
+
+/**
+ * Crop coefficient for a crop and growth stage
+ * @param {string} crop - Key of CROP_COEFFICIENTS
+ * @param {string} stage - Key of GROWTH_STAGES
+ * @param {Object<string, Object<string, number>>} overrides - Result of loadKcOverrides()
+ * @returns {number}
+ */
+export function getCropCoefficient(crop, stage, overrides = {}) {
+  return overrides[crop]?.[stage] ?? CROP_COEFFICIENTS[crop]?.kc[stage] ?? 1;
+}
@@ -0,0 +1,165 @@
+/**
+ * Ambience Classification
+ *
+ * Maps a normalized observation (current conditions or a single forecast
+ * slot) to the weather key used by the backgrounds, CSS themes and
+ * ambient sound. Classification is driven by the OWM condition code
+ * (2xx-8xx, which every provider maps onto), refined by measured rain
+ * and wind, with day/night taken from the icon suffix.
+ *
+ * See https://openweathermap.org/weather-conditions for the code table.
+ */
+
+// Rain amount (mm) at or above which rain is treated as heavy
+export const HEAVY_RAIN_MM = 6;
+
+// Wind speed (m/s) at or above which dry weather is treated as windy
+export const WINDY_MS = 8;
+
+/**
+ * Weather keys with their display labels
+ */
+export const WEATHER_KEYS = {
+  thunder: 'Thunderstorm',
+  'heavy-rain': 'Heavy Rain',
+  rain: 'Rain',
+  snow: 'Snow',
+  smoke: 'Smoke',
+  dust: 'Dust',
+  haze: 'Haze',
+  fog: 'Fog',
+  wind: 'Windy',
+  cloud: 'Cloudy',
+  'clear-night': 'Clear Night',
+  sunny: 'Sunny',
+  neutral: 'Neutral',
+};
+
+/**
+ * Severity ranking of weather keys, most severe first (the order of
+ * WEATHER_KEYS). Used to pick the representative condition of a forecast day.
+ */
+export const AMBIENCE_SEVERITY = Object.keys(WEATHER_KEYS);
+
+// OWM codes in the 5xx group that are heavy regardless of measured amount
+const HEAVY_RAIN_CODES = new Set([502, 503, 504, 522, 531]);
+
+/**
+ * Atmosphere group (7xx) codes -> weather key and label
+ */
+const ATMOSPHERE_CODES = {
+  701: ['fog', 'Mist'],
+  711: ['smoke', 'Smoke'],
+  721: ['haze', 'Haze'],
+  731: ['dust', 'Dust Whirls'],
+  741: ['fog', 'Fog'],
+  751: ['dust', 'Sand'],
+  761: ['dust', 'Dust'],
+  762: ['smoke', 'Volcanic Ash'],
+  771: ['wind', 'Squalls'],
+  781: ['wind', 'Tornado'],
+};
+
+/**
+ * Maps an OWM condition code to a weather key, ignoring measurements
+ * @param {number} id - OWM condition code
+ * @param {boolean} isNight - Whether it is night at the location
+ * @returns {{key: string, label: string}}
+ */
+export function classifyConditionCode(id, isNight = false) {
+  const group = Math.floor(id / 100);
+
+  if (group === 2) return { key: 'thunder', label: WEATHER_KEYS.thunder };
+  if (group === 3) return { key: 'rain', label: 'Drizzle' };
+  if (group === 5) {
+    if (HEAVY_RAIN_CODES.has(id)) return { key: 'heavy-rain', label: WEATHER_KEYS['heavy-rain'] };
+    return { key: 'rain', label: id === 511 ? 'Freezing Rain' : WEATHER_KEYS.rain };
+  }
+  if (group === 6) return { key: 'snow', label: id >= 611 && id <= 616 ? 'Sleet' : WEATHER_KEYS.snow };
+  if (group === 7) {
+    const [key, label] = ATMOSPHERE_CODES[id] ?? ['fog', 'Mist'];
+    return { key, label };
+  }
+  if (id === 800) {
+    return isNight
+      ? { key: 'clear-night', label: WEATHER_KEYS['clear-night'] }
+      : { key: 'sunny', label: WEATHER_KEYS.sunny };
+  }
+  if (id > 800 && id < 900) return { key: 'cloud', label: id <= 802 ? 'Partly Cloudy' : WEATHER_KEYS.cloud };
+
+  return { key: 'neutral', label: WEATHER_KEYS.neutral };
+}
+
+/**
+ * Classifies an observation into a weather key
+ * @param {import('./weatherProvider').Observation|null} observation - Normalized observation
+ * @returns {{key: string, label: string, isNight: boolean, conditionId: number|null}}
+ */
+export function classifyAmbience(observation) {
+  const id = Number(observation?.condition?.id ?? 0);
+  const isNight = (observation?.condition?.icon ?? '').endsWith('n');
+
+  if (!id) return { key: 'neutral', label: WEATHER_KEYS.neutral, isNight, conditionId: null };
+
+  const windSpeed = Number(observation.windSpeed ?? 0);
+  const rainAmount = Number(observation.rain ?? 0);
+  let result = classifyConditionCode(id, isNight);
+
+  // Measured amounts refine the code: a downpour reported as "moderate rain"
+  // is still heavy, and a gale under clear or cloudy skies is windy
+  if (result.key === 'rain' && id !== 511 && rainAmount >= HEAVY_RAIN_MM) {
+    result = { key: 'heavy-rain', label: WEATHER_KEYS['heavy-rain'] };
+  }
+  if (['sunny', 'clear-night', 'cloud', 'neutral'].includes(result.key) && windSpeed >= WINDY_MS) {
+    result = { key: 'wind', label: WEATHER_KEYS.wind };
+  }
+
+  return { ...result, isNight, conditionId: id };
+}
+
+/**
+ * CSS theme class (index.css) for a weather key
+ * @param {string} key - Weather key
+ * @returns {string}
+ */
+export function getThemeClass(key) {
+  switch (key) {
+    case 'thunder':
+      return 'ios-thunder';
+    case 'rain':
+    case 'heavy-rain':
+      return 'ios-rain';
+    case 'snow':
+      return 'ios-snow';
+    case 'fog':
+      return 'ios-fog';
+    case 'haze':
+    case 'smoke':
+    case 'dust':
+      return 'ios-haze';
+    case 'wind':
+      return 'ios-wind';
+    case 'sunny':
+      return 'ios-clear';
+    case 'clear-night':
+      return 'ios-night';
+    case 'cloud':
+      return 'ios-clouds';
+    default:
+      return 'ios-neutral';
+  }
+}
+
+/**
+ * Compares two weather keys by severity
+ * @param {string} a - Weather key
+ * @param {string} b - Weather key
+ * @returns {number} Negative if `a` is more severe than `b`
+ */
+export function compareAmbienceSeverity(a, b) {
+  const rank = (key) => {
+    const i = AMBIENCE_SEVERITY.indexOf(key);
+    return i === -1 ? AMBIENCE_SEVERITY.length : i;
+  };
+  return rank(a) - rank(b);
+}
@@ -0,0 +1,582 @@
+/**
+ * Ambient Audio Engine
+ *
+ * Synthesizes the ambient sound for each weather key with the Web Audio
+ * API. Every mode is built as a "voice" feeding its own bus gain; switching
+ * modes fades the old bus out and the new one in with equal-power curves,
+ * so the overall loudness stays steady through the crossfade.
+ *
+ * When a curated sample pack exists for the mode (config/audioAssets.js)
+ * it replaces the synthesized voice once decoded; until then, or when the
+ * files are missing, the synthesized sound plays.
+ *
+ * Levels, filters and thunder follow the live readings passed to
+ * setConditions(), gliding to new values whenever fresh data arrives.
+ *
+ * The audio context is created on the first play() (browsers only allow
+ * that from a user gesture) and is suspended while the page is hidden, with
+ * periodic effects such as thunder paused until it is visible again.
+ * Lightning strikes are published on the thunder channel so the background
+ * can flash in sync.
+ */
+
+import { loadAudioPack } from './audioSamples';
+import { publishThunderStrike } from './thunderChannel';
+
+// Crossfade length between modes, and fade length for play/stop
+const CROSSFADE_S = 1.5;
+
+// Points in the equal-power fade curves
+const CURVE_STEPS = 64;
+
+// Loop length of the shared white noise buffer
+const NOISE_SECONDS = 2;
+
+// Time constant of parameter glides when new readings arrive
+const RAMP_TIME_CONSTANT_S = 2;
+
+// Readings at which the sound reaches full intensity
+const RAIN_FULL_MM = 20;
+const WIND_FULL_MS = 20;
+const GUST_FULL_MS = 10;
+
+// Thunderstorm severity (0-1) by OWM condition code; unlisted 2xx codes are moderate
+const STORM_SEVERITY = {
+  200: 0.4,
+  201: 0.6,
+  202: 0.9,
+  210: 0.3,
+  211: 0.6,
+  212: 1,
+  221: 0.7,
+  230: 0.3,
+  231: 0.4,
+  232: 0.6,
+};
+
+/**
+ * Equal-power fade curve from `level` to silence (out) or from silence to `level` (in)
+ * @param {'in'|'out'} direction - Fade direction
+ * @param {number} level - Start level for fade-out, end level for fade-in
+ * @returns {Float32Array}
+ */
+function equalPowerCurve(direction, level) {
+  const curve = new Float32Array(CURVE_STEPS);
+  for (let i = 0; i < CURVE_STEPS; i++) {
+    const x = (i / (CURVE_STEPS - 1)) * (Math.PI / 2);
+    curve[i] = level * (direction === 'in' ? Math.sin(x) : Math.cos(x));
+  }
+  return curve;
+}
+
+/**
+ * Fades an AudioParam along an equal-power curve, starting from its current value
+ * @param {AudioParam} param - Gain parameter
+ * @param {'in'|'out'} direction - Fade direction
+ * @param {number} startTime - Context time to start at
+ */
+function equalPowerFade(param, direction, startTime) {
+  const current = param.value;
+  if (param.cancelAndHoldAtTime) param.cancelAndHoldAtTime(startTime);
+  else param.cancelScheduledValues(startTime);
+  param.setValueAtTime(current, startTime);
+
+  // A curve may not overlap other events, so it starts just after the hold
+  const curve = direction === 'in'
+    ? equalPowerCurve('in', 1).map((v) => current + (1 - current) * v)
+    : equalPowerCurve('out', current);
+  param.setValueCurveAtTime(curve, startTime + 0.01, CROSSFADE_S);
+}
+
+/**
+ * Maps the 0-100 UI volume onto a perceptual gain curve
+ * @param {number} volume - Volume, 0-100
+ * @returns {number} Gain
+ */
+function volumeToGain(volume) {
+  const x = Math.min(1, Math.max(0, volume / 100));
+  return x === 0 ? 0 : Math.pow(x, 1.8);
+}
+
+function createNoiseBuffer(ctx) {
+  const size = ctx.sampleRate * NOISE_SECONDS;
+  const buffer = ctx.createBuffer(1, size, ctx.sampleRate);
+  const ch = buffer.getChannelData(0);
+  for (let i = 0; i < size; i++) ch[i] = Math.random() * 2 - 1;
+  return buffer;
+}
+
+/**
+ * Normalized 0-1 intensities of the readings that shape the sound
+ * @param {import('./weatherProvider').Observation|null} observation - Current observation
+ * @returns {{rain: number, wind: number, gust: number, clouds: number, storm: number}}
+ */
+export function getSoundIntensity(observation) {
+  const windSpeed = Number(observation?.windSpeed ?? 0);
+  const windGust = Number(observation?.windGust ?? windSpeed);
+  const id = Number(observation?.condition?.id ?? 0);
+
+  return {
+    rain: clamp01(Number(observation?.rain ?? 0) / RAIN_FULL_MM),
+    wind: clamp01(windSpeed / WIND_FULL_MS),
+    // How far gusts rise above the mean wind
+    gust: clamp01((windGust - windSpeed) / GUST_FULL_MS),
+    clouds: clamp01(Number(observation?.clouds ?? 0) / 100),
+    storm: Math.floor(id / 100) === 2 ? STORM_SEVERITY[id] ?? 0.6 : 0,
+  };
+}
+
+function clamp01(x) {
+  return Math.min(1, Math.max(0, x || 0));
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Moves a parameter smoothly towards a new value
+function glide(param, value, t) {
+  param.setTargetAtTime(value, t, RAMP_TIME_CONSTANT_S);
+}
+
+/**
+ * One-shot thunder rumble into `destination`
+ * @param {number} loudness - Peak gain
+ * @param {number} delayS - Seconds until the rumble starts
+ */
+function playRumble(ctx, destination, loudness, delayS = 0) {
+  const t = ctx.currentTime + delayS;
+
+  const rumble = ctx.createOscillator();
+  rumble.type = 'triangle';
+  rumble.frequency.setValueAtTime(58, t);
+  rumble.frequency.linearRampToValueAtTime(38, t + 1.4);
+
+  const g = ctx.createGain();
+  g.gain.setValueAtTime(0, t);
+  g.gain.linearRampToValueAtTime(loudness, t + 0.12);
+  g.gain.exponentialRampToValueAtTime(0.001, t + 1.8);
+
+  rumble.connect(g);
+  g.connect(destination);
+  rumble.start(t);
+  rumble.stop(t + 1.9);
+  rumble.onended = () => g.disconnect();
+}
+
+/**
+ * Plays a decoded one-shot into `destination`
+ * @param {number} delayS - Seconds until it starts
+ */
+function playOneShot(ctx, destination, buffer, level, delayS = 0) {
+  const src = ctx.createBufferSource();
+  src.buffer = buffer;
+  const g = ctx.createGain();
+  g.gain.value = level;
+  src.connect(g);
+  g.connect(destination);
+  src.start(ctx.currentTime + delayS);
+  src.onended = () => g.disconnect();
+}
+
+/**
+ * Lightning task shared by the synthesized and sampled thunder voices.
+ * Strikes come at irregular intervals, more often in stronger storms; each
+ * one is published for the flash right away and `playSound(loudness, delayS)`
+ * schedules its rumble after a random "distance" delay (sound travels about
+ * 1 km in 3 s).
+ * @param {function(): number} getStorm - Current storm severity, 0-1
+ * @param {function(number, number): void} playSound - Schedules the rumble
+ * @returns {{delayMs: function, run: function}}
+ */
+function lightningTask(getStorm, playSound) {
+  return {
+    delayMs: () => lerp(14000, 5000, getStorm()) * (0.3 + Math.random() * 1.4),
+    run: () => {
+      const storm = getStorm();
+      const distanceKm = lerp(0.3, 4, Math.random());
+      const delayS = distanceKm * 3;
+      publishThunderStrike({ intensity: storm, rumbleDelayMs: delayS * 1000 });
+      // Closer strikes are louder
+      playSound(lerp(0.5, 1, storm) * lerp(1, 0.55, distanceKm / 4), delayS);
+    },
+  };
+}
+
+/**
+ * Builds the node graph of one mode from a decoded sample pack into `bus`.
+ * The loop runs through a filter and gain so it follows the readings like
+ * the synthesized voice does.
+ * @returns {{sources: AudioScheduledSourceNode[], nodes: AudioNode[], tasks: Array<{delayMs: function, run: function}>, update: function}}
+ */
+function buildSampledVoice(ctx, mode, pack, bus, initial) {
+  let intensity = initial;
+
+  const src = ctx.createBufferSource();
+  src.buffer = pack.loop;
+  src.loop = true;
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  const gain = ctx.createGain();
+  src.connect(filter);
+  filter.connect(gain);
+  gain.connect(bus);
+
+  const apply = (i, set) => {
+    let level = 0.8;
+    let cutoff = 18000;
+    if (mode === 'rain' || mode === 'heavy-rain' || mode === 'thunder') level = lerp(0.55, 1, i.rain);
+    if (mode === 'wind' || mode === 'dust') {
+      level = lerp(0.6, 1, i.wind);
+      cutoff = lerp(1500, 18000, i.wind);
+    }
+    if (mode === 'cloud') level = lerp(0.5, 0.9, i.clouds);
+    set(gain.gain, level);
+    set(filter.frequency, cutoff);
+  };
+  apply(intensity, (param, value) => { param.value = value; });
+
+  const tasks = [];
+  if (mode === 'thunder') {
+    // Claps from the pack, or the synthesized rumble if it has none
+    tasks.push(lightningTask(() => intensity.storm, (loudness, delayS) => {
+      if (pack.oneShots.length === 0) {
+        playRumble(ctx, bus, loudness * 0.7, delayS);
+        return;
+      }
+      const buffer = pack.oneShots[Math.floor(Math.random() * pack.oneShots.length)];
+      playOneShot(ctx, bus, buffer, loudness, delayS);
+    }));
+  }
+
+  return {
+    sources: [src],
+    nodes: [filter, gain],
+    tasks,
+    update: (next) => {
+      intensity = next;
+      const t = ctx.currentTime;
+      apply(next, (param, value) => glide(param, value, t));
+    },
+  };
+}
+
+/**
+ * Builds the synthesized node graph of one mode into `bus`. The returned `update`
+ * glides the graph's parameters to new intensities (see getSoundIntensity()).
+ * @returns {{sources: AudioScheduledSourceNode[], nodes: AudioNode[], tasks: Array<{delayMs: function, run: function}>, update: function}}
+ */
+function buildVoice(ctx, mode, noiseBuffer, bus, initial) {
+  const voice = { sources: [], nodes: [], tasks: [], update: () => {} };
+  let intensity = initial;
+
+  const tone = (type, frequency, level) => {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.value = frequency;
+    const gain = ctx.createGain();
+    gain.gain.value = level;
+    osc.connect(gain);
+    gain.connect(bus);
+    voice.sources.push(osc);
+    voice.nodes.push(gain);
+    return { osc, gain };
+  };
+
+  const noise = (type, frequency, q, level) => {
+    const src = ctx.createBufferSource();
+    src.buffer = noiseBuffer;
+    src.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    if (q != null) filter.Q.value = q;
+    const gain = ctx.createGain();
+    gain.gain.value = level;
+    src.connect(filter);
+    filter.connect(gain);
+    gain.connect(bus);
+    voice.sources.push(src);
+    voice.nodes.push(filter, gain);
+    return { filter, gain };
+  };
+
+  // Slow LFO swelling `param` up and down, for gusts
+  const swell = (param, rate) => {
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = rate;
+    const depth = ctx.createGain();
+    depth.gain.value = 0;
+    lfo.connect(depth);
+    depth.connect(param);
+    voice.sources.push(lfo);
+    voice.nodes.push(depth);
+    return depth;
+  };
+
+  // Rain: more rain is louder, brighter and denser (wider band)
+  const rainBed = (base, range) => {
+    const bed = noise('bandpass', 0, 0, 0);
+    const apply = (i, set) => {
+      set(bed.gain.gain, lerp(base, base + range, i.rain));
+      set(bed.filter.frequency, lerp(1500, 2600, i.rain));
+      set(bed.filter.Q, lerp(0.9, 0.4, i.rain));
+    };
+    apply(intensity, (param, value) => { param.value = value; });
+    return apply;
+  };
+
+  // Wind: faster wind opens the filter, gusts swell the level
+  const windBed = (type, q, level) => {
+    const bed = noise(type, 0, q, level);
+    const gusts = swell(bed.gain.gain, 0.18);
+    const apply = (i, set) => {
+      set(bed.filter.frequency, lerp(300, 1600, i.wind));
+      set(gusts.gain, level * lerp(0.1, 0.8, i.gust));
+    };
+    apply(intensity, (param, value) => { param.value = value; });
+    return apply;
+  };
+
+  const appliers = [];
+
+  switch (mode) {
+    // Warm pad by day, lower and quieter at night
+    case 'sunny':
+      tone('sine', 196, 0.22);
+      break;
+    case 'clear-night':
+      tone('sine', 147, 0.14);
+      break;
+
+    case 'rain':
+      appliers.push(rainBed(0.2, 0.35));
+      break;
+
+    // Dense rain with a low rumble underneath
+    case 'heavy-rain':
+      appliers.push(rainBed(0.55, 0.3));
+      tone('triangle', 55, 0.32);
+      break;
+
+    case 'wind':
+      appliers.push(windBed('lowpass', null, 0.45));
+      break;
+
+    // Rain bed with a deep rumble after each strike (no buzz); stronger
+    // storms rumble louder and more often
+    case 'thunder':
+      appliers.push(rainBed(0.35, 0.35));
+      voice.tasks.push(lightningTask(
+        () => intensity.storm,
+        (loudness, delayS) => playRumble(ctx, bus, loudness * 0.7, delayS),
+      ));
+      break;
+
+    // Soft, hushed bed
+    case 'snow':
+      noise('lowpass', 700, null, 0.14);
+      break;
+
+    // Muffled air
+    case 'fog':
+    case 'haze':
+    case 'smoke':
+      noise('lowpass', 400, null, 0.16);
+      break;
+
+    // Gritty wind
+    case 'dust':
+      appliers.push(windBed('bandpass', 0.5, 0.35));
+      break;
+
+    // Cloud bed gets louder as cover thickens
+    default: {
+      const bed = noise('lowpass', mode === 'cloud' ? 1200 : 900, null, 0);
+      const apply = (i, set) => set(bed.gain.gain, lerp(0.08, 0.26, i.clouds));
+      apply(intensity, (param, value) => { param.value = value; });
+      appliers.push(apply);
+    }
+  }
+
+  voice.update = (next) => {
+    intensity = next;
+    const t = ctx.currentTime;
+    appliers.forEach((apply) => apply(next, (param, value) => glide(param, value, t)));
+  };
+
+  return voice;
+}
+
+export class AmbientAudioEngine {
+  /**
+   * @param {{volume?: number}} options - Initial volume, 0-100
+   */
+  constructor({ volume = 50 } = {}) {
+    this.volume = volume;
+    this.intensity = getSoundIntensity(null);
+    this.mode = null;
+    this.ctx = null;
+    this.master = null;
+    this.noiseBuffer = null;
+    this.voice = null;
+    // Decoded sample packs by mode, and the mode loads in flight or done
+    this.packs = new Map();
+    this.packRequests = new Set();
+    this.onVisibilityChange = () => this.handleVisibilityChange();
+  }
+
+  /**
+   * Starts `mode`, crossfading from whatever is playing.
+   * Call the first time from a user gesture so the context may start.
+   * @param {string} mode - Weather key (see WEATHER_KEYS)
+   */
+  play(mode) {
+    this.ensureContext();
+    if (this.ctx.state === 'suspended' && !document.hidden) this.ctx.resume();
+    if (this.mode === mode) return;
+
+    this.mode = mode;
+    this.startVoice(mode);
+    this.loadPack(mode);
+  }
+
+  /**
+   * Fades out the current mode
+   */
+  stop() {
+    this.mode = null;
+    this.fadeOutVoice();
+  }
+
+  /**
+   * Shapes the sound after the latest readings
+   * @param {import('./weatherProvider').Observation|null} observation - Current observation
+   */
+  setConditions(observation) {
+    this.intensity = getSoundIntensity(observation);
+    this.voice?.update(this.intensity);
+  }
+
+  /**
+   * @param {number} volume - Volume, 0-100
+   */
+  setVolume(volume) {
+    this.volume = volume;
+    if (!this.master) return;
+    this.master.gain.setTargetAtTime(volumeToGain(volume), this.ctx.currentTime, 0.03);
+  }
+
+  /**
+   * Stops everything and releases the audio context. The engine can't be reused.
+   */
+  dispose() {
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    if (this.voice) this.teardownVoice(this.voice);
+    this.voice = null;
+    this.mode = null;
+    this.ctx?.close();
+    this.ctx = null;
+    this.master = null;
+  }
+
+  ensureContext() {
+    if (this.ctx) return;
+
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const master = ctx.createGain();
+    master.gain.value = volumeToGain(this.volume);
+    master.connect(ctx.destination);
+
+    this.ctx = ctx;
+    this.master = master;
+    this.noiseBuffer = createNoiseBuffer(ctx);
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+  }
+
+  // Crossfades to a new voice for `mode`, sampled if its pack is loaded
+  startVoice(mode) {
+    this.fadeOutVoice();
+
+    const bus = this.ctx.createGain();
+    bus.gain.value = 0;
+    bus.connect(this.master);
+
+    const pack = this.packs.get(mode);
+    const graph = pack
+      ? buildSampledVoice(this.ctx, mode, pack, bus, this.intensity)
+      : buildVoice(this.ctx, mode, this.noiseBuffer, bus, this.intensity);
+
+    this.voice = { mode, bus, timers: [], sampled: Boolean(pack), ...graph };
+    this.voice.sources.forEach((src) => src.start());
+    if (!document.hidden) this.startTasks(this.voice);
+    equalPowerFade(bus.gain, 'in', this.ctx.currentTime);
+  }
+
+  loadPack(mode) {
+    if (this.packRequests.has(mode)) return;
+    this.packRequests.add(mode);
+
+    loadAudioPack(this.ctx, mode).then((pack) => {
+      if (!pack || !this.ctx) return;
+      this.packs.set(mode, pack);
+      // Swap the synthesized stand-in for the samples
+      if (this.mode === mode && this.voice && !this.voice.sampled) this.startVoice(mode);
+    });
+  }
+
+  handleVisibilityChange() {
+    if (!this.ctx) return;
+
+    if (document.hidden) {
+      if (this.voice) this.stopTasks(this.voice);
+      this.ctx.suspend();
+    } else if (this.mode) {
+      this.ctx.resume();
+      if (this.voice) this.startTasks(this.voice);
+    }
+  }
+
+  // Tasks reschedule themselves, so their delay can follow the readings
+  startTasks(voice) {
+    this.stopTasks(voice);
+    voice.tasks.forEach(({ delayMs, run }, i) => {
+      const next = () => {
+        voice.timers[i] = setTimeout(() => {
+          run();
+          next();
+        }, delayMs());
+      };
+      next();
+    });
+  }
+
+  stopTasks(voice) {
+    voice.timers.forEach(clearTimeout);
+    voice.timers = [];
+  }
+
+  fadeOutVoice() {
+    const voice = this.voice;
+    if (!voice) return;
+    this.voice = null;
+
+    this.stopTasks(voice);
+    equalPowerFade(voice.bus.gain, 'out', this.ctx.currentTime);
+    setTimeout(() => this.teardownVoice(voice), (CROSSFADE_S + 0.2) * 1000);
+  }
+
+  teardownVoice(voice) {
+    this.stopTasks(voice);
+    voice.sources.forEach((src) => {
+      try {
+        src.stop();
+      } catch {
+        // already stopped
+      }
+      src.disconnect();
+    });
+    voice.nodes.forEach((node) => node.disconnect());
+    voice.bus.disconnect();
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * API Proxy Client
+ *
+ * When VITE_API_PROXY is set (e.g. "/api"), OpenWeatherMap and Giphy are
+ * reached through the FarmSync proxy (server/proxy.js), which holds the
+ * keys server-side. VITE_OWM_API_KEY and VITE_GIPHY_API_KEY are then never
+ * read, and a build with both set fails (see vite.config.js).
+ */
+
+export const API_PROXY_URL = (import.meta.env.VITE_API_PROXY || '').replace(/\/+$/, '') || null;
+
+// Keys for direct requests from the browser; without the proxy only
+export const OWM_API_KEY = API_PROXY_URL ? null : import.meta.env.VITE_OWM_API_KEY || null;
+export const GIPHY_API_KEY = API_PROXY_URL ? null : import.meta.env.VITE_GIPHY_API_KEY || null;
+
+/**
+ * Builds a proxy URL
+ * @param {'weather'|'forecast'|'background'|'geocode'} route - Proxy route
+ * @param {Record<string, string|number>} params - Query parameters
+ * @returns {string} URL
+ */
+export function apiProxyUrl(route, params = {}) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value != null).map(([key, value]) => [key, String(value)])
+  );
+  return `${API_PROXY_URL}/${route}?${query}`;
+}
@@ -0,0 +1,68 @@
+/**
+ * Audio Sample Service
+ *
+ * Loads the curated sample pack for a weather type (see config/audioAssets.js)
+ * into decoded AudioBuffers. Buffers loop gaplessly through
+ * AudioBufferSourceNode, unlike <audio> elements which stutter at the loop
+ * point. A pack without a reachable loop file resolves to null and the
+ * engine keeps its synthesized sound.
+ */
+
+import { getCuratedAudio } from '../config/audioAssets';
+import { checkAssetAvailability } from './weatherBackground';
+
+// Decoded buffers by URL (one-shots and loops may be shared between packs)
+const bufferCache = new Map();
+
+/**
+ * Fetches and decodes one file, or null if it is missing or undecodable
+ * @param {BaseAudioContext} ctx - Audio context to decode with
+ * @param {string} url - Audio file URL
+ * @returns {Promise<AudioBuffer|null>}
+ */
+async function loadAudioBuffer(ctx, url) {
+  if (bufferCache.has(url)) {
+    return bufferCache.get(url);
+  }
+
+  const request = (async () => {
+    if (!(await checkAssetAvailability(url))) return null;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return null;
+      return await ctx.decodeAudioData(await response.arrayBuffer());
+    } catch (error) {
+      console.warn(`Failed to decode ambient audio ${url}:`, error);
+      return null;
+    }
+  })();
+
+  bufferCache.set(url, request);
+  return request;
+}
+
+/**
+ * Loads the sample pack for a weather type
+ * @param {BaseAudioContext} ctx - Audio context to decode with
+ * @param {string} weatherKey - Weather condition key
+ * @returns {Promise<{loop: AudioBuffer, oneShots: AudioBuffer[]}|null>} Null when no loop is available
+ */
+export async function loadAudioPack(ctx, weatherKey) {
+  const audio = getCuratedAudio(weatherKey);
+  if (!audio) return null;
+
+  const [loop, ...oneShots] = await Promise.all(
+    [audio.loop, ...audio.oneShots].map((url) => loadAudioBuffer(ctx, url)),
+  );
+  if (!loop) return null;
+
+  return { loop, oneShots: oneShots.filter(Boolean) };
+}
+
+/**
+ * Clears decoded buffers (useful for testing or forcing a reload)
+ */
+export function clearAudioCache() {
+  bufferCache.clear();
+}
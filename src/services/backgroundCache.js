@@ -0,0 +1,164 @@
+/**
+ * Background Cache
+ *
+ * Small persistent key/value store with per-entry expiry, used by the
+ * background service for Giphy lookups and asset availability checks.
+ * Entries live in localStorage (see storage.js) so a reload doesn't cost
+ * another Giphy call. Negative results get a shorter TTL than positive
+ * ones, so an asset added later or a Giphy hiccup is retried soon.
+ *
+ * The inspect/invalidate helpers are meant for the browser console
+ * (exposed as `window.farmsyncBackgroundCache` in development).
+ */
+
+import { readJSON, writeJSON } from './storage';
+
+const STORE_KEY = 'backgroundCache';
+
+// Oldest entries are dropped beyond this, keeping the stored JSON small
+const MAX_ENTRIES = 200;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * TTLs in milliseconds by entry kind
+ */
+export const BACKGROUND_CACHE_TTL = {
+  giphy: { positive: 7 * 24 * HOUR_MS, negative: HOUR_MS },
+  asset: { positive: 24 * HOUR_MS, negative: 10 * 60 * 1000 },
+};
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {*} value - Cached value (null or false for negative results)
+ * @property {number} storedAt - Time stored, in milliseconds
+ * @property {number} expiresAt - Expiry time, in milliseconds
+ */
+
+// In-memory copy of the stored entries, loaded on first use
+let entries = null;
+
+function load(now) {
+  if (!entries) {
+    const stored = readJSON(STORE_KEY, {});
+    entries = stored && typeof stored === 'object' ? stored : {};
+    // Drop whatever expired while the app was closed
+    if (prune(now)) persist();
+  }
+  return entries;
+}
+
+function prune(now) {
+  let changed = false;
+  for (const [key, entry] of Object.entries(entries)) {
+    if (!entry || typeof entry.expiresAt !== 'number' || entry.expiresAt <= now) {
+      delete entries[key];
+      changed = true;
+    }
+  }
+
+  const keys = Object.keys(entries);
+  if (keys.length > MAX_ENTRIES) {
+    keys
+      .sort((a, b) => entries[a].storedAt - entries[b].storedAt)
+      .slice(0, keys.length - MAX_ENTRIES)
+      .forEach((key) => delete entries[key]);
+    changed = true;
+  }
+  return changed;
+}
+
+function persist() {
+  writeJSON(STORE_KEY, entries);
+}
+
+/**
+ * Builds a cache key
+ * @param {'giphy'|'asset'} kind - Entry kind (see BACKGROUND_CACHE_TTL)
+ * @param {...string} parts - Parts identifying the entry
+ * @returns {string} Cache key
+ */
+export function backgroundCacheKey(kind, ...parts) {
+  return [kind, ...parts].join('|');
+}
+
+/**
+ * Reads a live entry
+ * @param {string} key - Cache key
+ * @param {number} now - Current time in milliseconds
+ * @returns {CacheEntry|null} Entry, or null when missing or expired
+ */
+export function readCacheEntry(key, now = Date.now()) {
+  const entry = load(now)[key];
+  if (!entry) return null;
+  if (entry.expiresAt <= now) {
+    delete entries[key];
+    persist();
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Stores a result, with the positive or negative TTL of its kind
+ * @param {string} key - Cache key (see backgroundCacheKey)
+ * @param {*} value - Result; null or false count as negative
+ * @param {number} now - Current time in milliseconds
+ */
+export function writeCacheEntry(key, value, now = Date.now()) {
+  const kind = key.split('|')[0];
+  const ttl = BACKGROUND_CACHE_TTL[kind] ?? BACKGROUND_CACHE_TTL.asset;
+  const positive = value !== null && value !== false;
+
+  load(now)[key] = {
+    value,
+    storedAt: now,
+    expiresAt: now + (positive ? ttl.positive : ttl.negative),
+  };
+  prune(now);
+  persist();
+}
+
+/**
+ * Lists the live entries (for debugging)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<CacheEntry & {key: string, expiresInMs: number}>} Entries, newest first
+ */
+export function inspectBackgroundCache(now = Date.now()) {
+  load(now);
+  if (prune(now)) persist();
+  return Object.entries(entries)
+    .map(([key, entry]) => ({ key, ...entry, expiresInMs: entry.expiresAt - now }))
+    .sort((a, b) => b.storedAt - a.storedAt);
+}
+
+/**
+ * Removes entries (for debugging or forcing a refresh)
+ * @param {string|function(string, CacheEntry): boolean} match - Key prefix
+ *   (e.g. 'giphy|rain') or predicate; omit to remove everything
+ * @returns {number} Number of entries removed
+ */
+export function invalidateBackgroundCache(match = null) {
+  load(Date.now());
+  const test = typeof match === 'function'
+    ? match
+    : (key) => match == null || key.startsWith(match);
+
+  let removed = 0;
+  for (const [key, entry] of Object.entries(entries)) {
+    if (test(key, entry)) {
+      delete entries[key];
+      removed++;
+    }
+  }
+  if (removed > 0) persist();
+  return removed;
+}
+
+// Console access while developing, e.g. farmsyncBackgroundCache.invalidate('giphy|')
+if (import.meta.env.DEV && typeof window !== 'undefined') {
+  window.farmsyncBackgroundCache = {
+    inspect: inspectBackgroundCache,
+    invalidate: invalidateBackgroundCache,
+  };
+}
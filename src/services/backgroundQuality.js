@@ -0,0 +1,66 @@
+/**
+ * Background Quality Policy
+ *
+ * Chooses how heavy a background may be: a still image, a low-res video,
+ * a GIF or a high-res video. The automatic choice follows the network
+ * (Network Information API: effectiveType and the data saver flag) and the
+ * user's reduced-motion setting, so field staff on 2G/3G don't download
+ * multi-MB GIFs. The user can override it.
+ */
+
+/**
+ * Quality tiers, cheapest first
+ */
+export const QUALITY_TIERS = {
+  image: 'Image',
+  'video-low': 'Low-res video',
+  gif: 'GIF',
+  'video-high': 'HD video',
+};
+
+export const QUALITY_TIER_ORDER = Object.keys(QUALITY_TIERS);
+
+/**
+ * Curated asset fields (see CURATED_ASSETS) delivering each tier, in the
+ * order they are tried. A tier never falls back to a heavier variant.
+ */
+export const TIER_ASSET_FIELDS = {
+  image: ['image'],
+  'video-low': ['videoLow', 'image'],
+  gif: ['gif', 'videoLow', 'image'],
+  'video-high': ['video', 'gif', 'videoLow', 'image'],
+};
+
+/**
+ * Reads the current network and motion preferences
+ * @returns {{effectiveType: string|null, saveData: boolean, reducedMotion: boolean}}
+ */
+export function readQualityEnvironment() {
+  const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+  const reducedMotion = typeof window !== 'undefined' && window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)').matches
+    : false;
+
+  return {
+    effectiveType: connection?.effectiveType ?? null,
+    saveData: Boolean(connection?.saveData),
+    reducedMotion,
+  };
+}
+
+/**
+ * Picks the automatic quality tier
+ * @param {{effectiveType: string|null, saveData: boolean, reducedMotion: boolean}} env - See readQualityEnvironment()
+ * @param {boolean} preferVideo - Whether the user prefers video on fast connections
+ * @returns {{tier: string, reason: string}}
+ */
+export function chooseQualityTier({ effectiveType, saveData, reducedMotion }, preferVideo = false) {
+  if (reducedMotion) return { tier: 'image', reason: 'reduced motion' };
+  if (saveData) return { tier: 'image', reason: 'data saver' };
+  if (effectiveType === 'slow-2g' || effectiveType === '2g') return { tier: 'image', reason: effectiveType };
+  if (effectiveType === '3g') return { tier: 'video-low', reason: '3g' };
+
+  // 4g, or a browser without the Network Information API
+  const reason = effectiveType ?? 'unknown network';
+  return preferVideo ? { tier: 'video-high', reason } : { tier: 'gif', reason };
+}
@@ -0,0 +1,270 @@
+/**
+ * Crop Growth Service
+ *
+ * Crop profiles (built-in and user-defined), planted blocks, and growth
+ * tracking by growing degree days (see config/crops.js).
+ *
+ * A block's GDD is summed from its planting date over the logged readings
+ * of its location (observationHistory.js), then over the forecast. Days
+ * whose readings don't cover the whole day (the app wasn't open, or the
+ * log was pruned) count at the recent daily rate, as does every day past
+ * the forecast, which gives the predicted stage dates and harvest date.
+ *
+ * Blocks are stored as one list, each linked to a built-in town or saved
+ * farm by its location key.
+ */
+
+import { MIN_SAMPLE_SPAN_HOURS } from '../config/agroMet';
+import { CROP_PROFILES, DEFAULT_CUSTOM_CROP, GDD_RATE_DAYS, MAX_PREDICTION_DAYS } from '../config/crops';
+import { readJSON, writeJSON } from './storage';
+import { localDateKey } from '../utils/format';
+
+const CUSTOM_CROPS_KEY = 'customCrops';
+const BLOCKS_KEY = 'cropBlocks';
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * @typedef {object} CropProfile
+ * @property {string} label
+ * @property {number} baseTempC - No growth at or below this temperature
+ * @property {number} maxTempC - Daily maximum is capped here
+ * @property {Array<{key: string, label: string, gdd: number}>} stages - In order; a stage starts at `gdd`
+ * @property {number} harvestGdd - GDD since planting at which the crop is ready
+ */
+
+/**
+ * @typedef {object} CropBlock
+ * @property {string} id
+ * @property {string} label
+ * @property {string} cropId - Key of getCropProfiles()
+ * @property {string} locationKey - Built-in town or saved farm (see savedLocations.js)
+ * @property {string} plantedOn - Local date, YYYY-MM-DD
+ */
+
+/**
+ * Loads the user-defined crops
+ * @returns {Array<CropProfile & {id: string}>}
+ */
+export function loadCustomCrops() {
+  const saved = readJSON(CUSTOM_CROPS_KEY, []);
+  return Array.isArray(saved) ? saved : [];
+}
+
+/**
+ * Saves the user-defined crops
+ * @param {Array<object>} crops - Every user-defined crop
+ * @returns {Array<object>} The saved list
+ */
+export function saveCustomCrops(crops) {
+  writeJSON(CUSTOM_CROPS_KEY, crops);
+  return crops;
+}
+
+/**
+ * New user-defined crop, a copy of another profile when given
+ * @param {Array<object>} crops - Existing user-defined crops (for the name)
+ * @param {CropProfile|null} from - Profile to copy
+ * @returns {CropProfile & {id: string}}
+ */
+export function createCustomCrop(crops, from = null) {
+  const source = from ?? { ...DEFAULT_CUSTOM_CROP, label: `Crop ${crops.length + 1}` };
+  return {
+    ...source,
+    id: `crop-${Date.now().toString(36)}`,
+    label: from ? `${from.label} (custom)` : source.label,
+    stages: source.stages.map((s) => ({ ...s })),
+  };
+}
+
+/**
+ * New stage for a user-defined crop, after its last one
+ * @param {CropProfile} crop - User-defined crop
+ * @returns {{key: string, label: string, gdd: number}}
+ */
+export function createCropStage(crop) {
+  const last = crop.stages[crop.stages.length - 1];
+  return { key: `stage-${Date.now().toString(36)}`, label: `Stage ${crop.stages.length + 1}`, gdd: last ? last.gdd + 200 : 0 };
+}
+
+/**
+ * Built-in profiles and user-defined crops by id. Stages of user-defined
+ * crops are put in threshold order, however they were entered.
+ * @param {Array<object>} customCrops - Result of loadCustomCrops()
+ * @returns {Object<string, CropProfile>}
+ */
+export function getCropProfiles(customCrops) {
+  const custom = customCrops.map((crop) => [crop.id, { ...crop, stages: [...crop.stages].sort((x, y) => x.gdd - y.gdd) }]);
+  return { ...CROP_PROFILES, ...Object.fromEntries(custom) };
+}
+
+/**
+ * Loads the planted blocks of every location
+ * @returns {Array<CropBlock>}
+ */
+export function loadCropBlocks() {
+  const saved = readJSON(BLOCKS_KEY, []);
+  return Array.isArray(saved) ? saved : [];
+}
+
+/**
+ * Saves the planted blocks
+ * @param {Array<CropBlock>} blocks - Every block
+ * @returns {Array<CropBlock>} The saved list
+ */
+export function saveCropBlocks(blocks) {
+  writeJSON(BLOCKS_KEY, blocks);
+  return blocks;
+}
+
+/**
+ * New block planted with rice today
+ * @param {Array<CropBlock>} blocks - Existing blocks (for the name)
+ * @param {string} locationKey - Location the block is on
+ * @param {string} plantedOn - Local date, YYYY-MM-DD
+ * @returns {CropBlock}
+ */
+export function createCropBlock(blocks, locationKey, plantedOn) {
+  return { id: `block-${Date.now().toString(36)}`, label: `Block ${blocks.length + 1}`, cropId: 'rice', locationKey, plantedOn };
+}
+
+/**
+ * Growing degree days of one day (modified method)
+ * @param {number} tMin - Daily minimum, °C
+ * @param {number} tMax - Daily maximum, °C
+ * @param {CropProfile} profile - Crop profile
+ * @returns {number} °C·day
+ */
+export function dailyGdd(tMin, tMax, { baseTempC, maxTempC }) {
+  const high = Math.max(baseTempC, Math.min(tMax, maxTempC));
+  const low = Math.max(baseTempC, Math.min(tMin, high));
+  return (high + low) / 2 - baseTempC;
+}
+
+function addDays(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Days from one local date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Negative when `to` is earlier
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Stage reached at a GDD total
+ * @param {CropProfile} profile - Crop profile
+ * @param {number} gdd - GDD since planting
+ * @returns {{key: string, label: string, gdd: number}}
+ */
+export function stageAt(profile, gdd) {
+  return profile.stages.reduce((current, s) => (gdd >= s.gdd ? s : current), profile.stages[0]);
+}
+
+/**
+ * @typedef {object} CropGrowth
+ * @property {boolean} planted - False while the planting date is still ahead
+ * @property {number} gdd - GDD from planting to the end of today
+ * @property {number} measuredDays - Days since planting counted from full-day readings
+ * @property {number} estimatedDays - Days since planting counted at the daily rate
+ * @property {number|null} dailyRate - Recent GDD per day (null without any readings)
+ * @property {{key: string, label: string, gdd: number}} stage - Current stage
+ * @property {{key: string, label: string, gdd: number, date: string}|null} forecastStage
+ *   Stage at the end of the forecast, when the forecast covers the block
+ * @property {Array<{key: string, label: string, gdd: number, date: string|null, reached: boolean}>} stages
+ *   Every stage with the date it was or is predicted to be reached
+ * @property {string|null} harvestDate - Date the crop reached or will reach harvestGdd
+ * @property {boolean} ready - Whether harvestGdd has been reached
+ */
+
+/**
+ * Tracks a block's growth from its planting date
+ * @param {object} input
+ * @param {Array<import('./observationHistory').HistoryRecord>} input.records - Logged readings since planting, oldest first
+ * @param {import('./weatherProvider').Forecast|null} input.forecast - Forecast of the block's location (null if not loaded)
+ * @param {CropProfile} input.profile - Crop profile
+ * @param {string} input.plantedOn - Local date, YYYY-MM-DD
+ * @param {number} input.timezone - Location offset from UTC in seconds
+ * @param {number} input.nowSeconds - Current time, unix seconds
+ * @returns {CropGrowth}
+ */
+export function trackCropGrowth({ records = [], forecast = null, profile, plantedOn, timezone = 0, nowSeconds }) {
+  const today = localDateKey(nowSeconds, timezone);
+
+  // Readings per local day: logged ones, then the part of the forecast still ahead.
+  // Days before planting still set the rate for a block planted in the future.
+  const readings = new Map();
+  const addReading = (time, temp) => {
+    if (!Number.isFinite(temp)) return;
+    const date = localDateKey(time, timezone);
+    if (!readings.has(date)) readings.set(date, []);
+    readings.get(date).push({ time, temp });
+  };
+  for (const record of records) addReading(record.time, record.temp);
+  for (const slot of forecast?.slots ?? []) {
+    if (slot.time + slot.period > nowSeconds) addReading(Math.max(slot.time, nowSeconds), slot.temp);
+  }
+
+  const measured = new Map();
+  for (const [date, day] of readings) {
+    const times = day.map((r) => r.time);
+    if ((Math.max(...times) - Math.min(...times)) / 3600 < MIN_SAMPLE_SPAN_HOURS) continue;
+    const temps = day.map((r) => r.temp);
+    measured.set(date, dailyGdd(Math.min(...temps), Math.max(...temps), profile));
+  }
+
+  // Days with readings that don't span a whole day only set the rate when nothing else can
+  const rateDays = [...measured.keys()].sort().slice(-GDD_RATE_DAYS);
+  const partial = [...readings.values()].slice(-GDD_RATE_DAYS).map((day) => {
+    const temps = day.map((r) => r.temp);
+    return dailyGdd(Math.min(...temps), Math.max(...temps), profile);
+  });
+  const rateValues = rateDays.length > 0 ? rateDays.map((d) => measured.get(d)) : partial;
+  const dailyRate = rateValues.length > 0 ? rateValues.reduce((sum, v) => sum + v, 0) / rateValues.length : null;
+
+  const forecastEnd = [...measured.keys()].filter((d) => d > today).sort().pop() ?? null;
+  const stages = profile.stages.map((s) => ({ ...s, date: s.gdd <= 0 ? plantedOn : null, reached: false }));
+  let harvestDate = null;
+  let gdd = 0;
+  let todayGdd = 0;
+  let measuredDays = 0;
+  let estimatedDays = 0;
+  let forecastStage = null;
+
+  const lastDay = addDays(today, MAX_PREDICTION_DAYS);
+  for (let date = plantedOn; date <= lastDay; date = addDays(date, 1)) {
+    const dayGdd = measured.get(date) ?? dailyRate;
+    if (dayGdd == null) break;
+    gdd += dayGdd;
+    if (date <= today) {
+      if (measured.has(date)) measuredDays++;
+      else estimatedDays++;
+      todayGdd = gdd;
+    }
+    for (const stage of stages) {
+      if (stage.date == null && gdd >= stage.gdd) stage.date = date;
+    }
+    if (date === forecastEnd) forecastStage = { ...stageAt(profile, gdd), date };
+    if (harvestDate == null && gdd >= profile.harvestGdd) harvestDate = date;
+    if (harvestDate != null && date >= today && (forecastEnd == null || date >= forecastEnd)) break;
+  }
+
+  const planted = plantedOn <= today;
+  for (const stage of stages) stage.reached = planted && stage.date != null && stage.date <= today;
+
+  return {
+    planted,
+    gdd: todayGdd,
+    measuredDays,
+    estimatedDays,
+    dailyRate,
+    stage: stageAt(profile, todayGdd),
+    forecastStage,
+    stages,
+    harvestDate,
+    ready: planted && todayGdd >= profile.harvestGdd,
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Field Advisor Service
+ *
+ * Scores the current conditions and upcoming forecast slots as
+ * Good / Marginal / Unsafe for spraying, harvesting and fertilizer
+ * application. Every score carries the reasons that produced it.
+ */
+
+import { RAIN_EXPECTED_POP, RAIN_TRACE_MM } from '../config/fieldOperations';
+
+export const RATINGS = {
+  good: { label: 'Good', color: 'rgba(34,197,94,0.85)' },
+  marginal: { label: 'Marginal', color: 'rgba(234,179,8,0.85)' },
+  unsafe: { label: 'Unsafe', color: 'rgba(239,68,68,0.85)' },
+};
+
+const RATING_ORDER = ['good', 'marginal', 'unsafe'];
+
+function worst(a, b) {
+  return RATING_ORDER.indexOf(a) >= RATING_ORDER.indexOf(b) ? a : b;
+}
+
+function isWet(slot) {
+  return slot.rain >= RAIN_TRACE_MM || slot.pop >= RAIN_EXPECTED_POP;
+}
+
+/**
+ * Returns the slots that overlap the `hours` following slot `index`
+ * (the slot itself is always included)
+ */
+function slotsWithin(slots, index, hours) {
+  const end = slots[index].time + hours * 60 * 60;
+  return slots.filter((s, i) => i === index || (i > index && s.time < end));
+}
+
+/**
+ * Checks "value > limit" against marginal/unsafe limits
+ * @returns {{rating: string, reason: string}|null}
+ */
+function checkUpperLimit(name, value, unit, limits) {
+  if (!limits) return null;
+  const v = Math.round(value * 10) / 10;
+  if (limits.unsafe != null && value > limits.unsafe) {
+    return { rating: 'unsafe', reason: `${name} ${v} ${unit} > ${limits.unsafe} ${unit} limit` };
+  }
+  if (limits.marginal != null && value > limits.marginal) {
+    return { rating: 'marginal', reason: `${name} ${v} ${unit} > ${limits.marginal} ${unit} advised` };
+  }
+  return null;
+}
+
+function checkRain(slots, index, limits) {
+  if (!limits) return null;
+
+  for (const rating of ['unsafe', 'marginal']) {
+    const hours = limits[rating];
+    if (hours == null) continue;
+
+    const wet = slotsWithin(slots, index, hours).find(isWet);
+    if (!wet) continue;
+
+    const reason = wet === slots[index]
+      ? `rain expected now (${Math.round(wet.pop * 100)}%, ${wet.rain.toFixed(1)} mm)`
+      : `rain expected within ${hours}h`;
+    return { rating, reason };
+  }
+
+  return null;
+}
+
+function checkHeavyRain(slots, index, limits, windowHours) {
+  if (!limits) return null;
+
+  const maxRain = Math.max(...slotsWithin(slots, index, windowHours).map((s) => s.rain));
+  const amount = maxRain.toFixed(1);
+  if (limits.unsafe != null && maxRain >= limits.unsafe) {
+    return { rating: 'unsafe', reason: `heavy rain ${amount} mm expected within ${windowHours}h` };
+  }
+  if (limits.marginal != null && maxRain >= limits.marginal) {
+    return { rating: 'marginal', reason: `rain ${amount} mm expected within ${windowHours}h` };
+  }
+  return null;
+}
+
+function checkHumidity(value, limits) {
+  if (!limits) return null;
+  if (limits.marginalBelow != null && value < limits.marginalBelow) {
+    return { rating: 'marginal', reason: `humidity ${value}% < ${limits.marginalBelow}% advised` };
+  }
+  if (limits.marginalAbove != null && value > limits.marginalAbove) {
+    return { rating: 'marginal', reason: `humidity ${value}% > ${limits.marginalAbove}% advised` };
+  }
+  return null;
+}
+
+/**
+ * Scores one slot for one operation
+ * @param {Array<object>} slots - Chronological slots (current first, then forecast)
+ * @param {number} index - Slot to score
+ * @param {object} limits - Thresholds for the operation
+ * @returns {{time: number, rating: 'good'|'marginal'|'unsafe', reasons: string[]}}
+ */
+export function scoreSlot(slots, index, limits) {
+  const slot = slots[index];
+  const findings = [
+    checkUpperLimit('wind', slot.windSpeed, 'm/s', limits.wind),
+    checkUpperLimit('gusts', slot.windGust, 'm/s', limits.gust),
+    checkUpperLimit('temperature', slot.temp, '°C', limits.temperature),
+    checkHumidity(Math.round(slot.humidity), limits.humidity),
+    checkRain(slots, index, limits.rainFreeHours),
+    checkHeavyRain(slots, index, limits.heavyRainMm, limits.heavyRainWindowHours ?? 24),
+  ].filter(Boolean);
+
+  return {
+    time: slot.time,
+    rating: findings.reduce((acc, f) => worst(acc, f.rating), 'good'),
+    reasons: findings.map((f) => f.reason),
+  };
+}
+
+/**
+ * Scores every slot for every configured operation
+ * @param {Array<object>} slots - Chronological slots (current first, then forecast)
+ * @param {object} thresholds - Result of getFieldOperationThresholds()
+ * @param {number} count - Number of leading slots to score; later slots are
+ *   only used to look ahead for rain
+ * @returns {Array<{operation: string, label: string, hours: Array<object>}>}
+ */
+export function adviseFieldOperations(slots, thresholds, count = slots.length) {
+  if (!slots.length) return [];
+
+  return Object.entries(thresholds).map(([operation, limits]) => ({
+    operation,
+    label: limits.label,
+    hours: slots.slice(0, count).map((_, i) => scoreSlot(slots, i, limits)),
+  }));
+}
@@ -0,0 +1,66 @@
+/**
+ * Forecast Service
+ *
+ * Reshapes a normalized 3-hourly forecast into an hourly strip and a daily
+ * summary, classifying every slot with the same ambience rules as the
+ * current conditions.
+ */
+
+import { classifyAmbience, compareAmbienceSeverity } from './ambience';
+import { localDateKey } from '../utils/format';
+
+/**
+ * Builds the hourly strip for the next `hours` hours
+ * @param {import('./weatherProvider').Forecast|null} forecast - Normalized forecast
+ * @param {number} fromSeconds - Start of the window (unix seconds)
+ * @param {number} hours - Window length in hours
+ * @returns {Array<object>} Observations with `ambience`, in chronological order
+ */
+export function getHourlyForecast(forecast, fromSeconds, hours = 24) {
+  if (!forecast?.slots) return [];
+
+  const until = fromSeconds + hours * 60 * 60;
+  return forecast.slots
+    .filter((slot) => slot.time + slot.period > fromSeconds && slot.time < until)
+    .map((slot) => ({ ...slot, ambience: classifyAmbience(slot) }));
+}
+
+/**
+ * Builds a per-day summary from the 3-hourly forecast
+ * @param {import('./weatherProvider').Forecast|null} forecast - Normalized forecast
+ * @param {number} days - Maximum number of days to return
+ * @returns {Array<{date: string, time: number, tempMin: number, tempMax: number, pop: number, rain: number, windSpeed: number, windGust: number, icon: string, ambience: {key: string, label: string}}>}
+ */
+export function getDailyForecast(forecast, days = 5) {
+  if (!forecast?.slots) return [];
+
+  const byDate = new Map();
+
+  for (const slot of forecast.slots) {
+    const date = localDateKey(slot.time, forecast.timezone);
+    // Days are summarized as daytime, so a clear night doesn't outrank a sunny day
+    const daySlot = { ...slot, condition: { ...slot.condition, icon: slot.condition.icon.replace(/n$/, 'd') } };
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push({ ...daySlot, ambience: classifyAmbience(daySlot) });
+  }
+
+  return [...byDate.entries()].slice(0, days).map(([date, slots]) => {
+    // The most severe slot represents the day, so a stormy afternoon is not hidden
+    const representative = [...slots].sort((a, b) =>
+      compareAmbienceSeverity(a.ambience.key, b.ambience.key)
+    )[0];
+
+    return {
+      date,
+      time: slots[0].time,
+      tempMin: Math.min(...slots.map((s) => s.tempMin)),
+      tempMax: Math.max(...slots.map((s) => s.tempMax)),
+      pop: Math.max(...slots.map((s) => s.pop)),
+      rain: slots.reduce((sum, s) => sum + s.rain, 0),
+      windSpeed: Math.max(...slots.map((s) => s.windSpeed)),
+      windGust: Math.max(...slots.map((s) => s.windGust)),
+      icon: representative.condition.icon,
+      ambience: representative.ambience,
+    };
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * Geocoding Service
+ *
+ * Place-name search and reverse lookup through the OWM geocoding API, and
+ * a promise wrapper around the browser Geolocation API. Lookups go through
+ * the API proxy when one is configured (see apiProxy.js).
+ */
+
+import { API_PROXY_URL, apiProxyUrl } from './apiProxy';
+import { fetchJson } from './requestErrors';
+
+const GEO_BASE_URL = 'https://api.openweathermap.org/geo/1.0';
+
+/**
+ * Formats a geocoding result as "Name, State, CC"
+ * @param {{name: string, state?: string, country?: string}} place
+ * @returns {string}
+ */
+export function formatPlaceName(place) {
+  return [place.name, place.state, place.country].filter(Boolean).join(', ');
+}
+
+/**
+ * Whether place lookups can run (direct with a key, or through the proxy)
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @returns {boolean}
+ */
+export function canGeocode(apiKey) {
+  return Boolean(apiKey || API_PROXY_URL);
+}
+
+/**
+ * Searches places by name
+ * @param {string} query - Place name (e.g. "Sungai Petani")
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array<{label: string, lat: number, lon: number}>>}
+ */
+export async function searchPlaces(query, apiKey, limit = 5) {
+  const url = API_PROXY_URL
+    ? apiProxyUrl('geocode', { q: query, limit })
+    : `${GEO_BASE_URL}/direct?q=${encodeURIComponent(query)}&limit=${limit}&appid=${apiKey}`;
+
+  const json = await fetchJson(url, { service: 'OpenWeatherMap' });
+  return json.map((place) => ({ label: formatPlaceName(place), lat: place.lat, lon: place.lon }));
+}
+
+/**
+ * Looks up the nearest place name for coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @returns {Promise<string|null>} Place name, or null if unknown or the lookup
+ *   failed (it times out like every other request, see requestErrors.js)
+ */
+export async function reverseGeocode(lat, lon, apiKey) {
+  try {
+    const url = API_PROXY_URL
+      ? apiProxyUrl('geocode', { lat, lon })
+      : `${GEO_BASE_URL}/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${apiKey}`;
+    const json = await fetchJson(url, { service: 'OpenWeatherMap' });
+    return json.length ? formatPlaceName(json[0]) : null;
+  } catch (error) {
+    console.warn('Reverse geocoding failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Resolves the device position through the Geolocation API
+ * @returns {Promise<{lat: number, lon: number}>}
+ */
+export function getCurrentPosition() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not supported by this browser'));
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude }),
+      (err) => reject(new Error(err.message || 'Unable to get your location')),
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  });
+}
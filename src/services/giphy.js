@@ -0,0 +1,52 @@
+/**
+ * Giphy Search Helpers
+ *
+ * Request building and rendition picking for the Giphy background
+ * fallback, shared by the browser (weatherBackground.js) and the API
+ * proxy (server/proxy.js). Kept free of imports so Node can load it as is.
+ */
+
+/**
+ * Builds a deterministic Giphy search URL (limit=1: always the same
+ * result for the same query)
+ * @param {string} query - Search query (see getGiphyQuery)
+ * @param {string} apiKey - Giphy API key
+ * @param {string} tier - Quality tier ('video-high' searches videos)
+ * @returns {string} Search URL
+ */
+export function buildGiphySearchUrl(query, apiKey, tier = 'gif') {
+  // Use videos endpoint if preferVideo, otherwise gifs
+  const endpoint = tier === 'video-high' ? 'videos/search' : 'gifs/search';
+  return `https://api.giphy.com/v1/${endpoint}?api_key=${apiKey}&q=${encodeURIComponent(query)}&limit=1&rating=g&lang=en`;
+}
+
+/**
+ * Picks the rendition of the first search result fitting a quality tier
+ * @param {object} json - Giphy search response
+ * @param {string} tier - Quality tier ('video-low' uses the small MP4 rendition)
+ * @returns {string|null} Media URL, or null without results
+ */
+export function pickGiphyMedia(json, tier = 'gif') {
+  const images = json?.data?.[0]?.images;
+  if (!images) return null;
+
+  if (tier === 'video-high') {
+    // Use video URL if available
+    return images.original_mp4?.mp4 || images.original?.url || null;
+  }
+  if (tier === 'video-low') {
+    // Small MP4 rendition, far lighter than the original GIF
+    return images.fixed_width?.mp4 || images.fixed_width?.url || images.original?.url || null;
+  }
+  // Use GIF URL (deterministic - always first result)
+  return images.original?.url || null;
+}
+
+/**
+ * Format of a Giphy media URL
+ * @param {string} url - Media URL
+ * @returns {'video'|'gif'}
+ */
+export function giphyMediaFormat(url) {
+  return url.includes('.mp4') || url.includes('/mp4') ? 'video' : 'gif';
+}
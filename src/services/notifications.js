@@ -0,0 +1,52 @@
+/**
+ * Browser Notification Service
+ *
+ * Thin wrapper around the Notification API that is safe to call on
+ * browsers without support or before permission has been granted.
+ */
+
+/**
+ * Whether the Notification API exists in this browser
+ * @returns {boolean}
+ */
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Current permission ('granted' | 'denied' | 'default' | 'unsupported')
+ * @returns {string}
+ */
+export function getNotificationPermission() {
+  return notificationsSupported() ? Notification.permission : 'unsupported';
+}
+
+/**
+ * Asks the user for notification permission (must run from a user gesture)
+ * @returns {Promise<string>} Resulting permission
+ */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Shows a browser notification if permission has been granted
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @param {string} tag - Replaces an earlier notification with the same tag
+ * @returns {boolean} True if a notification was shown
+ */
+export function showBrowserNotification(title, body, tag) {
+  if (getNotificationPermission() !== 'granted') return false;
+
+  try {
+    new Notification(title, { body, tag, icon: '/vite.svg' });
+    return true;
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('Failed to show notification:', error);
+    return false;
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Observation History Service
+ *
+ * Logs every fetched observation per location in IndexedDB, so past
+ * conditions ("how humid was it on Block C last week?") can be charted
+ * and exported. Records are keyed by [locationKey, time]: polling again
+ * before the provider publishes a new reading overwrites the same record.
+ *
+ * IndexedDB can be missing (old browsers, some private modes); every
+ * call then rejects and the UI reports the history as unavailable.
+ */
+
+import { localDateKey } from '../utils/format';
+
+const DB_NAME = 'farmsync';
+const DB_VERSION = 1;
+const STORE = 'observations';
+
+/**
+ * @typedef {object} HistoryRecord
+ * @property {string} locationKey - Location key (see savedLocations.js)
+ * @property {number} time - Observation time, unix seconds
+ * @property {number} timezone - Location offset from UTC in seconds
+ * @property {number} temp - °C
+ * @property {number} feelsLike - °C
+ * @property {number} humidity - %
+ * @property {number} pressure - hPa
+ * @property {number} windSpeed - m/s
+ * @property {number} windGust - m/s
+ * @property {number} windDeg - Degrees
+ * @property {number} clouds - %
+ * @property {number} rain - mm over `period`
+ * @property {number} period - Seconds covered by `rain`
+ * @property {number} conditionId - OWM condition code
+ * @property {string} condition - Description, e.g. "light rain"
+ */
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(STORE, { keyPath: ['locationKey', 'time'] });
+          store.createIndex('time', 'time');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open is retried on the next call
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, run) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORE, mode);
+  const result = run(tx.objectStore(STORE));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result;
+}
+
+function locationRange(locationKey, from = -Infinity, to = Infinity) {
+  return IDBKeyRange.bound([locationKey, from], [locationKey, to]);
+}
+
+/**
+ * Builds the stored record for an observation
+ * @param {string} locationKey - Location key
+ * @param {import('./weatherProvider').Observation} observation - Current observation
+ * @param {number} timezone - Location offset from UTC in seconds
+ * @returns {HistoryRecord}
+ */
+export function toHistoryRecord(locationKey, observation, timezone = 0) {
+  return {
+    locationKey,
+    time: observation.time,
+    timezone,
+    temp: observation.temp,
+    feelsLike: observation.feelsLike,
+    humidity: observation.humidity,
+    pressure: observation.pressure,
+    windSpeed: observation.windSpeed,
+    windGust: observation.windGust,
+    windDeg: observation.windDeg,
+    clouds: observation.clouds,
+    rain: observation.rain,
+    period: observation.period,
+    conditionId: observation.condition.id,
+    condition: observation.condition.description,
+  };
+}
+
+/**
+ * Logs the current observation of a location
+ * @param {string} locationKey - Location key
+ * @param {import('./weatherProvider').CurrentWeather} current - Fetched current weather
+ * @returns {Promise<void>}
+ */
+export async function recordObservation(locationKey, current) {
+  const record = toHistoryRecord(locationKey, current.observation, current.timezone);
+  await withStore('readwrite', (store) => store.put(record));
+}
+
+/**
+ * Reads the records of a location, oldest first
+ * @param {string} locationKey - Location key
+ * @param {number} [from] - Earliest time, unix seconds
+ * @param {number} [to] - Latest time, unix seconds
+ * @returns {Promise<Array<HistoryRecord>>}
+ */
+export async function readHistory(locationKey, from = -Infinity, to = Infinity) {
+  const request = await withStore('readonly', (store) => store.getAll(locationRange(locationKey, from, to)));
+  return request.result;
+}
+
+/**
+ * Deletes records older than the retention period, for every location
+ * @param {number} retentionDays - Days to keep (0 keeps everything)
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function pruneHistory(retentionDays, nowMs = Date.now()) {
+  if (!retentionDays) return;
+  const cutoff = Math.floor(nowMs / 1000) - retentionDays * 24 * 3600;
+  await withStore('readwrite', (store) => {
+    const cursorRequest = store.index('time').openCursor(IDBKeyRange.upperBound(cutoff, true));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Deletes every record of a location
+ * @param {string} locationKey - Location key
+ * @returns {Promise<void>}
+ */
+export async function clearHistory(locationKey) {
+  await withStore('readwrite', (store) => store.delete(locationRange(locationKey)));
+}
+
+function bucketStart(time, bucketSeconds, timezone) {
+  return Math.floor((time + timezone) / bucketSeconds) * bucketSeconds - timezone;
+}
+
+/**
+ * Averages a field into time buckets (aligned to local midnight)
+ * @param {Array<HistoryRecord>} records - Records, oldest first
+ * @param {string} field - Record field to average
+ * @param {number} bucketSeconds - Bucket width
+ * @returns {Array<{time: number, value: number}>} One point per non-empty bucket
+ */
+export function averageByBucket(records, field, bucketSeconds) {
+  const buckets = new Map();
+  for (const record of records) {
+    const value = record[field];
+    if (!Number.isFinite(value)) continue;
+    const start = bucketStart(record.time, bucketSeconds, record.timezone ?? 0);
+    const bucket = buckets.get(start) ?? { sum: 0, count: 0 };
+    bucket.sum += value;
+    bucket.count++;
+    buckets.set(start, bucket);
+  }
+  return [...buckets].map(([time, { sum, count }]) => ({ time, value: sum / count }));
+}
+
+/**
+ * Rain totals per time bucket. Each reading reports the rain of the past
+ * `period`, and polls overlap, so each hour counts its largest hourly
+ * reading once before the hours are added up.
+ * @param {Array<HistoryRecord>} records - Records, oldest first
+ * @param {number} bucketSeconds - Bucket width (a whole number of hours)
+ * @returns {Array<{time: number, value: number}>} mm per non-empty bucket
+ */
+export function rainByBucket(records, bucketSeconds) {
+  const hours = new Map();
+  for (const record of records) {
+    if (!Number.isFinite(record.rain)) continue;
+    const hour = bucketStart(record.time, 3600, record.timezone ?? 0);
+    const perHour = record.rain * (3600 / (record.period || 3600));
+    hours.set(hour, Math.max(hours.get(hour) ?? 0, perHour));
+  }
+
+  const timezone = records[0]?.timezone ?? 0;
+  const buckets = new Map();
+  for (const [hour, mm] of hours) {
+    const start = bucketStart(hour, bucketSeconds, timezone);
+    buckets.set(start, (buckets.get(start) ?? 0) + mm);
+  }
+  return [...buckets].map(([time, value]) => ({ time, value }));
+}
+
+const CSV_COLUMNS = [
+  ['location', (r) => r.locationKey],
+  ['time_utc', (r) => new Date(r.time * 1000).toISOString()],
+  ['local_date', (r) => localDateKey(r.time, r.timezone ?? 0)],
+  ['local_time', (r) => new Date((r.time + (r.timezone ?? 0)) * 1000).toISOString().slice(11, 16)],
+  ['temp_c', (r) => r.temp],
+  ['feels_like_c', (r) => r.feelsLike],
+  ['humidity_pct', (r) => r.humidity],
+  ['pressure_hpa', (r) => r.pressure],
+  ['wind_ms', (r) => r.windSpeed],
+  ['wind_gust_ms', (r) => r.windGust],
+  ['wind_deg', (r) => r.windDeg],
+  ['clouds_pct', (r) => r.clouds],
+  ['rain_mm', (r) => r.rain],
+  ['rain_period_s', (r) => r.period],
+  ['condition_id', (r) => r.conditionId],
+  ['condition', (r) => r.condition],
+];
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Serializes records as CSV (one row per observation, header first)
+ * @param {Array<HistoryRecord>} records - Records to export
+ * @returns {string}
+ */
+export function historyToCsv(records) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  for (const record of records) rows.push(CSV_COLUMNS.map(([, read]) => read(record)));
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializes records as JSON
+ * @param {Array<HistoryRecord>} records - Records to export
+ * @returns {string}
+ */
+export function historyToJson(records) {
+  return JSON.stringify(records, null, 2);
+}
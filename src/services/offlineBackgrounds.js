@@ -0,0 +1,141 @@
+/**
+ * Offline Backgrounds
+ *
+ * Service worker registration and the "download backgrounds for offline"
+ * flow. Downloads go straight into the Cache Storage cache the service
+ * worker serves backgrounds from (cache-first, see src/serviceWorker.js).
+ * The cache name carries the CURATED_ASSETS version, so editing the asset
+ * list starts a new cache; the service worker carries unchanged files over.
+ */
+
+import { getCuratedAssetsVersion, listCuratedAssetUrls } from '../config/weatherAssets';
+
+export const OFFLINE_CACHE_PREFIX = 'farmsync-';
+
+/**
+ * Name of the Cache Storage cache holding curated backgrounds
+ * @returns {string} Cache name
+ */
+export function getBackgroundsCacheName() {
+  return `${OFFLINE_CACHE_PREFIX}backgrounds-${getCuratedAssetsVersion()}`;
+}
+
+/**
+ * Whether this browser can keep backgrounds offline
+ * @returns {boolean}
+ */
+export function isOfflineSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof caches !== 'undefined';
+}
+
+/**
+ * Registers the service worker built as /sw.js
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported or failed
+ */
+export async function registerServiceWorker() {
+  if (!isOfflineSupported()) return null;
+  try {
+    return await navigator.serviceWorker.register('/sw.js');
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Sizes the curated assets that exist (missing variants are skipped)
+ * @returns {Promise<{files: Array<{url: string, size: number}>, totalBytes: number}>}
+ */
+export async function measureOfflineBackgrounds() {
+  const results = await Promise.all(
+    listCuratedAssetUrls().map(async (url) => {
+      try {
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+        // Servers with an SPA fallback answer missing files with index.html
+        if (!response.ok || response.headers.get('Content-Type')?.startsWith('text/html')) return null;
+        return { url, size: Number(response.headers.get('Content-Length')) || 0 };
+      } catch {
+        return null;
+      }
+    })
+  );
+  const files = results.filter(Boolean);
+  return { files, totalBytes: files.reduce((sum, file) => sum + file.size, 0) };
+}
+
+/**
+ * Counts what is already downloaded
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export async function getOfflineBackgroundStatus() {
+  if (!isOfflineSupported()) return { count: 0, bytes: 0 };
+  const cache = await caches.open(getBackgroundsCacheName());
+  const requests = await cache.keys();
+  const sizes = await Promise.all(
+    requests.map(async (request) => {
+      const response = await cache.match(request);
+      return Number(response?.headers.get('Content-Length')) || 0;
+    })
+  );
+  return { count: requests.length, bytes: sizes.reduce((sum, size) => sum + size, 0) };
+}
+
+/**
+ * Downloads assets into the backgrounds cache, reporting byte progress
+ * @param {Array<{url: string, size: number}>} files - From measureOfflineBackgrounds()
+ * @param {function({doneFiles: number, doneBytes: number}): void} onProgress - Progress callback
+ * @param {AbortSignal} signal - Cancels the download
+ * @returns {Promise<{failed: string[]}>} URLs that could not be downloaded
+ */
+export async function downloadOfflineBackgrounds(files, onProgress, signal) {
+  const cache = await caches.open(getBackgroundsCacheName());
+  const failed = [];
+  let doneFiles = 0;
+  let doneBytes = 0;
+
+  // One at a time: a tablet on weak signal shouldn't open dozens of downloads
+  for (const { url, size } of files) {
+    if (signal?.aborted) break;
+    let received = 0;
+    try {
+      if (await cache.match(url)) {
+        received = size;
+      } else {
+        const response = await fetch(url, { signal });
+        if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value);
+          received += value.length;
+          onProgress({ doneFiles, doneBytes: doneBytes + received });
+        }
+
+        const headers = new Headers(response.headers);
+        headers.set('Content-Length', String(received));
+        await cache.put(url, new Response(new Blob(chunks), { status: 200, headers }));
+      }
+    } catch (error) {
+      if (signal?.aborted) break;
+      console.warn(`Failed to download ${url} for offline use:`, error);
+      failed.push(url);
+    }
+    doneFiles++;
+    doneBytes += received;
+    onProgress({ doneFiles, doneBytes });
+  }
+
+  return { failed };
+}
+
+/**
+ * Deletes the downloaded backgrounds
+ * @returns {Promise<boolean>} True if a cache was removed
+ */
+export async function removeOfflineBackgrounds() {
+  if (!isOfflineSupported()) return false;
+  return caches.delete(getBackgroundsCacheName());
+}
@@ -0,0 +1,217 @@
+/**
+ * User Preferences Service
+ *
+ * Persists display and refresh settings with a schema version, and maps
+ * the location and key display options to and from the page URL so a
+ * view can be bookmarked or shared:
+ *
+ *   ?loc=Ipoh,MY&bg=off                        Built-in town, no dynamic background
+ *   ?loc=4.5975,101.0901&name=Ladang%20Utara   Farm by coordinates
+ *
+ * URL options win over stored ones when the page opens.
+ */
+
+import { CROP_COEFFICIENTS, DEFAULT_CROP, DEFAULT_GROWTH_STAGE, GROWTH_STAGES } from '../config/agroMet';
+import { DEFAULT_HISTORY_RETENTION_DAYS, HISTORY_RETENTION_OPTIONS } from '../config/history';
+import { LOCATIONS } from '../config/locations';
+import { DEFAULT_REFRESH_MINUTES, REFRESH_INTERVAL_OPTIONS } from '../config/refresh';
+import { QUALITY_TIERS } from './backgroundQuality';
+import { readJSON, writeJSON } from './storage';
+
+const PREFERENCES_KEY = 'preferences';
+
+export const PREFERENCES_VERSION = 1;
+
+export const DEFAULT_PREFERENCES = {
+  location: LOCATIONS[0].q,
+  volume: 50, // 0-100
+  // Photosensitivity opt-out for the lightning flash
+  lightningFlashes: true,
+  preferVideo: false,
+  dynamicBackground: true,
+  forceProcedural: false,
+  // Background quality tier chosen by hand (null follows network and motion settings)
+  qualityOverride: null,
+  refreshMinutes: DEFAULT_REFRESH_MINUTES,
+  // Days of observation history kept (0 = forever)
+  historyRetentionDays: DEFAULT_HISTORY_RETENTION_DAYS,
+  // Crop and growth stage the Evapotranspiration card computes ETc for
+  etCrop: DEFAULT_CROP,
+  etStage: DEFAULT_GROWTH_STAGE,
+};
+
+const isBoolean = (value) => typeof value === 'boolean';
+
+/**
+ * Validator per preference; invalid stored values fall back to the default
+ */
+const PREFERENCE_SCHEMA = {
+  location: (value) => typeof value === 'string' && value.length > 0,
+  volume: (value) => Number.isFinite(value) && value >= 0 && value <= 100,
+  lightningFlashes: isBoolean,
+  preferVideo: isBoolean,
+  dynamicBackground: isBoolean,
+  forceProcedural: isBoolean,
+  qualityOverride: (value) => value === null || Object.hasOwn(QUALITY_TIERS, value),
+  refreshMinutes: (value) => REFRESH_INTERVAL_OPTIONS.includes(value),
+  historyRetentionDays: (value) => HISTORY_RETENTION_OPTIONS.includes(value),
+  etCrop: (value) => Object.hasOwn(CROP_COEFFICIENTS, value),
+  etStage: (value) => Object.hasOwn(GROWTH_STAGES, value),
+};
+
+/**
+ * Upgrades stored values from one schema version to the next, keyed by the
+ * version they upgrade from. Add an entry whenever a preference is renamed
+ * or changes meaning, then bump PREFERENCES_VERSION.
+ */
+const MIGRATIONS = {};
+
+function migrate(stored) {
+  let { version, values } = stored;
+  while (version < PREFERENCES_VERSION) {
+    values = MIGRATIONS[version]?.(values) ?? values;
+    version++;
+  }
+  return values;
+}
+
+function sanitize(values) {
+  const preferences = { ...DEFAULT_PREFERENCES };
+  for (const [name, isValid] of Object.entries(PREFERENCE_SCHEMA)) {
+    if (values && name in values && isValid(values[name])) preferences[name] = values[name];
+  }
+  return preferences;
+}
+
+/**
+ * Loads the stored preferences. Missing or invalid values take their
+ * defaults; values from a newer schema are kept where they still validate.
+ * @returns {typeof DEFAULT_PREFERENCES}
+ */
+export function loadPreferences() {
+  const stored = readJSON(PREFERENCES_KEY, null);
+  if (!stored || !Number.isInteger(stored.version) || typeof stored.values !== 'object') {
+    return { ...DEFAULT_PREFERENCES };
+  }
+  return sanitize(migrate(stored));
+}
+
+/**
+ * Persists the preferences
+ * @param {typeof DEFAULT_PREFERENCES} preferences - Preferences to store
+ */
+export function savePreferences(preferences) {
+  writeJSON(PREFERENCES_KEY, { version: PREFERENCES_VERSION, values: sanitize(preferences) });
+}
+
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const roundCoordinate = (value) => Math.round(value * 1e4) / 1e4;
+
+/**
+ * Key of a location shared by coordinates that is not among the saved farms
+ * @returns {string}
+ */
+export function sharedLocationKey(lat, lon) {
+  return `shared:${lat},${lon}`;
+}
+
+/**
+ * Resolves a `loc` URL value to a location key. Coordinates that match a
+ * saved farm select it; others become a shared location the user can save.
+ * @param {string} value - Town query ("Ipoh,MY"), saved farm id or "lat,lon"
+ * @param {string|null} name - Label for a shared location
+ * @param {Array<object>} saved - Saved farms
+ * @returns {{key: string, sharedLocation: object|null}|null} Null when nothing matches
+ */
+function resolveLocationParam(value, name, saved) {
+  const town = LOCATIONS.find((l) => l.q.toLowerCase() === value.toLowerCase());
+  if (town) return { key: town.q, sharedLocation: null };
+
+  const farm = saved.find((l) => l.id === value);
+  if (farm) return { key: farm.id, sharedLocation: null };
+
+  const match = value.match(COORDINATES_PATTERN);
+  if (!match) return null;
+  const lat = roundCoordinate(Number(match[1]));
+  const lon = roundCoordinate(Number(match[2]));
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+  const savedFarm = saved.find((l) => l.lat === lat && l.lon === lon);
+  if (savedFarm) return { key: savedFarm.id, sharedLocation: null };
+
+  const key = sharedLocationKey(lat, lon);
+  return { key, sharedLocation: { id: key, label: name?.trim() || `${lat}, ${lon}`, lat, lon, shared: true } };
+}
+
+/**
+ * Reads preference overrides from the page URL
+ * @param {string} search - location.search
+ * @param {Array<object>} saved - Saved farms
+ * @returns {{preferences: Partial<typeof DEFAULT_PREFERENCES>, sharedLocation: object|null}}
+ */
+export function readUrlPreferences(search, saved) {
+  const params = new URLSearchParams(search);
+  const preferences = {};
+  let sharedLocation = null;
+
+  const loc = params.get('loc');
+  const resolved = loc ? resolveLocationParam(loc, params.get('name'), saved) : null;
+  if (resolved) {
+    preferences.location = resolved.key;
+    sharedLocation = resolved.sharedLocation;
+  }
+
+  const bg = params.get('bg');
+  if (bg === 'off') preferences.dynamicBackground = false;
+  if (bg === 'on' || bg === 'procedural') {
+    preferences.dynamicBackground = true;
+    preferences.forceProcedural = bg === 'procedural';
+  }
+
+  const quality = params.get('quality');
+  if (quality === 'auto') preferences.qualityOverride = null;
+  if (quality && Object.hasOwn(QUALITY_TIERS, quality)) preferences.qualityOverride = quality;
+
+  return { preferences, sharedLocation };
+}
+
+/**
+ * URL query describing a view. Farms are shared by coordinates, since
+ * saved farm ids only exist in the browser that created them.
+ * @param {object} location - Selected town or farm
+ * @param {typeof DEFAULT_PREFERENCES} preferences - Current preferences
+ * @returns {URLSearchParams}
+ */
+export function buildShareParams(location, preferences) {
+  const params = new URLSearchParams();
+  if (location.q) {
+    params.set('loc', location.q);
+  } else {
+    params.set('loc', `${location.lat},${location.lon}`);
+    params.set('name', location.label);
+  }
+
+  if (!preferences.dynamicBackground) params.set('bg', 'off');
+  else if (preferences.forceProcedural) params.set('bg', 'procedural');
+  if (preferences.qualityOverride) params.set('quality', preferences.qualityOverride);
+  return params;
+}
+
+/**
+ * Rewrites the page URL to describe the current view, without adding a
+ * history entry. Unrelated query parameters and the hash are kept.
+ * @param {object} location - Selected town or farm
+ * @param {typeof DEFAULT_PREFERENCES} preferences - Current preferences
+ * @returns {string} The new URL
+ */
+export function writeUrlPreferences(location, preferences) {
+  const url = new URL(window.location.href);
+  for (const name of ['loc', 'name', 'bg', 'quality']) url.searchParams.delete(name);
+  for (const [name, value] of buildShareParams(location, preferences)) url.searchParams.set(name, value);
+  // Commas are valid in a query; keep "loc=Ipoh,MY" readable
+  url.search = url.searchParams.toString().replaceAll('%2C', ',');
+
+  if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url);
+  return url.href;
+}
@@ -0,0 +1,49 @@
+/**
+ * Fixture Provider
+ *
+ * Serves recorded OWM responses so the app works offline and in demos.
+ * Timestamps are moved forward by whole days to the current date, keeping
+ * the recorded time of day (and with it day/night and sunrise/sunset).
+ */
+
+import currentFixture from './fixtures/owm-current.json';
+import forecastFixture from './fixtures/owm-forecast.json';
+import { normalizeOwmCurrent, normalizeOwmForecast } from './owm';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+function dayShift() {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  return Math.floor((nowSeconds - currentFixture.dt) / DAY_SECONDS) * DAY_SECONDS;
+}
+
+/**
+ * Creates the fixture provider
+ * @returns {import('../weatherProvider').WeatherProvider}
+ */
+export function createFixtureProvider() {
+  return {
+    id: 'fixture',
+    label: 'Offline sample data',
+    configError: null,
+
+    async fetchCurrent(location) {
+      const shift = dayShift();
+      const current = normalizeOwmCurrent(currentFixture);
+      current.observation.time += shift;
+      current.sunrise += shift;
+      current.sunset += shift;
+      current.location = { ...current.location, name: location.label };
+      return current;
+    },
+
+    async fetchForecast() {
+      const shift = dayShift();
+      const forecast = normalizeOwmForecast(forecastFixture);
+      forecast.slots.forEach((slot) => {
+        slot.time += shift;
+      });
+      return forecast;
+    },
+  };
+}
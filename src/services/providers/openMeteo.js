@@ -0,0 +1,225 @@
+/**
+ * Open-Meteo Provider
+ *
+ * Adapter for the keyless Open-Meteo forecast API. WMO weather codes are
+ * mapped onto OWM condition codes and icons so the rest of the app only
+ * knows one vocabulary. Hourly data is summed into 3-hour slots to match
+ * the forecast contract.
+ */
+
+import { fetchJson } from '../requestErrors';
+
+const OPEN_METEO_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// current + forecast come from one request; the two calls share it while it
+// is in flight. Nothing is kept afterwards, so every refresh fetches anew.
+const inFlight = new Map();
+
+const HOURLY_FIELDS = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'apparent_temperature',
+  'precipitation_probability',
+  'precipitation',
+  'weather_code',
+  'cloud_cover',
+  'pressure_msl',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+  'is_day',
+];
+
+const CURRENT_FIELDS = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'apparent_temperature',
+  'is_day',
+  'weather_code',
+  'cloud_cover',
+  'pressure_msl',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+];
+
+/**
+ * WMO weather interpretation code -> [OWM id, main, description, OWM icon]
+ */
+const WMO_CONDITIONS = {
+  0: [800, 'Clear', 'clear sky', '01'],
+  1: [801, 'Clouds', 'mainly clear', '02'],
+  2: [802, 'Clouds', 'partly cloudy', '03'],
+  3: [804, 'Clouds', 'overcast clouds', '04'],
+  45: [741, 'Fog', 'fog', '50'],
+  48: [741, 'Fog', 'depositing rime fog', '50'],
+  51: [300, 'Drizzle', 'light drizzle', '09'],
+  53: [301, 'Drizzle', 'drizzle', '09'],
+  55: [302, 'Drizzle', 'dense drizzle', '09'],
+  56: [511, 'Rain', 'freezing drizzle', '13'],
+  57: [511, 'Rain', 'dense freezing drizzle', '13'],
+  61: [500, 'Rain', 'light rain', '10'],
+  63: [501, 'Rain', 'moderate rain', '10'],
+  65: [502, 'Rain', 'heavy intensity rain', '10'],
+  66: [511, 'Rain', 'freezing rain', '13'],
+  67: [511, 'Rain', 'heavy freezing rain', '13'],
+  71: [600, 'Snow', 'light snow', '13'],
+  73: [601, 'Snow', 'snow', '13'],
+  75: [602, 'Snow', 'heavy snow', '13'],
+  77: [600, 'Snow', 'snow grains', '13'],
+  80: [520, 'Rain', 'light shower rain', '09'],
+  81: [521, 'Rain', 'shower rain', '09'],
+  82: [522, 'Rain', 'heavy shower rain', '09'],
+  85: [620, 'Snow', 'light shower snow', '13'],
+  86: [621, 'Snow', 'shower snow', '13'],
+  95: [211, 'Thunderstorm', 'thunderstorm', '11'],
+  96: [201, 'Thunderstorm', 'thunderstorm with hail', '11'],
+  99: [202, 'Thunderstorm', 'thunderstorm with heavy hail', '11'],
+};
+
+/**
+ * Maps a WMO code to a normalized condition
+ * @param {number} code - WMO weather code
+ * @param {boolean} isDay - Daytime flag (picks the d/n icon)
+ * @returns {import('../weatherProvider').WeatherCondition}
+ */
+export function wmoToCondition(code, isDay) {
+  const [id, main, description, icon] = WMO_CONDITIONS[code] ?? WMO_CONDITIONS[3];
+  return { id, main, description, icon: `${icon}${isDay ? 'd' : 'n'}` };
+}
+
+async function fetchOpenMeteo(location, signal) {
+  if (location.lat == null || location.lon == null) {
+    throw new Error(`Open-Meteo needs coordinates for ${location.label}`);
+  }
+
+  const key = `${location.lat},${location.lon}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const url =
+    `${OPEN_METEO_URL}?latitude=${location.lat}&longitude=${location.lon}` +
+    `&current=${CURRENT_FIELDS.join(',')}&hourly=${HOURLY_FIELDS.join(',')}` +
+    `&daily=sunrise,sunset,temperature_2m_max,temperature_2m_min` +
+    `&wind_speed_unit=ms&timezone=auto&timeformat=unixtime&forecast_days=6`;
+
+  const promise = fetchJson(url, { signal, service: 'Open-Meteo' }).finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Index of the hourly entry containing `time`
+ */
+function hourIndex(hourly, time) {
+  const i = hourly.time.findIndex((t) => t > time);
+  return Math.max(0, (i === -1 ? hourly.time.length : i) - 1);
+}
+
+/**
+ * Normalizes one hourly entry (or a run of `hours` entries) into an observation
+ */
+function hourlyObservation(hourly, start, hours) {
+  const range = Array.from({ length: hours }, (_, k) => start + k).filter((i) => i < hourly.time.length);
+  const pick = (field) => range.map((i) => Number(hourly[field][i] ?? 0));
+  const avg = (field) => pick(field).reduce((a, b) => a + b, 0) / range.length;
+  const max = (field) => Math.max(...pick(field));
+
+  // The highest WMO code (roughly the most severe hour) decides the slot's condition
+  const codes = pick('weather_code');
+  const code = codes.reduce((a, b) => (b > a ? b : a), codes[0]);
+  const temps = pick('temperature_2m');
+
+  return {
+    time: hourly.time[start],
+    period: hours * 60 * 60,
+    temp: temps[0],
+    feelsLike: Number(hourly.apparent_temperature[start]),
+    tempMin: Math.min(...temps),
+    tempMax: Math.max(...temps),
+    humidity: avg('relative_humidity_2m'),
+    pressure: avg('pressure_msl'),
+    windSpeed: max('wind_speed_10m'),
+    windGust: max('wind_gusts_10m'),
+    windDeg: Number(hourly.wind_direction_10m[start]),
+    clouds: avg('cloud_cover'),
+    rain: pick('precipitation').reduce((a, b) => a + b, 0),
+    pop: max('precipitation_probability') / 100,
+    condition: wmoToCondition(code, Boolean(hourly.is_day[start])),
+  };
+}
+
+/**
+ * Normalizes the current block of an Open-Meteo response
+ * @param {object} json - Open-Meteo response
+ * @param {object} location - Requested location
+ * @returns {import('../weatherProvider').CurrentWeather}
+ */
+export function normalizeOpenMeteoCurrent(json, location) {
+  const c = json.current;
+  const i = hourIndex(json.hourly, c.time);
+  const rain = Number(json.hourly.precipitation[i] ?? 0);
+  const todayIndex = Math.max(0, json.daily.time.findIndex((t) => t > c.time) - 1);
+
+  return {
+    observation: {
+      time: c.time,
+      period: 60 * 60,
+      temp: c.temperature_2m,
+      feelsLike: c.apparent_temperature,
+      tempMin: json.daily.temperature_2m_min[todayIndex],
+      tempMax: json.daily.temperature_2m_max[todayIndex],
+      humidity: c.relative_humidity_2m,
+      pressure: c.pressure_msl,
+      windSpeed: c.wind_speed_10m,
+      windGust: c.wind_gusts_10m ?? c.wind_speed_10m,
+      windDeg: c.wind_direction_10m,
+      clouds: c.cloud_cover,
+      rain,
+      pop: rain > 0 ? 1 : 0,
+      condition: wmoToCondition(c.weather_code, Boolean(c.is_day)),
+    },
+    timezone: json.utc_offset_seconds ?? 0,
+    sunrise: json.daily.sunrise[todayIndex] ?? null,
+    sunset: json.daily.sunset[todayIndex] ?? null,
+    location: {
+      name: location.label,
+      lat: json.latitude,
+      lon: json.longitude,
+      elevation: json.elevation ?? null,
+    },
+  };
+}
+
+/**
+ * Normalizes the hourly block of an Open-Meteo response into 3-hour slots
+ * @param {object} json - Open-Meteo response
+ * @returns {import('../weatherProvider').Forecast}
+ */
+export function normalizeOpenMeteoForecast(json) {
+  const slots = [];
+  // Start at the current hour, skipping the already elapsed part of today
+  for (let i = hourIndex(json.hourly, json.current.time); i < json.hourly.time.length; i += 3) {
+    slots.push(hourlyObservation(json.hourly, i, 3));
+  }
+  return { timezone: json.utc_offset_seconds ?? 0, slots };
+}
+
+/**
+ * Creates the Open-Meteo provider
+ * @returns {import('../weatherProvider').WeatherProvider}
+ */
+export function createOpenMeteoProvider() {
+  return {
+    id: 'open-meteo',
+    label: 'Open-Meteo',
+    configError: null,
+
+    async fetchCurrent(location, { signal } = {}) {
+      return normalizeOpenMeteoCurrent(await fetchOpenMeteo(location, signal), location);
+    },
+
+    async fetchForecast(location, { signal } = {}) {
+      return normalizeOpenMeteoForecast(await fetchOpenMeteo(location, signal));
+    },
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * OpenWeatherMap Provider
+ *
+ * Adapter for the OWM 2.5 current weather and 5 day / 3 hour forecast
+ * endpoints. Also exports the normalizers, which the fixture provider
+ * reuses on recorded OWM responses. With a proxy URL the requests go to
+ * the FarmSync API proxy (server/proxy.js), which adds the key.
+ */
+
+import { fetchJson } from '../requestErrors';
+
+const OWM_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+
+/**
+ * OWM query parameters for a location: city query for built-in towns,
+ * coordinates for saved farms
+ * @param {object} location - Built-in town or saved farm
+ * @returns {string} Query string fragment, e.g. "lat=4.6&lon=101.1"
+ */
+export function getOwmLocationQuery(location) {
+  if (location.q) return `q=${encodeURIComponent(location.q)}`;
+  return `lat=${location.lat}&lon=${location.lon}`;
+}
+
+function normalizeCondition(weather) {
+  return {
+    id: Number(weather?.id ?? 0),
+    main: weather?.main ?? '',
+    description: weather?.description ?? '',
+    icon: weather?.icon ?? '',
+  };
+}
+
+/**
+ * Normalizes an OWM current weather response or forecast list item
+ * @param {object} item - OWM payload
+ * @param {boolean} isForecast - Whether the item is a 3-hour forecast slot
+ * @returns {import('../weatherProvider').Observation}
+ */
+export function normalizeOwmObservation(item, isForecast = false) {
+  // Forecast slots report 3 h amounts; current readings report 1 h, or only
+  // the last 3 h, which is spread evenly over the hour-long period
+  const amount = (volume) =>
+    isForecast ? Number(volume?.['3h'] ?? 0) : Number(volume?.['1h'] ?? (volume?.['3h'] ?? 0) / 3);
+  const rain = amount(item.rain) + amount(item.snow);
+  const windSpeed = Number(item.wind?.speed ?? 0);
+
+  return {
+    time: item.dt,
+    period: isForecast ? 3 * 60 * 60 : 60 * 60,
+    temp: item.main.temp,
+    feelsLike: item.main.feels_like,
+    tempMin: item.main.temp_min,
+    tempMax: item.main.temp_max,
+    humidity: Number(item.main.humidity ?? 0),
+    pressure: Number(item.main.sea_level ?? item.main.pressure ?? 0),
+    windSpeed,
+    windGust: Number(item.wind?.gust ?? windSpeed),
+    windDeg: Number(item.wind?.deg ?? 0),
+    clouds: Number(item.clouds?.all ?? 0),
+    rain,
+    pop: isForecast ? Number(item.pop ?? 0) : rain > 0 ? 1 : 0,
+    condition: normalizeCondition(item.weather?.[0]),
+  };
+}
+
+/**
+ * Normalizes an OWM current weather response
+ * @param {object} json - OWM /weather response
+ * @returns {import('../weatherProvider').CurrentWeather}
+ */
+export function normalizeOwmCurrent(json) {
+  return {
+    observation: normalizeOwmObservation(json),
+    timezone: json.timezone ?? 0,
+    sunrise: json.sys?.sunrise ?? null,
+    sunset: json.sys?.sunset ?? null,
+    location: {
+      name: json.name ?? '',
+      lat: json.coord?.lat ?? null,
+      lon: json.coord?.lon ?? null,
+      elevation: null,
+    },
+  };
+}
+
+/**
+ * Normalizes an OWM forecast response
+ * @param {object} json - OWM /forecast response
+ * @returns {import('../weatherProvider').Forecast}
+ */
+export function normalizeOwmForecast(json) {
+  return {
+    timezone: json.city?.timezone ?? 0,
+    slots: (json.list ?? []).map((item) => normalizeOwmObservation(item, true)),
+  };
+}
+
+/**
+ * Creates the OpenWeatherMap provider
+ * @param {{apiKey: string, proxyUrl?: string|null}} options - Key for direct requests,
+ *   or the API proxy base URL (then no key is needed client-side)
+ * @returns {import('../weatherProvider').WeatherProvider}
+ */
+export function createOwmProvider({ apiKey, proxyUrl = null }) {
+  const url = (endpoint, location) =>
+    proxyUrl
+      ? `${proxyUrl}/${endpoint}?${getOwmLocationQuery(location)}`
+      : `${OWM_BASE_URL}/${endpoint}?${getOwmLocationQuery(location)}&units=metric&appid=${apiKey}`;
+
+  return {
+    id: 'owm',
+    label: 'OpenWeatherMap',
+    configError: apiKey || proxyUrl
+      ? null
+      : 'OpenWeatherMap needs an API key. Add VITE_OWM_API_KEY=<your key> to .env and restart the dev server, ' +
+        'set VITE_API_PROXY to use the API proxy, or set VITE_WEATHER_PROVIDER=open-meteo (no key needed).',
+
+    async fetchCurrent(location, { signal } = {}) {
+      return normalizeOwmCurrent(await fetchJson(url('weather', location), { signal, service: 'OpenWeatherMap' }));
+    },
+
+    async fetchForecast(location, { signal } = {}) {
+      return normalizeOwmForecast(await fetchJson(url('forecast', location), { signal, service: 'OpenWeatherMap' }));
+    },
+  };
+}
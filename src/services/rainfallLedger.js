@@ -0,0 +1,123 @@
+/**
+ * Rainfall Ledger Service
+ *
+ * Builds a per-day ledger for a farm from the observation log
+ * (observationHistory.js) and the forecast: rain logged so far, rain still
+ * expected, and reference evapotranspiration (ET0). The soil water balance
+ * (soilWater.js) runs over it.
+ *
+ * Rain is only known for days the app logged readings; days without any
+ * count as dry, and `logged` tells them apart.
+ */
+
+import { LEDGER_DAYS } from '../config/soilWater';
+import { estimateDailyEt0 } from './agroMet';
+import { rainByBucket } from './observationHistory';
+import { localDateKey } from '../utils/format';
+
+const DAY_SECONDS = 24 * 3600;
+
+/**
+ * @typedef {object} LedgerDay
+ * @property {string} date - Local date, YYYY-MM-DD
+ * @property {'past'|'today'|'future'} when
+ * @property {boolean} logged - Whether any reading was logged that day
+ * @property {number} rainLogged - mm measured by logged readings
+ * @property {number} rainForecast - mm still expected from the forecast
+ * @property {number} rain - rainLogged + rainForecast
+ * @property {number} et0 - Reference evapotranspiration, mm
+ * @property {keyof import('./agroMet').ET0_METHODS} et0Method - How et0 was computed
+ */
+
+function toSample({ time, temp, humidity, windSpeed, pressure, clouds }) {
+  return { time, temp, humidity, windSpeed, pressure, clouds };
+}
+
+/**
+ * Builds the ledger from LEDGER_DAYS ago to the end of the forecast
+ * @param {object} input
+ * @param {Array<import('./observationHistory').HistoryRecord>} input.records - Logged readings, oldest first
+ * @param {import('./weatherProvider').Forecast|null} input.forecast - Normalized forecast
+ * @param {number} input.timezone - Location offset from UTC in seconds
+ * @param {number|null} input.lat - Latitude in degrees (for ET0)
+ * @param {number|null} [input.elevation] - m above sea level (for ET0)
+ * @param {{sunrise: number, sunset: number}|null} [input.daylight] - Local seconds after midnight (for ET0)
+ * @param {number} input.nowSeconds - Current time, unix seconds
+ * @returns {Array<LedgerDay>} Days in chronological order
+ */
+export function buildRainfallLedger({
+  records = [],
+  forecast = null,
+  timezone = 0,
+  lat = null,
+  elevation = null,
+  daylight = null,
+  nowSeconds,
+}) {
+  const today = localDateKey(nowSeconds, timezone);
+  const days = new Map();
+  const dayFor = (date) => {
+    if (!days.has(date)) days.set(date, { date, logged: false, rainLogged: 0, rainForecast: 0, samples: [] });
+    return days.get(date);
+  };
+
+  for (let i = LEDGER_DAYS - 1; i >= 0; i--) dayFor(localDateKey(nowSeconds - i * DAY_SECONDS, timezone));
+
+  for (const record of records) {
+    const day = days.get(localDateKey(record.time, timezone));
+    if (!day) continue;
+    day.logged = true;
+    day.samples.push(toSample(record));
+  }
+  for (const { time, value } of rainByBucket(records, DAY_SECONDS)) {
+    const day = days.get(localDateKey(time, timezone));
+    if (day) day.rainLogged += value;
+  }
+
+  // Only the part of each slot still ahead counts, so logged rain isn't counted twice
+  for (const slot of forecast?.slots ?? []) {
+    const end = slot.time + slot.period;
+    if (end <= nowSeconds) continue;
+    const start = Math.max(slot.time, nowSeconds);
+    const day = dayFor(localDateKey(start, timezone));
+    day.rainForecast += slot.rain * ((end - start) / slot.period);
+    day.samples.push(toSample(slot));
+  }
+
+  return [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ samples, ...day }) => {
+      const { et0, method } = estimateDailyEt0(samples, { date: day.date, lat, elevation, timezone, daylight });
+      return {
+        ...day,
+        when: day.date < today ? 'past' : day.date === today ? 'today' : 'future',
+        rain: day.rainLogged + day.rainForecast,
+        et0,
+        et0Method: method,
+      };
+    });
+}
+
+/**
+ * Rainfall totals for the ledger's farm
+ * @param {Array<LedgerDay>} ledger - Result of buildRainfallLedger()
+ * @returns {{today: number, todayExpected: number, last7: number, last30: number, ahead: number, aheadDays: number, loggedDays: number}}
+ *   Logged mm for today and the last 7 / 30 days (today included), mm still
+ *   expected today and over the forecast days ahead
+ */
+export function getRainfallTotals(ledger) {
+  const todayIndex = ledger.findIndex((d) => d.when === 'today');
+  const upToToday = ledger.slice(0, todayIndex + 1);
+  const future = ledger.slice(todayIndex + 1);
+  const sum = (days, field) => days.reduce((total, d) => total + d[field], 0);
+
+  return {
+    today: ledger[todayIndex]?.rainLogged ?? 0,
+    todayExpected: ledger[todayIndex]?.rainForecast ?? 0,
+    last7: sum(upToToday.slice(-7), 'rainLogged'),
+    last30: sum(upToToday.slice(-30), 'rainLogged'),
+    ahead: sum(future, 'rainForecast'),
+    aheadDays: future.length,
+    loggedDays: upToToday.filter((d) => d.logged).length,
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Request Errors
+ *
+ * Typed failures for weather and background requests, a fetch wrapper
+ * with a timeout that classifies what went wrong, and retry with
+ * exponential backoff for the transient kinds. The UI turns a RequestError
+ * into a message and actions with describeRequestError().
+ */
+
+export const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Set by the service worker on a cached copy it answered with because the network failed
+const SW_FALLBACK_HEADER = 'X-FarmSync-Fallback';
+
+/**
+ * Failure kinds. Transient ones are retried automatically.
+ */
+export const REQUEST_ERROR_KINDS = {
+  config: { transient: false },
+  unauthorized: { transient: false },
+  'not-found': { transient: false },
+  'rate-limited': { transient: true },
+  offline: { transient: false },
+  timeout: { transient: true },
+  network: { transient: true },
+  server: { transient: true },
+  unknown: { transient: false },
+};
+
+/**
+ * A classified request failure
+ */
+export class RequestError extends Error {
+  /**
+   * @param {keyof REQUEST_ERROR_KINDS} kind - What went wrong
+   * @param {string} message - Technical detail (shown under the friendly text)
+   * @param {{status?: number, service?: string, retryAfterMs?: number, cause?: unknown}} details
+   */
+  constructor(kind, message, { status = null, service = null, retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'RequestError';
+    this.kind = kind;
+    this.status = status;
+    this.service = service;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get transient() {
+    return REQUEST_ERROR_KINDS[this.kind]?.transient ?? false;
+  }
+}
+
+// Codes of the API proxy's normalized errors (server/proxy.js)
+const PROXY_ERROR_KINDS = {
+  not_configured: 'config',
+  upstream_unauthorized: 'unauthorized',
+  not_found: 'not-found',
+  rate_limited: 'rate-limited',
+  upstream_rate_limited: 'rate-limited',
+  timeout: 'timeout',
+  upstream_unreachable: 'server',
+  upstream_error: 'server',
+};
+
+function kindFromStatus(status) {
+  if (status === 401 || status === 403) return 'unauthorized';
+  if (status === 404) return 'not-found';
+  if (status === 429) return 'rate-limited';
+  if (status >= 500) return 'server';
+  return 'unknown';
+}
+
+/**
+ * Classifies a failed HTTP response
+ * @param {Response} response - Failed response
+ * @param {object|null} json - Parsed body, if any
+ * @param {string} service - Service name for messages
+ * @returns {RequestError}
+ */
+export function errorFromResponse(response, json, service) {
+  const proxyCode = json?.error?.code;
+  const kind = PROXY_ERROR_KINDS[proxyCode] ?? kindFromStatus(response.status);
+  const message = json?.error?.message || json?.message || json?.reason || `${service} error (${response.status})`;
+  const retryAfter = Number(response.headers.get('Retry-After'));
+
+  return new RequestError(kind, message, {
+    status: response.status,
+    service,
+    retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+  });
+}
+
+/**
+ * fetch() with a timeout, turning every failure into a RequestError.
+ * Aborts through `signal` are passed on unchanged. A cached copy the
+ * service worker fell back to counts as a failed request, so callers use
+ * their own offline handling (which knows the data's age).
+ * @param {string} url - Request URL
+ * @param {{signal?: AbortSignal, timeoutMs?: number, service?: string, method?: string}} options
+ * @returns {Promise<Response>} OK response
+ */
+export async function fetchWithTimeout(url, { signal, timeoutMs = REQUEST_TIMEOUT_MS, service = 'Server', ...init } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener('abort', forwardAbort);
+
+  try {
+    if (signal?.aborted) controller.abort();
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (response.headers.get(SW_FALLBACK_HEADER)) throw new TypeError('Answered from the service worker cache');
+    return response;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    if (timedOut) {
+      throw new RequestError('timeout', `${service} did not answer within ${timeoutMs / 1000} s`, { service, cause: error });
+    }
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new RequestError('offline', 'You are offline', { service, cause: error });
+    }
+    throw new RequestError('network', `Could not reach ${service}`, { service, cause: error });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+}
+
+/**
+ * Fetches JSON, throwing a RequestError for failed responses
+ * @param {string} url - Request URL
+ * @param {{signal?: AbortSignal, timeoutMs?: number, service?: string}} options
+ * @returns {Promise<*>} Parsed body
+ */
+export async function fetchJson(url, options = {}) {
+  const service = options.service ?? 'Server';
+  const response = await fetchWithTimeout(url, options);
+  const json = await response.json().catch(() => null);
+
+  if (!response.ok) throw errorFromResponse(response, json, service);
+  if (json === null) throw new RequestError('server', `${service} sent an unreadable response`, { service });
+  return json;
+}
+
+/**
+ * Converts anything thrown into a RequestError
+ * @param {unknown} error - Caught value
+ * @returns {RequestError}
+ */
+export function toRequestError(error) {
+  if (error instanceof RequestError) return error;
+  return new RequestError('unknown', String(error?.message || error), { cause: error });
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs `task`, retrying transient RequestErrors with exponential backoff
+ * (1 s, 2 s, 4 s … plus jitter, or the server's Retry-After)
+ * @param {function(): Promise<*>} task - Request to run
+ * @param {{retries?: number, baseDelayMs?: number, maxDelayMs?: number, signal?: AbortSignal,
+ *   onRetry?: function({attempt: number, delayMs: number, error: RequestError}): void}} options
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(task, { retries = 3, baseDelayMs = 1000, maxDelayMs = 30 * 1000, signal, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (signal?.aborted || !(error instanceof RequestError) || !error.transient || attempt > retries) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delayMs = Math.min(maxDelayMs, error.retryAfterMs ?? backoff * (0.8 + Math.random() * 0.4));
+      onRetry?.({ attempt, delayMs, error });
+      await wait(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * @typedef {object} ErrorDescription
+ * @property {string} title - Short headline
+ * @property {string} message - What happened and what to do
+ * @property {Array<'check-key'|'retry'|'show-cached'>} actions - Offered actions, most useful first
+ */
+
+/**
+ * Friendly text and actions for a failure
+ * @param {RequestError} error - Failure
+ * @param {{proxied?: boolean}} options - Whether requests go through the API proxy
+ * @returns {ErrorDescription}
+ */
+export function describeRequestError(error, { proxied = false } = {}) {
+  const keyHint = proxied
+    ? 'Check OWM_API_KEY on the server running the API proxy.'
+    : 'Check VITE_OWM_API_KEY in .env and restart the dev server. New keys can take up to two hours to activate.';
+
+  switch (error.kind) {
+    case 'config':
+      return { title: 'Weather service not set up', message: error.message, actions: ['check-key'] };
+    case 'unauthorized':
+      return { title: 'API key rejected', message: `${error.service || 'The weather service'} did not accept the API key. ${keyHint}`, actions: ['check-key', 'retry', 'show-cached'] };
+    case 'not-found':
+      return { title: 'Location not found', message: `The weather service has no data for this location (${error.message}). Check the name, or add the farm by coordinates.`, actions: ['show-cached'] };
+    case 'rate-limited':
+      return { title: 'Too many requests', message: 'The API quota is used up for now. Data will load again shortly.', actions: ['retry', 'show-cached', 'check-key'] };
+    case 'offline':
+      return { title: 'You are offline', message: 'Weather will refresh once the connection returns.', actions: ['show-cached', 'retry'] };
+    case 'timeout':
+      return { title: 'Weather service is slow', message: `${error.message}. The connection may be weak.`, actions: ['retry', 'show-cached'] };
+    case 'network':
+    case 'server':
+      return { title: 'Weather service unavailable', message: error.message, actions: ['retry', 'show-cached'] };
+    default:
+      return { title: 'Something went wrong', message: error.message, actions: ['retry', 'show-cached'] };
+  }
+}
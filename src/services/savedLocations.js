@@ -0,0 +1,85 @@
+/**
+ * Saved Locations Service
+ *
+ * Persists the user's own farms (name + coordinates) and resolves location
+ * keys for both built-in towns and saved farms.
+ *
+ * Location shapes:
+ * - Built-in town: { label, q, lat, lon }  key = q
+ * - Saved farm:    { id, label, lat, lon } key = id
+ */
+
+import { LOCATIONS } from '../config/locations';
+import { readJSON, writeJSON } from './storage';
+
+const SAVED_LOCATIONS_KEY = 'savedLocations';
+
+/**
+ * Loads the saved farms
+ * @returns {Array<{id: string, label: string, lat: number, lon: number}>}
+ */
+export function loadSavedLocations() {
+  const saved = readJSON(SAVED_LOCATIONS_KEY, []);
+  return Array.isArray(saved) ? saved : [];
+}
+
+/**
+ * Adds a farm and persists the list
+ * @param {Array<object>} saved - Current saved farms
+ * @param {{label: string, lat: number, lon: number}} farm - Farm to add
+ * @returns {Array<object>} Updated list (the new farm is last)
+ */
+export function addSavedLocation(saved, { label, lat, lon }) {
+  const farm = {
+    id: `farm-${Date.now().toString(36)}`,
+    label: label.trim(),
+    lat: Math.round(Number(lat) * 1e4) / 1e4,
+    lon: Math.round(Number(lon) * 1e4) / 1e4,
+  };
+  const next = [...saved, farm];
+  writeJSON(SAVED_LOCATIONS_KEY, next);
+  return next;
+}
+
+/**
+ * Removes a farm and persists the list
+ * @param {Array<object>} saved - Current saved farms
+ * @param {string} id - Farm id
+ * @returns {Array<object>} Updated list
+ */
+export function removeSavedLocation(saved, id) {
+  const next = saved.filter((l) => l.id !== id);
+  writeJSON(SAVED_LOCATIONS_KEY, next);
+  return next;
+}
+
+/**
+ * Key that identifies a location in the picker and in per-location storage
+ * @param {object} location - Built-in town or saved farm
+ * @returns {string}
+ */
+export function getLocationKey(location) {
+  return location.id ?? location.q;
+}
+
+/**
+ * Finds a location by key among built-in towns and saved farms
+ * @param {string} key - Location key
+ * @param {Array<object>} saved - Saved farms
+ * @returns {object|null}
+ */
+export function findLocation(key, saved) {
+  return saved.find((l) => l.id === key) ?? LOCATIONS.find((l) => l.q === key) ?? null;
+}
+
+/**
+ * Validates coordinates entered by the user
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCoordinates(lat, lon) {
+  const la = Number(lat);
+  const lo = Number(lon);
+  if (lat === '' || !Number.isFinite(la) || la < -90 || la > 90) return 'Latitude must be between -90 and 90';
+  if (lon === '' || !Number.isFinite(lo) || lo < -180 || lo > 180) return 'Longitude must be between -180 and 180';
+  return null;
+}
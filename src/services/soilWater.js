@@ -0,0 +1,140 @@
+/**
+ * Soil Water Balance Service
+ *
+ * A single-bucket daily water balance per plot (FAO-56 chapter 8, without
+ * capillary rise): rain fills the root zone up to its capacity, crop
+ * evapotranspiration (ET0 x crop factor) empties it, and anything beyond
+ * capacity is surplus that runs off or drains. From the balance each plot
+ * gets an irrigate / skip / drain recommendation with its reasons.
+ *
+ * Plots are stored per location key, like alert rules.
+ */
+
+import { DEFAULT_PLOT, DRAIN_SURPLUS_MM, RAIN_LOOKAHEAD_DAYS } from '../config/soilWater';
+import { readJSON, writeJSON } from './storage';
+
+const PLOTS_KEY = 'soilPlots';
+
+export const IRRIGATION_ACTIONS = {
+  irrigate: { label: 'Irrigate', color: 'rgba(234,179,8,0.85)' },
+  skip: { label: 'Skip', color: 'rgba(34,197,94,0.85)' },
+  drain: { label: 'Drain', color: 'rgba(59,130,246,0.85)' },
+};
+
+/**
+ * Loads plots for every location
+ * @returns {Object<string, Array<object>>} Plots keyed by location key
+ */
+export function loadPlots() {
+  return readJSON(PLOTS_KEY, {});
+}
+
+/**
+ * Plots of a location (one default plot until the user edits them)
+ * @param {Object<string, Array<object>>} plotsByLocation - Result of loadPlots()
+ * @param {string} locationKey - Location key
+ * @returns {Array<{id: string, label: string, capacityMm: number, allowableDepletion: number, cropFactor: number}>}
+ */
+export function getPlots(plotsByLocation, locationKey) {
+  return plotsByLocation[locationKey] ?? [{ id: 'main', ...DEFAULT_PLOT }];
+}
+
+/**
+ * Saves the plots of one location
+ * @param {string} locationKey - Location key
+ * @param {Array<object>} plots - Plots for that location
+ * @returns {Object<string, Array<object>>} Updated plots for all locations
+ */
+export function savePlots(locationKey, plots) {
+  const all = { ...loadPlots(), [locationKey]: plots };
+  writeJSON(PLOTS_KEY, all);
+  return all;
+}
+
+/**
+ * New plot with default settings
+ * @param {Array<object>} plots - Existing plots of the location (for the name)
+ * @returns {object}
+ */
+export function createPlot(plots) {
+  return { ...DEFAULT_PLOT, id: `plot-${Date.now().toString(36)}`, label: `Plot ${plots.length + 1}` };
+}
+
+/**
+ * Runs the daily water balance for a plot. The soil is assumed full on the
+ * first day with logged readings (or today, when nothing is logged yet).
+ * @param {Array<import('./rainfallLedger').LedgerDay>} ledger - Result of buildRainfallLedger()
+ * @param {object} plot - Plot settings
+ * @returns {Array<{date: string, when: string, rain: number, etc: number, depletion: number, surplus: number}>}
+ *   Per day: mm of rain, crop ET, deficit below capacity at the end of the day, and surplus
+ */
+export function runWaterBalance(ledger, plot) {
+  const start = ledger.findIndex((d) => d.logged || d.when === 'today');
+  let depletion = 0;
+
+  return ledger.slice(Math.max(0, start)).map((day) => {
+    const etc = day.et0 * plot.cropFactor;
+    const balance = depletion - day.rain + etc;
+    depletion = Math.min(plot.capacityMm, Math.max(0, balance));
+    return { date: day.date, when: day.when, rain: day.rain, etc, depletion, surplus: Math.max(0, -balance) };
+  });
+}
+
+const mm = (value) => `${Math.round(value)} mm`;
+
+/**
+ * Recommends what to do with a plot today
+ * @param {Array<object>} balance - Result of runWaterBalance()
+ * @param {object} plot - Plot settings
+ * @returns {{action: keyof IRRIGATION_ACTIONS, amountMm: number, soilWaterPct: number, reasons: string[]}|null}
+ *   Null when the balance has no entry for today
+ */
+export function recommendIrrigation(balance, plot) {
+  const todayIndex = balance.findIndex((s) => s.when === 'today');
+  if (todayIndex === -1) return null;
+
+  const today = balance[todayIndex];
+  const ahead = balance.slice(todayIndex + 1, todayIndex + 1 + RAIN_LOOKAHEAD_DAYS);
+  const rainAhead = ahead.reduce((sum, s) => sum + s.rain, 0);
+  const recentSurplus = today.surplus + (balance[todayIndex - 1]?.surplus ?? 0);
+  const allowedDeficit = plot.allowableDepletion * plot.capacityMm;
+  const soilWaterPct = Math.round(100 * (1 - today.depletion / plot.capacityMm));
+  const aheadText = `the next ${ahead.length} day${ahead.length === 1 ? '' : 's'}`;
+
+  if (recentSurplus >= DRAIN_SURPLUS_MM) {
+    return {
+      action: 'drain',
+      amountMm: 0,
+      soilWaterPct,
+      reasons: [`${mm(recentSurplus)} more rain than the soil can hold since yesterday`],
+    };
+  }
+  if (today.depletion === 0 && rainAhead >= DRAIN_SURPLUS_MM) {
+    return {
+      action: 'drain',
+      amountMm: 0,
+      soilWaterPct,
+      reasons: [`Soil is full and ${mm(rainAhead)} of rain is forecast in ${aheadText}`],
+    };
+  }
+  if (today.depletion >= allowedDeficit && rainAhead < today.depletion) {
+    return {
+      action: 'irrigate',
+      amountMm: Math.round(today.depletion),
+      soilWaterPct,
+      reasons: [
+        `Soil is ${mm(today.depletion)} below capacity (irrigate from ${mm(allowedDeficit)})`,
+        `Only ${mm(rainAhead)} of rain expected in ${aheadText}`,
+      ],
+    };
+  }
+
+  const reasons = [];
+  if (today.rain >= 1) reasons.push(`${mm(today.rain)} of rain today`);
+  if (today.depletion < allowedDeficit) {
+    reasons.push(`Soil holds enough water (${mm(today.depletion)} used of ${mm(allowedDeficit)} allowed)`);
+  } else {
+    reasons.push(`${mm(rainAhead)} of rain expected in ${aheadText} covers the ${mm(today.depletion)} deficit`);
+  }
+  return { action: 'skip', amountMm: 0, soilWaterPct, reasons };
+}
@@ -0,0 +1,52 @@
+/**
+ * Local Storage Helpers
+ *
+ * Namespaced JSON read/write around localStorage. Storage can be full,
+ * disabled (private mode) or hold corrupt JSON, so every call degrades to
+ * the fallback instead of throwing.
+ */
+
+const STORAGE_PREFIX = 'farmsync:';
+
+/**
+ * Reads a JSON value
+ * @param {string} key - Key without namespace prefix
+ * @param {*} fallback - Value returned when missing or unreadable
+ * @returns {*} Parsed value or fallback
+ */
+export function readJSON(key, fallback = null) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Writes a JSON value
+ * @param {string} key - Key without namespace prefix
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} True if the value was stored
+ */
+export function writeJSON(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Failed to persist ${key}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Removes a stored value
+ * @param {string} key - Key without namespace prefix
+ */
+export function removeKey(key) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    // Storage unavailable: nothing to remove
+  }
+}
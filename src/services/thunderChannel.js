@@ -0,0 +1,37 @@
+/**
+ * Thunder Channel
+ *
+ * Event channel between the audio engine, which decides when lightning
+ * strikes, and the visual layers that flash for it. The engine publishes a
+ * strike when the flash should show; its rumble follows `rumbleDelayMs`
+ * later, as sound from a distant strike would.
+ */
+
+const listeners = new Set();
+let nextStrikeId = 1;
+
+/**
+ * @typedef {object} ThunderStrike
+ * @property {number} id - Increasing strike id
+ * @property {number} intensity - Storm severity, 0-1
+ * @property {number} rumbleDelayMs - Delay between the flash and the rumble
+ */
+
+/**
+ * Announces a lightning strike to all subscribers
+ * @param {{intensity: number, rumbleDelayMs: number}} strike - Strike details
+ */
+export function publishThunderStrike({ intensity, rumbleDelayMs }) {
+  const strike = { id: nextStrikeId++, intensity, rumbleDelayMs };
+  listeners.forEach((listener) => listener(strike));
+}
+
+/**
+ * Listens for lightning strikes
+ * @param {function(ThunderStrike): void} listener - Called for each strike
+ * @returns {function} Unsubscribe
+ */
+export function subscribeThunderStrikes(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,162 @@
+/**
+ * Weather Alerts Service
+ *
+ * Evaluates per-location alert rules against each loaded observation,
+ * persists the rules, and deduplicates alerts: a rule fires once when it
+ * starts matching and stays quiet until it has stopped matching, so an
+ * ongoing storm does not notify on every refresh.
+ */
+
+import { ALERT_METRICS, DEFAULT_ALERT_RULES } from '../config/alertRules';
+import { classifyAmbience } from './ambience';
+import { showBrowserNotification } from './notifications';
+import { readJSON, writeJSON } from './storage';
+
+const RULES_KEY = 'alertRules';
+const STATE_KEY = 'alertState';
+
+const COMPARATORS = {
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+};
+
+/**
+ * Loads stored rules for every location
+ * @returns {Object<string, Array<object>>} Rules keyed by location
+ */
+export function loadAlertRules() {
+  return readJSON(RULES_KEY, {});
+}
+
+/**
+ * Returns the rules for a location, or the defaults if it has none
+ * @param {Object<string, Array<object>>} rulesByLocation - Result of loadAlertRules()
+ * @param {string} locationKey - Location key
+ * @returns {Array<object>} Rules
+ */
+export function getAlertRules(rulesByLocation, locationKey) {
+  return rulesByLocation[locationKey] ?? DEFAULT_ALERT_RULES;
+}
+
+/**
+ * Stores the rules for one location
+ * @param {string} locationKey - Location key
+ * @param {Array<object>} rules - Rules to store
+ * @returns {Object<string, Array<object>>} Updated rules for every location
+ */
+export function saveAlertRules(locationKey, rules) {
+  const all = { ...loadAlertRules(), [locationKey]: rules };
+  writeJSON(RULES_KEY, all);
+  return all;
+}
+
+/**
+ * Extracts the alertable metrics from an observation
+ * @param {import('./weatherProvider').Observation} observation - Normalized observation
+ * @returns {Object<string, number|boolean>}
+ */
+function readMetrics(observation) {
+  return {
+    rain: observation.rain,
+    wind: observation.windSpeed,
+    gust: observation.windGust,
+    temp: observation.temp,
+    humidity: observation.humidity,
+    thunderstorm: classifyAmbience(observation).key === 'thunder',
+  };
+}
+
+/**
+ * Human-readable rule, e.g. "Rain >= 6 mm/h"
+ * @param {object} rule - Alert rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const metric = ALERT_METRICS[rule.metric];
+  if (!metric) return rule.metric;
+  if (metric.unit === null) return metric.label;
+  return `${metric.label} ${rule.operator} ${rule.value} ${metric.unit}`;
+}
+
+/**
+ * Evaluates rules against an observation
+ * @param {Array<object>} rules - Alert rules
+ * @param {import('./weatherProvider').Observation} observation - Normalized observation
+ * @returns {Array<{rule: object, value: number|boolean, message: string}>} Matching rules
+ */
+export function evaluateAlertRules(rules, observation) {
+  if (!observation) return [];
+
+  const metrics = readMetrics(observation);
+
+  return rules
+    .filter((rule) => rule.enabled && rule.metric in metrics)
+    .filter((rule) => {
+      const value = metrics[rule.metric];
+      if (typeof value === 'boolean') return value;
+      const compare = COMPARATORS[rule.operator];
+      return compare ? compare(value, Number(rule.value)) : false;
+    })
+    .map((rule) => {
+      const value = metrics[rule.metric];
+      const unit = ALERT_METRICS[rule.metric].unit;
+      const message = typeof value === 'boolean'
+        ? `${ALERT_METRICS[rule.metric].label} in progress`
+        : `${describeRule(rule)} (now ${Math.round(value * 10) / 10} ${unit})`;
+      return { rule, value, message };
+    });
+}
+
+/**
+ * Records which rules are currently matching and returns the ones that just
+ * started. The active set is persisted so a reload does not re-fire alerts.
+ *
+ * @param {string} locationKey - Location key
+ * @param {Array<object>} matches - Result of evaluateAlertRules()
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {{active: Array<object>, fired: Array<object>}} Matches with `id`
+ *   (stable per alert episode) and `since`; `fired` holds the new ones
+ */
+export function trackAlerts(locationKey, matches, nowMs) {
+  const state = readJSON(STATE_KEY, {});
+  const previous = state[locationKey] || {};
+  const next = {};
+  const active = [];
+  const fired = [];
+
+  for (const match of matches) {
+    const since = previous[match.rule.id] ?? nowMs;
+    next[match.rule.id] = since;
+
+    const alert = { ...match, id: `${locationKey}:${match.rule.id}:${since}`, since };
+    active.push(alert);
+    if (!(match.rule.id in previous)) fired.push(alert);
+  }
+
+  // Rules no longer matching drop out here, so they can fire again later
+  state[locationKey] = next;
+  writeJSON(STATE_KEY, state);
+
+  return { active, fired };
+}
+
+/**
+ * Evaluates, deduplicates and notifies in one step
+ * @param {string} locationKey - Location key
+ * @param {string} locationLabel - Name used in notifications
+ * @param {Array<object>} rules - Alert rules for the location
+ * @param {import('./weatherProvider').Observation} observation - Normalized observation
+ * @returns {Array<object>} Active alerts for the in-app banner
+ */
+export function processWeatherAlerts(locationKey, locationLabel, rules, observation) {
+  const matches = evaluateAlertRules(rules, observation);
+  const { active, fired } = trackAlerts(locationKey, matches, Date.now());
+
+  for (const alert of fired) {
+    showBrowserNotification(`FarmSync alert: ${locationLabel}`, alert.message, alert.id);
+  }
+
+  return active;
+}
@@ -5,107 +5,180 @@
  * 1. Curated assets (local/CDN) - highest quality, most reliable
  * 2. Giphy API fallback - deterministic, professional queries
  * 3. Static image fallback - graceful degradation
+ *
+ * The procedural tier (a canvas-drawn scene, see ProceduralBackground.jsx)
+ * replaces tiers 2 and 3 while offline, since both are remote, and can be
+ * forced on by the user.
+ *
+ * Giphy lookups (per weather type and quality tier) and asset availability
+ * checks are kept in the persistent TTL store of backgroundCache.js.
  */
 
 import {
   getCuratedAsset,
+  getCuratedAssetCandidates,
   getStaticFallback,
   getGiphyQuery,
+  getSeason,
 } from '../config/weatherAssets';
+import { TIER_ASSET_FIELDS } from './backgroundQuality';
+import { HEAVY_RAIN_MM, WINDY_MS } from './ambience';
+import { localDateKey } from '../utils/format';
+import {
+  backgroundCacheKey,
+  inspectBackgroundCache,
+  invalidateBackgroundCache,
+  readCacheEntry,
+  writeCacheEntry,
+} from './backgroundCache';
+import { API_PROXY_URL, apiProxyUrl, GIPHY_API_KEY } from './apiProxy';
+import { buildGiphySearchUrl, giphyMediaFormat, pickGiphyMedia } from './giphy';
+import { fetchJson, fetchWithTimeout, RequestError, withRetry } from './requestErrors';
 
-// Cache for storing fetched GIF URLs by weather type (for API fallbacks)
-const apiFallbackCache = new Map();
-
-// Cache for asset availability checks
-const assetAvailabilityCache = new Map();
+// Availability checks of local assets should be near instant
+const ASSET_CHECK_TIMEOUT_MS = 5000;
 
 /**
- * Checks if an asset URL is accessible
+ * Checks if an asset URL is accessible (also used for curated audio)
  * @param {string} url - Asset URL to check
  * @returns {Promise<boolean>} True if asset is accessible
  */
-async function checkAssetAvailability(url) {
+export async function checkAssetAvailability(url) {
+  const cacheKey = backgroundCacheKey('asset', url);
+
   // Check cache first
-  if (assetAvailabilityCache.has(url)) {
-    return assetAvailabilityCache.get(url);
+  const cached = readCacheEntry(cacheKey);
+  if (cached) {
+    return cached.value;
   }
 
   try {
-    const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+    const response = await fetchWithTimeout(url, {
+      method: 'HEAD',
+      cache: 'no-cache',
+      timeoutMs: ASSET_CHECK_TIMEOUT_MS,
+      service: 'Asset host',
+    });
     const isAvailable = response.ok;
-    assetAvailabilityCache.set(url, isAvailable);
+    writeCacheEntry(cacheKey, isAvailable);
     return isAvailable;
-  } catch (error) {
-    assetAvailabilityCache.set(url, false);
+  } catch {
+    // Network failure or timeout says nothing about the asset; not cached
     return false;
   }
 }
 
+/**
+ * Determines the format of an asset URL
+ * @param {string} url - Asset URL
+ * @returns {'gif' | 'video' | 'image'}
+ */
+function formatFromUrl(url) {
+  if (url.includes('.gif')) return 'gif';
+  if (url.includes('.mp4') || url.includes('/mp4') || url.includes('.webm')) return 'video';
+  return 'image';
+}
+
 /**
  * Fetches a deterministic GIF from Giphy API (used as fallback)
  * Uses limit=1 and always returns the same result for a given weather type
  * @param {string} weatherKey - The weather condition key
- * @param {string} apiKey - Giphy API key
- * @param {boolean} preferVideo - Whether to prefer video format
+ * @param {string|null} apiKey - Giphy API key (unused through the API proxy)
+ * @param {string} tier - Quality tier ('video-low' uses the small MP4 rendition)
  * @returns {Promise<string|null>} URL of the GIF/video or null if not found
  */
-async function fetchGiphyFallback(weatherKey, apiKey, preferVideo = false) {
-  // Check cache first
-  if (apiFallbackCache.has(weatherKey)) {
-    return apiFallbackCache.get(weatherKey);
-  }
+async function fetchGiphyFallback(weatherKey, apiKey, tier = 'gif') {
+  // The tier decides the endpoint and rendition, so it is part of the key
+  const cacheKey = backgroundCacheKey('giphy', weatherKey, tier);
 
-  const searchQuery = getGiphyQuery(weatherKey);
+  // Check cache first (a cached null means no usable result lately)
+  const cached = readCacheEntry(cacheKey);
+  if (cached) {
+    return cached.value;
+  }
 
   try {
-    // Use videos endpoint if preferVideo, otherwise gifs
-    const endpoint = preferVideo ? 'videos/search' : 'gifs/search';
-    // Limit to 1 for deterministic results (always same GIF for same weather type)
-    const url = `https://api.giphy.com/v1/${endpoint}?api_key=${apiKey}&q=${encodeURIComponent(searchQuery)}&limit=1&rating=g&lang=en`;
+    // Through the proxy the server holds the key and runs the same search
+    const url = API_PROXY_URL
+      ? apiProxyUrl('background', { key: weatherKey, tier })
+      : buildGiphySearchUrl(getGiphyQuery(weatherKey), apiKey, tier);
 
-    const response = await fetch(url);
+    const data = await withRetry(() => fetchJson(url, { service: 'Giphy' }), { retries: 1 });
+    const mediaUrl = API_PROXY_URL ? data.url ?? null : pickGiphyMedia(data, tier);
 
-    if (!response.ok) {
-      console.warn(`Giphy API error for ${weatherKey}: ${response.status}`);
-      return null;
+    // Cache the result (a miss as well)
+    writeCacheEntry(cacheKey, mediaUrl);
+    return mediaUrl;
+  } catch (error) {
+    console.warn(`Failed to fetch Giphy fallback for ${weatherKey}:`, error);
+    // Remember definite answers (no result, bad key); transient failures retry next time
+    if (error instanceof RequestError && !error.transient && error.kind !== 'offline') {
+      writeCacheEntry(cacheKey, null);
     }
+    return null;
+  }
+}
 
-    const data = await response.json();
+// Result for the canvas-drawn tier (it has no URL)
+const PROCEDURAL_BACKGROUND = { url: null, type: 'procedural', format: 'procedural' };
 
-    if (data.data && data.data.length > 0) {
-      let mediaUrl;
+/**
+ * Describes the conditions used to pick among a weather type's curated
+ * variants (see CURATED_ASSETS)
+ * @param {import('./weatherProvider').CurrentWeather|null} current - Current weather
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {import('../config/weatherAssets').VariantContext}
+ */
+export function getVariantContext(current, nowMs = Date.now()) {
+  if (!current) return {};
+  const { observation, timezone = 0, sunrise, sunset } = current;
+  const now = Math.floor(nowMs / 1000);
 
-      if (preferVideo && data.data[0].images) {
-        // Use video URL if available
-        const videoData = data.data[0].images;
-        mediaUrl = videoData.original_mp4?.mp4 || videoData.original?.url || data.data[0].images.original.url;
-      } else {
-        // Use GIF URL (deterministic - always first result)
-        mediaUrl = data.data[0].images.original.url;
-      }
+  // Sun times when the provider has them, else the icon's day/night suffix
+  let time = null;
+  if (sunrise && sunset) {
+    time = now >= sunrise && now < sunset ? 'day' : 'night';
+  } else if (observation?.condition?.icon) {
+    time = observation.condition.icon.endsWith('n') ? 'night' : 'day';
+  }
 
-      // Cache the result
-      apiFallbackCache.set(weatherKey, mediaUrl);
-      return mediaUrl;
-    }
+  const rain = observation?.rain ?? 0;
+  const wind = Math.max(observation?.windSpeed ?? 0, observation?.windGust ?? 0);
+  let intensity = 'moderate';
+  if (rain >= HEAVY_RAIN_MM || wind >= WINDY_MS * 1.5) intensity = 'heavy';
+  else if (rain < 1 && wind < WINDY_MS / 2) intensity = 'light';
 
-    return null;
-  } catch (error) {
-    console.warn(`Failed to fetch Giphy fallback for ${weatherKey}:`, error);
-    return null;
-  }
+  const day = localDateKey(now, timezone);
+  return {
+    time,
+    intensity,
+    season: getSeason(Number(day.slice(5, 7))),
+    day,
+  };
 }
 
 /**
  * Gets the best available background asset for a weather condition
- * Uses tiered fallback: Curated -> Giphy -> Static Image
+ * Uses tiered fallback: Curated -> Giphy -> Static Image (Curated -> Procedural when offline)
  * 
  * @param {string} weatherKey - The weather condition key (e.g., 'rain', 'sunny')
  * @param {string} giphyApiKey - Giphy API key (optional, for fallback)
- * @param {boolean} preferVideo - Whether to prefer video format
- * @returns {Promise<{url: string, type: 'curated' | 'api' | 'static', format: 'gif' | 'video' | 'image'}>}
+ * @param {boolean} preferVideo - Whether to prefer video format (when no quality tier is given)
+ * @param {{forceProcedural?: boolean, quality?: string, variant?: object}} options - Skip the asset
+ *   tiers and draw the scene; quality tier limiting how heavy the asset may be (see
+ *   backgroundQuality.js); conditions for picking a curated variant (see getVariantContext)
+ * @returns {Promise<{url: string|null, type: 'curated' | 'api' | 'static' | 'procedural', format: 'gif' | 'video' | 'image' | 'procedural'}>}
  */
-export async function getWeatherBackground(weatherKey, giphyApiKey = null, preferVideo = false) {
+export async function getWeatherBackground(
+  weatherKey,
+  giphyApiKey = null,
+  preferVideo = false,
+  { forceProcedural = false, quality = null, variant = {} } = {}
+) {
+  if (forceProcedural) {
+    return PROCEDURAL_BACKGROUND;
+  }
+
   if (!weatherKey) {
     const staticUrl = getStaticFallback('neutral');
     return {
@@ -115,43 +188,31 @@ export async function getWeatherBackground(weatherKey, giphyApiKey = null, prefe
     };
   }
 
-  // Tier 1: Try curated assets first
-  const curatedAsset = getCuratedAsset(weatherKey, preferVideo);
-  if (curatedAsset) {
-    // Check if curated asset is accessible
-    const isAvailable = await checkAssetAvailability(curatedAsset);
-    if (isAvailable) {
-      // Determine format from URL
-      let format = 'image';
-      if (curatedAsset.includes('.gif')) format = 'gif';
-      else if (curatedAsset.includes('.mp4') || curatedAsset.includes('.webm')) format = 'video';
+  const tier = quality || (preferVideo ? 'video-high' : 'gif');
 
+  // Tier 1: Try curated assets first, heaviest variant the quality tier allows
+  for (const url of getCuratedAssetCandidates(weatherKey, TIER_ASSET_FIELDS[tier], variant)) {
+    if (await checkAssetAvailability(url)) {
       return {
-        url: curatedAsset,
+        url,
         type: 'curated',
-        format,
+        format: formatFromUrl(url),
       };
     }
-    // If curated asset not available, try static image from curated assets
-    const curatedAssetObj = getCuratedAsset(weatherKey, false);
-    if (typeof curatedAssetObj === 'object' && curatedAssetObj.image) {
-      const imageAvailable = await checkAssetAvailability(curatedAssetObj.image);
-      if (imageAvailable) {
-        return {
-          url: curatedAssetObj.image,
-          type: 'curated',
-          format: 'image',
-        };
-      }
-    }
+  }
+
+  // Remote tiers can't load offline; draw the scene instead
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return PROCEDURAL_BACKGROUND;
   }
 
   // Tier 2: Try Giphy API fallback (deterministic)
-  const apiKey = giphyApiKey || import.meta.env.VITE_GIPHY_API_KEY;
-  if (apiKey) {
-    const giphyUrl = await fetchGiphyFallback(weatherKey, apiKey, preferVideo);
+  const apiKey = giphyApiKey || GIPHY_API_KEY;
+  // (animated, so skipped at the still-image tier)
+  if ((apiKey || API_PROXY_URL) && tier !== 'image') {
+    const giphyUrl = await fetchGiphyFallback(weatherKey, apiKey, tier);
     if (giphyUrl) {
-      const format = preferVideo && (giphyUrl.includes('.mp4') || giphyUrl.includes('/mp4')) ? 'video' : 'gif';
+      const format = giphyMediaFormat(giphyUrl);
       return {
         url: giphyUrl,
         type: 'api',
@@ -180,20 +241,30 @@ export async function preloadWeatherBackground(weatherKey, giphyApiKey = null, p
 }
 
 /**
- * Clears all caches (useful for testing or forcing refresh)
+ * Clears cached background lookups (useful for testing or forcing refresh)
+ * @param {{weatherKey?: string, tier?: string, kind?: 'giphy'|'asset'}} filter - Limit
+ *   the clearing to Giphy lookups or availability checks, and Giphy lookups to one
+ *   weather type (and tier); clears everything when omitted
+ * @returns {number} Number of entries removed
  */
-export function clearBackgroundCache() {
-  apiFallbackCache.clear();
-  assetAvailabilityCache.clear();
+export function clearBackgroundCache({ weatherKey = null, tier = null, kind = null } = {}) {
+  if (weatherKey) {
+    return invalidateBackgroundCache(backgroundCacheKey('giphy', weatherKey, tier ?? ''));
+  }
+  return invalidateBackgroundCache(kind ? backgroundCacheKey(kind, '') : null);
 }
 
+// Debug listing of the cached lookups and their expiry
+export { inspectBackgroundCache };
+
 /**
  * Gets cached API fallback URL if available
  * @param {string} weatherKey - The weather condition key
+ * @param {string} tier - Quality tier the URL was fetched for
  * @returns {string|null} Cached URL or null
  */
-export function getCachedApiFallback(weatherKey) {
-  return apiFallbackCache.get(weatherKey) || null;
+export function getCachedApiFallback(weatherKey, tier = 'gif') {
+  return readCacheEntry(backgroundCacheKey('giphy', weatherKey, tier))?.value || null;
 }
 
 /**
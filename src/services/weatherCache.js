@@ -0,0 +1,49 @@
+/**
+ * Weather Cache Service
+ *
+ * Keeps the last successful current + forecast response per location in
+ * localStorage, so the card can still show something when the field
+ * connection drops. Entries older than the configured max age are still
+ * returned, but flagged as expired so the UI never presents them as current.
+ *
+ * Max age is set with VITE_WEATHER_CACHE_MAX_AGE_HOURS (default 6).
+ */
+
+import { readJSON, writeJSON } from './storage';
+
+const CACHE_KEY = 'weatherCache';
+
+export const WEATHER_CACHE_MAX_AGE_MS =
+  (Number(import.meta.env.VITE_WEATHER_CACHE_MAX_AGE_HOURS) || 6) * 60 * 60 * 1000;
+
+/**
+ * Stores a successful response
+ * @param {string} locationKey - Location key
+ * @param {{current: object, forecast: object|null}} result - Result of fetchWeather()
+ * @param {number} savedAt - Time of the fetch in milliseconds
+ */
+export function saveWeatherCache(locationKey, { current, forecast }, savedAt = Date.now()) {
+  const all = readJSON(CACHE_KEY, {});
+  all[locationKey] = { savedAt, current, forecast };
+  writeJSON(CACHE_KEY, all);
+}
+
+/**
+ * Reads the cached response for a location
+ * @param {string} locationKey - Location key
+ * @returns {{savedAt: number, current: object, forecast: object|null}|null}
+ */
+export function readWeatherCache(locationKey) {
+  const entry = readJSON(CACHE_KEY, {})[locationKey];
+  return entry?.current ? entry : null;
+}
+
+/**
+ * Whether a cache entry is past the configured max age
+ * @param {number} savedAt - Time the entry was stored, in milliseconds
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {boolean}
+ */
+export function isCacheExpired(savedAt, nowMs) {
+  return nowMs - savedAt > WEATHER_CACHE_MAX_AGE_MS;
+}
@@ -0,0 +1,115 @@
+/**
+ * Weather Provider Service
+ *
+ * Selects the weather data source and defines the normalized observation
+ * model every consumer reads (ambience classification, metrics, alerts,
+ * field advice, backgrounds). Adapters live in ./providers/.
+ *
+ * Select a provider with VITE_WEATHER_PROVIDER:
+ * - 'owm' (default)   OpenWeatherMap, needs VITE_OWM_API_KEY or VITE_API_PROXY
+ * - 'open-meteo'      Open-Meteo, no key, needs coordinates
+ * - 'fixture'         Recorded sample data, works offline
+ */
+
+import { API_PROXY_URL, OWM_API_KEY } from './apiProxy';
+import { createFixtureProvider } from './providers/fixture';
+import { createOpenMeteoProvider } from './providers/openMeteo';
+import { createOwmProvider } from './providers/owm';
+import { withRetry } from './requestErrors';
+
+/**
+ * @typedef {object} WeatherCondition
+ * @property {number} id - OWM condition code (2xx-8xx); other providers map onto it
+ * @property {string} main - Condition group, e.g. "Rain"
+ * @property {string} description - Human-readable description
+ * @property {string} icon - OWM icon code, e.g. "10d"
+ */
+
+/**
+ * @typedef {object} Observation
+ * @property {number} time - Unix seconds (start of the slot for forecasts)
+ * @property {number} period - Seconds covered by `rain` (3600 current, 10800 forecast)
+ * @property {number} temp - °C
+ * @property {number} feelsLike - °C
+ * @property {number} tempMin - °C
+ * @property {number} tempMax - °C
+ * @property {number} humidity - %
+ * @property {number} pressure - Sea-level pressure, hPa
+ * @property {number} windSpeed - m/s at 10 m
+ * @property {number} windGust - m/s (falls back to windSpeed)
+ * @property {number} windDeg - Direction the wind comes from, degrees
+ * @property {number} clouds - Cloud cover, %
+ * @property {number} rain - Precipitation over `period`, mm
+ * @property {number} pop - Probability of precipitation 0-1 (current: 1 if raining)
+ * @property {WeatherCondition} condition
+ */
+
+/**
+ * @typedef {object} CurrentWeather
+ * @property {Observation} observation
+ * @property {number} timezone - Offset from UTC in seconds
+ * @property {number|null} sunrise - Unix seconds
+ * @property {number|null} sunset - Unix seconds
+ * @property {{name: string, lat: number|null, lon: number|null, elevation: number|null}} location
+ */
+
+/**
+ * @typedef {object} Forecast
+ * @property {number} timezone - Offset from UTC in seconds
+ * @property {Array<Observation>} slots - 3-hourly slots in chronological order
+ */
+
+/**
+ * @typedef {object} WeatherProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {string|null} configError - Why the provider cannot run, if it cannot
+ * @property {(location: object, options?: {signal?: AbortSignal}) => Promise<CurrentWeather>} fetchCurrent
+ * @property {(location: object, options?: {signal?: AbortSignal}) => Promise<Forecast>} fetchForecast
+ */
+
+const PROVIDER_FACTORIES = {
+  owm: () => createOwmProvider({ apiKey: OWM_API_KEY, proxyUrl: API_PROXY_URL }),
+  'open-meteo': () => createOpenMeteoProvider(),
+  fixture: () => createFixtureProvider(),
+};
+
+export const DEFAULT_PROVIDER_ID = 'owm';
+
+/**
+ * Creates the provider named by id (or VITE_WEATHER_PROVIDER)
+ * @param {string} id - Provider id
+ * @returns {WeatherProvider}
+ */
+export function getWeatherProvider(id = import.meta.env.VITE_WEATHER_PROVIDER || DEFAULT_PROVIDER_ID) {
+  const factory = PROVIDER_FACTORIES[id];
+  if (!factory) {
+    console.warn(`Unknown weather provider "${id}", using ${DEFAULT_PROVIDER_ID}`);
+    return PROVIDER_FACTORIES[DEFAULT_PROVIDER_ID]();
+  }
+  return factory();
+}
+
+/**
+ * Fetches current conditions and forecast together. A failed forecast
+ * resolves to null so the current conditions can still be shown.
+ * Transient failures (timeouts, 5xx, 429) are retried with backoff; the
+ * rest throw a RequestError (see requestErrors.js).
+ *
+ * @param {WeatherProvider} provider - Weather provider
+ * @param {object} location - Built-in town or saved farm
+ * @param {{signal?: AbortSignal, onRetry?: function}} options - Abort signal cancels both
+ *   requests; onRetry is told about each retry of the current conditions
+ * @returns {Promise<{current: CurrentWeather, forecast: Forecast|null}>}
+ */
+export async function fetchWeather(provider, location, { signal, onRetry } = {}) {
+  const [current, forecast] = await Promise.all([
+    withRetry(() => provider.fetchCurrent(location, { signal }), { signal, onRetry }),
+    withRetry(() => provider.fetchForecast(location, { signal }), { signal }).catch((e) => {
+      if (signal?.aborted) throw e;
+      console.warn('Forecast unavailable:', e);
+      return null;
+    }),
+  ]);
+  return { current, forecast };
+}
@@ -0,0 +1,319 @@
+/**
+ * Procedural Weather Renderer
+ *
+ * Draws an asset-free weather scene on a 2D canvas: sky, sun or moon glow,
+ * drifting clouds, fog bands, rain streaks, snow and wind-blown particles.
+ * Particle counts and motion follow the live readings, so a drizzle and a
+ * downpour (or a breeze and a gale) look different.
+ *
+ * The renderer throttles itself: devices reporting few cores, little memory
+ * or data saver start at reduced quality and 30 fps, and quality drops
+ * further while frames keep running slow. Under prefers-reduced-motion a
+ * single still frame is drawn instead of an animation.
+ */
+
+// Frame budget above which the renderer sheds particles (ms, rolling average
+// of the browser's own frame interval, not the 30 fps throttle)
+const SLOW_FRAME_MS = 34;
+
+// Longer gaps between frames are pauses (hidden tab, debugger), not slowness
+const PAUSE_GAP_MS = 250;
+
+// Frames averaged before deciding to degrade
+const FRAME_SAMPLE = 60;
+
+const MIN_QUALITY = 0.25;
+
+// Sky gradient (top, bottom) per weather key
+const SKIES = {
+  thunder: ['#0b1020', '#1e1b2e'],
+  'heavy-rain': ['#0f172a', '#1e293b'],
+  rain: ['#1e293b', '#334155'],
+  snow: ['#64748b', '#cbd5e1'],
+  fog: ['#475569', '#94a3b8'],
+  haze: ['#78716c', '#d6a35c'],
+  smoke: ['#44403c', '#78716c'],
+  dust: ['#78350f', '#d97706'],
+  wind: ['#1e3a5f', '#475569'],
+  cloud: ['#334155', '#64748b'],
+  sunny: ['#0369a1', '#7dd3fc'],
+  'clear-night': ['#020617', '#1e1b4b'],
+  neutral: ['#0f172a', '#1e293b'],
+};
+
+/**
+ * @typedef {object} SceneIntensity
+ * @property {number} rain - Rain in the last hour (mm)
+ * @property {number} windSpeed - Wind speed (m/s)
+ * @property {number} windDeg - Direction the wind blows from (degrees)
+ * @property {number} clouds - Cloud cover (%)
+ */
+
+/**
+ * Whether the device looks too weak for full-quality animation. Unknown
+ * core counts and memory count as capable; the frame-time check steps
+ * quality down on devices that turn out slow.
+ * @returns {boolean}
+ */
+export function isLowEndDevice() {
+  const cores = navigator.hardwareConcurrency;
+  const memory = navigator.deviceMemory;
+  return (cores > 0 && cores <= 2) || (memory > 0 && memory <= 2) || Boolean(navigator.connection?.saveData);
+}
+
+function random(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Particle counts and motion for a scene, before the quality factor
+ */
+function describeScene(key, { rain = 0, windSpeed = 0, windDeg = 0, clouds = 0 }) {
+  // Horizontal drift: wind from the east (90°) blows towards the left
+  const drift = -Math.sin((windDeg * Math.PI) / 180) * Math.min(windSpeed, 25);
+  const isRain = key === 'rain' || key === 'heavy-rain' || key === 'thunder';
+  const rainMm = isRain ? Math.max(rain, key === 'rain' ? 0.5 : 4) : 0;
+
+  return {
+    drift,
+    rainDrops: isRain ? Math.round(Math.min(600, 40 + rainMm * 45)) : 0,
+    rainSpeed: 14 + Math.min(rainMm, 20) * 0.6,
+    snowFlakes: key === 'snow' ? 220 : 0,
+    clouds: Math.round(((key === 'sunny' || key === 'clear-night') ? clouds * 0.4 : Math.max(clouds, 40)) / 10),
+    fogBands: key === 'fog' ? 6 : key === 'haze' || key === 'smoke' ? 4 : 0,
+    windParticles: key === 'wind' || key === 'dust' ? Math.round(40 + windSpeed * 6) : 0,
+    stars: key === 'clear-night' ? 120 : 0,
+    sun: key === 'sunny',
+    moon: key === 'clear-night',
+  };
+}
+
+export class WeatherRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {{reducedMotion?: boolean, lowEnd?: boolean}} options - Device hints
+   */
+  constructor(canvas, { reducedMotion = false, lowEnd = isLowEndDevice() } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.reducedMotion = reducedMotion;
+    this.quality = lowEnd ? 0.5 : 1;
+    this.frameIntervalMs = lowEnd ? 1000 / 30 : 0;
+    this.pixelRatio = Math.min(window.devicePixelRatio || 1, lowEnd ? 1 : 2);
+    this.key = 'neutral';
+    this.intensity = {};
+    this.scene = describeScene(this.key, this.intensity);
+    this.particles = null;
+    this.frame = null;
+    this.lastFrameAt = null;
+    this.lastTickAt = null;
+    this.frameTimes = [];
+    this.time = 0;
+  }
+
+  /**
+   * Sets the weather to draw
+   * @param {string} key - Weather key
+   * @param {SceneIntensity} intensity - Live readings
+   */
+  setWeather(key, intensity) {
+    const keyChanged = key !== this.key;
+    this.key = key;
+    this.intensity = intensity;
+    this.scene = describeScene(key, intensity);
+    // New weather respawns everything; new readings only resize the pools
+    if (keyChanged) this.particles = null;
+    this.spawn();
+    if (this.reducedMotion) this.draw(0);
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.canvas.width = Math.round(width * this.pixelRatio);
+    this.canvas.height = Math.round(height * this.pixelRatio);
+    this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    this.particles = null;
+    this.spawn();
+    if (this.reducedMotion) this.draw(0);
+  }
+
+  start() {
+    if (this.reducedMotion || this.frame) return;
+    // Timing starts from the first frame, not from page load or the last stop
+    this.lastFrameAt = null;
+    this.lastTickAt = null;
+    this.frameTimes = [];
+    const loop = (now) => {
+      this.frame = requestAnimationFrame(loop);
+      if (this.lastTickAt !== null) this.measure(now - this.lastTickAt);
+      this.lastTickAt = now;
+
+      if (this.lastFrameAt === null) {
+        this.lastFrameAt = now;
+        this.draw(0);
+        return;
+      }
+      const elapsed = now - this.lastFrameAt;
+      if (elapsed < this.frameIntervalMs) return;
+      this.lastFrameAt = now;
+      // Clamp so a resumed tab doesn't jump particles across the screen
+      this.draw(Math.min(elapsed, 100) / 1000);
+    };
+    this.frame = requestAnimationFrame(loop);
+  }
+
+  stop() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+
+  // Drops quality while the rolling frame interval stays over budget
+  measure(interval) {
+    if (interval > PAUSE_GAP_MS) return;
+    this.frameTimes.push(interval);
+    if (this.frameTimes.length < FRAME_SAMPLE) return;
+
+    const avg = this.frameTimes.reduce((a, b) => a + b, 0) / this.frameTimes.length;
+    this.frameTimes = [];
+    if (avg > SLOW_FRAME_MS && this.quality > MIN_QUALITY) {
+      this.quality = Math.max(MIN_QUALITY, this.quality / 2);
+      this.frameIntervalMs = 1000 / 30;
+      this.spawn();
+    }
+  }
+
+  // Grows or trims the particle pools to the scene's counts
+  spawn() {
+    if (!this.width) return;
+    const { width: w, height: h, scene, quality } = this;
+    const count = (n) => Math.round(n * quality);
+    const p = this.particles ?? { rain: [], snow: [], clouds: [], fog: [], wind: [], stars: [] };
+
+    const fill = (list, n, make) => {
+      list.length = Math.min(list.length, n);
+      while (list.length < n) list.push(make());
+    };
+
+    fill(p.rain, count(scene.rainDrops), () => ({ x: random(0, w), y: random(-h, h), len: random(10, 22) }));
+    fill(p.snow, count(scene.snowFlakes), () => ({ x: random(0, w), y: random(0, h), r: random(1, 3.5), phase: random(0, Math.PI * 2) }));
+    fill(p.clouds, scene.clouds, () => ({ x: random(-w * 0.2, w), y: random(0, h * 0.45), r: random(80, 200), speed: random(4, 12) }));
+    fill(p.fog, scene.fogBands, () => ({ y: random(h * 0.2, h), height: random(60, 160), offset: random(0, w), speed: random(6, 18) }));
+    fill(p.wind, count(scene.windParticles), () => ({ x: random(0, w), y: random(0, h), len: random(6, 30), speed: random(0.6, 1.4) }));
+    fill(p.stars, count(scene.stars), () => ({ x: random(0, w), y: random(0, h * 0.7), r: random(0.4, 1.4), phase: random(0, Math.PI * 2) }));
+
+    this.particles = p;
+  }
+
+  draw(dt) {
+    const { ctx, width: w, height: h, scene, particles: p } = this;
+    if (!w || !p) return;
+    this.time += dt;
+    const t = this.time;
+
+    const [top, bottom] = SKIES[this.key] ?? SKIES.neutral;
+    const sky = ctx.createLinearGradient(0, 0, 0, h);
+    sky.addColorStop(0, top);
+    sky.addColorStop(1, bottom);
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, w, h);
+
+    for (const s of p.stars) {
+      ctx.globalAlpha = 0.5 + 0.5 * Math.sin(t * 1.5 + s.phase);
+      ctx.fillStyle = '#e2e8f0';
+      ctx.beginPath();
+      ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+
+    if (scene.sun || scene.moon) {
+      const x = w * 0.78;
+      const y = h * 0.18;
+      const r = Math.min(w, h) * (scene.sun ? 0.45 : 0.25) * (1 + 0.03 * Math.sin(t * 0.6));
+      const glow = ctx.createRadialGradient(x, y, 0, x, y, r);
+      glow.addColorStop(0, scene.sun ? 'rgba(254,240,138,0.95)' : 'rgba(226,232,240,0.85)');
+      glow.addColorStop(0.12, scene.sun ? 'rgba(253,224,71,0.55)' : 'rgba(203,213,225,0.25)');
+      glow.addColorStop(1, 'rgba(253,224,71,0)');
+      ctx.fillStyle = glow;
+      ctx.fillRect(0, 0, w, h);
+    }
+
+    const dark = ['thunder', 'heavy-rain', 'rain'].includes(this.key);
+    for (const c of p.clouds) {
+      c.x += (c.speed + scene.drift * 2) * dt;
+      if (c.x - c.r > w) c.x = -c.r;
+      if (c.x + c.r < 0) c.x = w + c.r;
+      const g = ctx.createRadialGradient(c.x, c.y, 0, c.x, c.y, c.r);
+      g.addColorStop(0, dark ? 'rgba(30,41,59,0.55)' : 'rgba(241,245,249,0.35)');
+      g.addColorStop(1, 'rgba(241,245,249,0)');
+      ctx.fillStyle = g;
+      ctx.fillRect(c.x - c.r, c.y - c.r, c.r * 2, c.r * 2);
+    }
+
+    for (const f of p.fog) {
+      f.offset = (f.offset + (f.speed + scene.drift) * dt + w) % w;
+      const g = ctx.createLinearGradient(0, f.y - f.height / 2, 0, f.y + f.height / 2);
+      const tint = this.key === 'fog' ? '226,232,240' : '214,211,209';
+      g.addColorStop(0, `rgba(${tint},0)`);
+      g.addColorStop(0.5, `rgba(${tint},0.22)`);
+      g.addColorStop(1, `rgba(${tint},0)`);
+      ctx.fillStyle = g;
+      // Two copies so the band wraps seamlessly
+      ctx.fillRect(f.offset - w, f.y - f.height / 2, w, f.height);
+      ctx.fillRect(f.offset, f.y - f.height / 2, w, f.height);
+    }
+
+    if (p.rain.length) {
+      const slant = scene.drift * 0.08;
+      ctx.strokeStyle = 'rgba(191,219,254,0.45)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (const d of p.rain) {
+        d.y += scene.rainSpeed * 60 * dt;
+        d.x += slant * scene.rainSpeed * 60 * dt;
+        if (d.y > h) {
+          d.y = random(-40, 0);
+          d.x = random(0, w);
+        }
+        if (d.x > w) d.x -= w;
+        if (d.x < 0) d.x += w;
+        ctx.moveTo(d.x, d.y);
+        ctx.lineTo(d.x + slant * d.len, d.y + d.len);
+      }
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = 'rgba(248,250,252,0.85)';
+    for (const s of p.snow) {
+      s.y += (20 + s.r * 12) * dt;
+      s.x += (Math.sin(t + s.phase) * 12 + scene.drift * 4) * dt;
+      if (s.y > h) {
+        s.y = -5;
+        s.x = random(0, w);
+      }
+      if (s.x > w) s.x -= w;
+      if (s.x < 0) s.x += w;
+      ctx.beginPath();
+      ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    if (p.wind.length) {
+      // Still air on a windy key still needs a visible direction
+      const drift = Math.abs(scene.drift) < 2 ? 8 : scene.drift;
+      ctx.strokeStyle = this.key === 'dust' ? 'rgba(253,230,138,0.45)' : 'rgba(226,232,240,0.35)';
+      ctx.lineWidth = 1.2;
+      ctx.beginPath();
+      for (const q of p.wind) {
+        q.x += drift * 40 * q.speed * dt;
+        q.y += Math.sin(t * 2 + q.len) * 10 * dt;
+        if (q.x > w + q.len) q.x = -q.len;
+        if (q.x < -q.len) q.x = w + q.len;
+        ctx.moveTo(q.x, q.y);
+        ctx.lineTo(q.x - Math.sign(drift) * q.len, q.y);
+      }
+      ctx.stroke();
+    }
+  }
+}
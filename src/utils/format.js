@@ -0,0 +1,69 @@
+/**
+ * Formats a unix timestamp as HH:MM in the location's local time
+ * @param {number} unixSeconds - Timestamp in seconds
+ * @param {number} tzOffsetSeconds - Location offset from UTC in seconds
+ * @returns {string} Time as "HH:MM"
+ */
+export function formatTime(unixSeconds, tzOffsetSeconds) {
+  const d = new Date((unixSeconds + tzOffsetSeconds) * 1000);
+  return d.toUTCString().slice(17, 22);
+}
+
+/**
+ * Formats a unix timestamp as a short weekday in the location's local time
+ * @param {number} unixSeconds - Timestamp in seconds
+ * @param {number} tzOffsetSeconds - Location offset from UTC in seconds
+ * @returns {string} Weekday such as "Mon"
+ */
+export function formatWeekday(unixSeconds, tzOffsetSeconds) {
+  const d = new Date((unixSeconds + tzOffsetSeconds) * 1000);
+  return d.toUTCString().slice(0, 3);
+}
+
+/**
+ * Returns the local calendar date (YYYY-MM-DD) of a unix timestamp
+ * @param {number} unixSeconds - Timestamp in seconds
+ * @param {number} tzOffsetSeconds - Location offset from UTC in seconds
+ * @returns {string} Date key
+ */
+export function localDateKey(unixSeconds, tzOffsetSeconds) {
+  return new Date((unixSeconds + tzOffsetSeconds) * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Builds an OpenWeatherMap icon URL
+ * @param {string} iconCode - OWM icon code (e.g. "10d")
+ * @returns {string} Icon URL or empty string
+ */
+export function owmIconUrl(iconCode) {
+  return iconCode ? `https://openweathermap.org/img/wn/${iconCode}@2x.png` : '';
+}
+
+/**
+ * Formats an elapsed duration as "2h 14m ago"
+ * @param {number} ms - Elapsed time in milliseconds
+ * @returns {string}
+ */
+export function formatAge(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  if (minutes < 1) return 'just now';
+
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h ago`;
+  if (hours > 0) return `${hours}h ${mins}m ago`;
+  return `${mins}m ago`;
+}
+
+/**
+ * Formats a byte count (e.g. "4.2 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -1,7 +1,34 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import serviceWorker from './scripts/vite-plugin-service-worker.js'
+import { createApiProxy } from './server/proxy.js'
+
+// Mounts the API proxy (server/proxy.js) on the dev and preview servers.
+// Keys come from OWM_API_KEY / GIPHY_API_KEY, which (unlike VITE_*) never
+// reach the bundle.
+function apiProxy(env) {
+  const mount = (server) => {
+    server.middlewares.use(createApiProxy({ owmApiKey: env.OWM_API_KEY, giphyApiKey: env.GIPHY_API_KEY }))
+  }
+  return { name: 'farmsync-api-proxy', configureServer: mount, configurePreviewServer: mount }
+}
+
+// With the proxy the keys belong on the server; VITE_* keys would be inlined
+function checkProxyKeys(env) {
+  const clientKeys = ['VITE_OWM_API_KEY', 'VITE_GIPHY_API_KEY'].filter((name) => env[name])
+  if (env.VITE_API_PROXY && clientKeys.length > 0) {
+    throw new Error(
+      `VITE_API_PROXY is set, so remove ${clientKeys.join(' and ')} from the environment: ` +
+        'VITE_* values are compiled into the bundle. Use OWM_API_KEY / GIPHY_API_KEY for the proxy.'
+    )
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ command, mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+  if (command === 'build') checkProxyKeys(env)
+  return {
+    plugins: [react(), serviceWorker(), apiProxy(env)],
+  }
 })